@@ -23,161 +23,310 @@ import { LiveSocket } from "phoenix_live_view";
 import live_select from "live_select";
 import topbar from "../vendor/topbar";
 import "./flatpickr.min.js";
+import { setupMenus } from "./menus";
+import { onThemeChange, setupTheme, themeColor } from "./theme";
+import { setupTableExport } from "./table_export";
+import { setupConnectionStatus } from "./connection_status";
+import { setupShortcuts } from "./shortcuts";
+import { setupCommandPalette } from "./command_palette";
+import { feedback, setupFeedback } from "./feedback";
+import { instrumentHooks, setupTelemetry } from "./telemetry";
+import { zoneOffsetMinutes, zonedInstant, zonedWallTime } from "./time_zones";
+import { FlashAutoDismiss, Toasts } from "./hooks/toasts";
+import { SessionExpiry } from "./hooks/session_expiry";
+import { UnsavedChanges } from "./hooks/unsaved_changes";
+import { PermissionTree } from "./hooks/permission_tree";
+import { LiveSelectAbsolute } from "./hooks/live_select_absolute";
+import { AutoResize } from "./hooks/auto_resize";
+import { Chart } from "./hooks/chart";
+import { InteractiveTable } from "./hooks/interactive_table";
+import { AvatarCropper } from "./hooks/avatar_cropper";
+import { ImportPreview } from "./hooks/import_preview";
+import { RecordPresence } from "./hooks/record_presence";
+import { OfflineQueue } from "./hooks/offline_queue";
+import { CronEditor } from "./hooks/cron_editor";
+import { AuditDiff } from "./hooks/audit_diff";
+import { NumberInput } from "./hooks/number_input";
+import { TextFit } from "./hooks/text_fit";
 
 let Hooks = {};
 
+Hooks.FlashAutoDismiss = FlashAutoDismiss;
+Hooks.Toasts = Toasts;
+Hooks.SessionExpiry = SessionExpiry;
+Hooks.UnsavedChanges = UnsavedChanges;
+Hooks.PermissionTree = PermissionTree;
+Hooks.LiveSelectAbsolute = LiveSelectAbsolute;
+Hooks.AutoResize = AutoResize;
+Hooks.Chart = Chart;
+Hooks.InteractiveTable = InteractiveTable;
+Hooks.AvatarCropper = AvatarCropper;
+Hooks.ImportPreview = ImportPreview;
+Hooks.RecordPresence = RecordPresence;
+Hooks.OfflineQueue = OfflineQueue;
+Hooks.CronEditor = CronEditor;
+Hooks.AuditDiff = AuditDiff;
+Hooks.NumberInput = NumberInput;
+Hooks.TextFit = TextFit;
+
 Hooks.DatePicker = {
   mounted() {
-    const parent = this.el.parentElement; // Get the parent element
-    if (
-      parent.classList.contains("ban-future") &&
-      parent.classList.contains("ban-past")
-    ) {
-      console.log("you are an idiot. - Cees");
-      setupDatePicker(this.el, false, false);
-    } else if (
-      parent.classList.contains("ban-future") &&
-      !parent.classList.contains("ban-past")
-    ) {
-      setupDatePicker(this.el, false);
-    } else if (
-      !parent.classList.contains("ban-future") &&
-      parent.classList.contains("ban-past")
-    ) {
-      setupDatePicker(this.el, true, false);
-    } else {
-      setupDatePicker(this.el);
-    }
-
-    if (parent.classList.contains("start-date")) {
-      dateBetween(this.el, "start");
-    }
-    if (parent.classList.contains("end-date")) {
-      dateBetween(this.el, "end");
-    }
+    setupDatePicker(this.el, datePickerConfig(this.el));
   },
   updated() {
-    const parent = this.el.parentElement; // Get the parent element
-    if (
-      parent.classList.contains("ban-future") &&
-      parent.classList.contains("ban-past")
-    ) {
-      setupDatePicker(this.el, false, false);
-    } else if (
-      parent.classList.contains("ban-future") &&
-      !parent.classList.contains("ban-past")
-    ) {
-      setupDatePicker(this.el, false);
-    } else if (
-      !parent.classList.contains("ban-future") &&
-      parent.classList.contains("ban-past")
-    ) {
-      setupDatePicker(this.el, true, false);
-    } else {
-      setupDatePicker(this.el);
-    }
-
-    if (parent.classList.contains("start-date")) {
-      dateBetween(this.el, "start");
-    }
-    if (parent.classList.contains("end-date")) {
-      dateBetween(this.el, "end");
-    }
+    setupDatePicker(this.el, datePickerConfig(this.el));
+  },
+  destroyed() {
+    teardownDatePicker(this.el);
   },
 };
 
 Hooks.DateTimePicker = {
   mounted() {
-    const parent = this.el.parentElement; // Get the parent element
-    if (
-      parent.classList.contains("ban-future") &&
-      parent.classList.contains("ban-past")
-    ) {
-      console.log("you are an idiot. - Cees");
-      setupDatePicker(this.el, false, false, "d/m/Y H:i", "Y-m-d\\TH:i", true);
-    } else if (
-      parent.classList.contains("ban-future") &&
-      !parent.classList.contains("ban-past")
-    ) {
-      setupDatePicker(this.el, false, true, "d/m/Y H:i", "Y-m-d\\TH:i", true);
-    } else if (
-      !parent.classList.contains("ban-future") &&
-      parent.classList.contains("ban-past")
-    ) {
-      setupDatePicker(this.el, true, false, "d/m/Y H:i", "Y-m-d\\TH:i", true);
-    } else {
-      setupDatePicker(this.el, true, true, "d/m/Y H:i", "Y-m-d\\TH:i", true);
-    }
-
-    if (parent.classList.contains("start-date")) {
-      dateBetween(this.el, "start", false);
-    }
-    if (parent.classList.contains("end-date")) {
-      dateBetween(this.el, "end", false);
-    }
+    setupDatePicker(this.el, datePickerConfig(this.el, true));
   },
   updated() {
-    const parent = this.el.parentElement; // Get the parent element
-    if (
-      parent.classList.contains("ban-future") &&
-      parent.classList.contains("ban-past")
-    ) {
-      console.log("you are an idiot. - Cees");
-      setupDatePicker(this.el, false, false, "d/m/Y H:i", "Y-m-d\\TH:i", true);
-    } else if (
-      parent.classList.contains("ban-future") &&
-      !parent.classList.contains("ban-past")
-    ) {
-      setupDatePicker(this.el, false, true, "d/m/Y H:i", "Y-m-d\\TH:i", true);
-    } else if (
-      !parent.classList.contains("ban-future") &&
-      parent.classList.contains("ban-past")
-    ) {
-      setupDatePicker(this.el, true, false, "d/m/Y H:i", "Y-m-d\\TH:i", true);
-    } else {
-      setupDatePicker(this.el, true, true, "d/m/Y H:i", "Y-m-d\\TH:i", true);
-    }
-    if (parent.classList.contains("start-date")) {
-      dateBetween(this.el, "start", false);
-    }
-    if (parent.classList.contains("end-date")) {
-      dateBetween(this.el, "end", false);
-    }
+    setupDatePicker(this.el, datePickerConfig(this.el, true));
+  },
+  destroyed() {
+    teardownDatePicker(this.el);
   },
 };
 
-function setupDatePicker(
-  element,
-  can_be_in_the_future = true,
-  can_be_in_the_past = true,
-  altFormat = "d/m/Y",
-  dateFormat = "Y-m-d",
-  show_time = false
-) {
+// Builds the flatpickr options for a picker from the input's data attributes,
+// falling back to the parent's legacy `ban-future`/`ban-past` classes:
+//
+//   data-min-date / data-max-date  "today", "+90d", "-2w", "+6m", "+1y" or "2025-01-31"
+//   data-disable-weekends          "true" to block Saturdays and Sundays
+//   data-disabled-dates            "2025-12-25,2025-12-26", "2025-12-24..2025-12-31"
+//                                  or a JSON array of dates / {"from", "to"} objects
+//   data-alt-format                display format, e.g. "d M Y" or "m/d/Y h:i K"
+//   data-time-24hr                 "false" for a 12-hour clock (DateTimePicker)
+//   data-minute-increment          minute step of the time picker (DateTimePicker)
+//   data-locale                    BCP 47 tag, e.g. "de", "en-US", "ms-MY"
+//
+// DateTimePicker also shows and picks wall-clock time in the user's time zone
+// and submits an ISO-8601 instant:
+//
+//   data-timezone                  IANA zone, defaults to the browser's (`userTimeZone`)
+//   data-submit-format             "utc" (default, "...Z"), "offset" ("...+08:00")
+//                                  or "naive" for the old zone-less "Y-m-d\TH:i"
+//   data-value                     server value; offset-less values are read as UTC
+function datePickerConfig(element, show_time = false) {
+  const data = element.dataset;
+  const parent = element.parentElement;
+
+  const submitFormat = data.submitFormat || "utc";
+  const timeZone =
+    show_time && submitFormat !== "naive"
+      ? data.timezone || userTimeZone
+      : null;
+  // "Now" and "today" are wall-clock times in the picker's zone.
+  const now = timeZone ? zonedWallTime(new Date(), timeZone) : new Date();
+
   let minDate = null;
   let maxDate = null;
-  if (!can_be_in_the_past) {
-    minDate = "today"; // Disallow dates in the past
+  if (parent.classList.contains("ban-past")) {
+    minDate = parseDateLimit("today", now); // Disallow dates in the past
+  }
+  if (parent.classList.contains("ban-future")) {
+    maxDate = now;
   }
+  if (data.minDate) minDate = parseDateLimit(data.minDate, now, timeZone);
+  if (data.maxDate) maxDate = parseDateLimit(data.maxDate, now, timeZone);
 
-  if (!can_be_in_the_future) {
-    maxDate = new Date();
+  const disable = parseDisabledDates(data.disabledDates);
+  if (data.disableWeekends === "true") {
+    disable.push((date) => date.getDay() === 0 || date.getDay() === 6);
   }
 
-  flatpickr(element, {
+  const time_24hr = data.time24hr !== "false";
+  const defaultAltFormat = !show_time
+    ? "d/m/Y"
+    : time_24hr
+    ? "d/m/Y H:i"
+    : "d/m/Y h:i K";
+
+  return {
     enableTime: show_time,
+    altFormat: data.altFormat || defaultAltFormat,
+    dateFormat: show_time ? "Y-m-d\\TH:i" : "Y-m-d",
+    minDate: minDate,
+    maxDate: maxDate,
+    disable: disable,
+    time_24hr: time_24hr,
+    minuteIncrement: parseInt(data.minuteIncrement) || 5,
+    locale: datePickerLocale(data.locale),
+    timeZone: timeZone,
+    submitFormat: submitFormat,
+  };
+}
+
+// Accepts "today", a rolling offset from today ("+90d", "-2w", "+6m", "+1y")
+// or a date string; returns null for anything unparseable. Date-times are
+// instants, shown as wall-clock time in `timeZone` when one is given.
+function parseDateLimit(value, now = new Date(), timeZone = null) {
+  if (!value) return null;
+
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  if (value === "today") return date;
+
+  const relative = /^([+-]\d+)([dwmy])$/.exec(value.trim());
+  if (relative) {
+    const amount = parseInt(relative[1]);
+    switch (relative[2]) {
+      case "d":
+        date.setDate(date.getDate() + amount);
+        break;
+      case "w":
+        date.setDate(date.getDate() + amount * 7);
+        break;
+      case "m":
+        date.setMonth(date.getMonth() + amount);
+        break;
+      case "y":
+        date.setFullYear(date.getFullYear() + amount);
+        break;
+    }
+    return date;
+  }
+
+  // Plain ISO dates are local days, not UTC midnight.
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (iso) return new Date(iso[1], iso[2] - 1, iso[3]);
+
+  const parsed = timeZone ? parseServerDateTime(value) : new Date(value);
+  if (!parsed || isNaN(parsed)) return null;
+  return timeZone ? zonedWallTime(parsed, timeZone) : parsed;
+}
+
+function parseDisabledDates(value) {
+  if (!value) return [];
+
+  let entries = [];
+  if (value.trim().startsWith("[")) {
+    try {
+      entries = JSON.parse(value);
+    } catch (_error) {
+      console.warn("Ignoring invalid data-disabled-dates:", value);
+      return [];
+    }
+  } else {
+    entries = value.split(",").map((entry) => {
+      const [from, to] = entry.split("..");
+      return to === undefined ? from : { from, to };
+    });
+  }
+
+  return entries
+    .map((entry) => {
+      if (typeof entry === "string") return parseDateLimit(entry);
+      const from = parseDateLimit(entry.from);
+      const to = parseDateLimit(entry.to);
+      return from && to ? { from, to } : null;
+    })
+    .filter(Boolean);
+}
+
+// flatpickr.min.js only ships English, so other locales are built from Intl.
+const datePickerLocales = {};
+
+function datePickerLocale(tag) {
+  if (!tag) return "default";
+  if (flatpickr.l10ns[tag]) return tag;
+  if (datePickerLocales[tag]) return datePickerLocales[tag];
+
+  try {
+    const names = (options, dates) =>
+      dates.map((date) => new Intl.DateTimeFormat(tag, options).format(date));
+    // 1 January 2023 was a Sunday, matching flatpickr's weekday order.
+    const weekdays = [...Array(7).keys()].map((i) => new Date(2023, 0, 1 + i));
+    const months = [...Array(12).keys()].map((i) => new Date(2023, i, 1));
+
+    const locale = {
+      weekdays: {
+        shorthand: names({ weekday: "short" }, weekdays),
+        longhand: names({ weekday: "long" }, weekdays),
+      },
+      months: {
+        shorthand: names({ month: "short" }, months),
+        longhand: names({ month: "long" }, months),
+      },
+    };
+
+    const intlLocale = new Intl.Locale(tag);
+    const weekInfo = intlLocale.getWeekInfo
+      ? intlLocale.getWeekInfo()
+      : intlLocale.weekInfo;
+    if (weekInfo) locale.firstDayOfWeek = weekInfo.firstDay % 7;
+
+    datePickerLocales[tag] = locale;
+    return locale;
+  } catch (_error) {
+    console.warn("Unsupported data-locale, using the default:", tag);
+    return "default";
+  }
+}
+
+function setupDatePicker(element, { timeZone, submitFormat, ...config }) {
+  const show_time = config.enableTime;
+  const range = linkDateRange(element, show_time);
+  // Date-only ranges pick both ends from the start calendar, unless days are
+  // disabled: flatpickr's range mode refuses ranges spanning a disabled day.
+  const pickBothEnds =
+    range && range.role === "start" && !show_time && !config.disable.length;
+
+  if (timeZone) {
+    // flatpickr only knows the browser's zone, so it is handed wall-clock
+    // times in `timeZone` and the input is rewritten with the instant.
+    const value = parseServerDateTime(element.dataset.value || element.value);
+    config.defaultDate = value ? zonedWallTime(value, timeZone) : [];
+  }
+
+  flatpickr(element, {
+    ...config,
+    mode: pickBothEnds ? "range" : "single",
     altInput: true,
-    altFormat: altFormat,
-    dateFormat: dateFormat,
-    minDate: minDate, // Apply minDate dynamically
-    maxDate: maxDate, // Apply maxDate dynamically
     allowInput: true,
-    onChange: () => {
+    onChange: (selectedDates) => {
+      // The end picker following along is dropped as a repeat.
+      feedback("date");
+      // Sync first so the end picker's minDate accepts the picked end.
+      if (range) syncDateRange(range.entry);
+      if (pickBothEnds && selectedDates.length === 2) {
+        const endPicker = range.entry.end?._flatpickr;
+        if (endPicker) endPicker.setDate(selectedDates[1], true);
+      }
       element.dispatchEvent(new Event("input", { bubbles: true }));
     },
     onClose: () => {
       element.dispatchEvent(new Event("blur", { bubbles: true }));
     },
+    onOpen: (selectedDates, dateStr, instance) => {
+      if (!pickBothEnds) return;
+      // Show the whole range when the start calendar opens.
+      const end = range.entry.end?._flatpickr?.selectedDates[0];
+      if (selectedDates[0] && end) instance.setDate([selectedDates[0], end]);
+    },
+    onValueUpdate: (selectedDates, dateStr, instance) => {
+      if (timeZone) writeZonedValue(instance, timeZone, submitFormat);
+      if (!pickBothEnds) return;
+      // Range mode writes "start to end"; keep only the start date here.
+      const start = selectedDates[0];
+      instance.input.value = start
+        ? instance.formatDate(start, instance.config.dateFormat)
+        : "";
+      if (instance.altInput) {
+        instance.altInput.value = start
+          ? instance.formatDate(start, instance.config.altFormat)
+          : "";
+      }
+    },
+    onDayCreate: (selectedDates, dateStr, instance, dayElem) => {
+      if (!range || range.role !== "end") return;
+      markDateRangeDay(range.entry, dayElem);
+    },
     onReady: function (selectedDates, dateStr, instance) {
       const calendarContainer = instance.calendarContainer;
 
@@ -191,7 +340,8 @@ function setupDatePicker(
         todayButton.className = "today-button";
         todayButton.textContent = "Today";
         todayButton.addEventListener("click", () => {
-          instance.setDate(new Date(), true);
+          const now = new Date();
+          instance.setDate(timeZone ? zonedWallTime(now, timeZone) : now, true);
           instance.close();
         });
 
@@ -209,287 +359,252 @@ function setupDatePicker(
         customButtonsContainer.appendChild(clearButton);
         calendarContainer.appendChild(customButtonsContainer);
       }
+
+      if (timeZone) writeZonedValue(instance, timeZone, submitFormat);
     },
   });
 
+  if (range) {
+    if (range.role === "start") range.entry.startPicksBothEnds = pickBothEnds;
+    range.entry.limits[range.role] = {
+      minDate: config.minDate,
+      maxDate: config.maxDate,
+    };
+    syncDateRange(range.entry);
+  }
+
   // **Dispatch 'input' event on mount to trigger validation**
   element.dispatchEvent(new Event("input", { bubbles: true }));
 }
 
-function dateBetween(element, date_type, truncate_time = true) {
-  let start_date = null;
-  let end_date = null;
-
-  if (date_type == "start") {
-    start_date = new Date(element.value);
-    end_date = new Date(
-      element.parentElement.parentElement
-        .querySelector(".end-date")
-        .querySelector("input").value
-    );
-  }
-  if (date_type == "end") {
-    start_date = new Date(
-      element.parentElement.parentElement
-        .querySelector(".start-date")
-        .querySelector("input").value
-    );
-    end_date = new Date(element.value);
-  }
-  if (isNaN(start_date)) {
-    start_date = new Date(); // default it to today.
-  }
-  if (isNaN(end_date)) {
-    end_date = new Date();
-  }
-
-  if (truncate_time) {
-    // Normalize both dates to midnight
-    start_date.setHours(0, 0, 0, 0);
-    end_date.setHours(0, 0, 0, 0);
-  }
-
-  const diffInMilliseconds = end_date - start_date;
-  const diffInDays = (diffInMilliseconds / (1000 * 60 * 60 * 24)).toFixed(1);
-
-  //find the difference between the 2 dates and put it in ".date-between-result" input.
-  element.parentElement.parentElement
-    .querySelector(".date-between-result")
-    .querySelector("input").value = diffInDays;
+function teardownDatePicker(element) {
+  unlinkDateRange(element);
+  if (element._flatpickr) element._flatpickr.destroy();
+  removeTimeZoneBadge(element);
 }
 
-function simulateClick(element) {
-  const event = new MouseEvent("click", {
-    view: window,
-    bubbles: true,
-    cancelable: true,
-  });
-  element.dispatchEvent(event);
+// Reads a server datetime. Offset-less values ("2025-01-10T05:30") are UTC,
+// matching how naive timestamps are stored.
+function parseServerDateTime(value) {
+  if (!value) return null;
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+  const date = new Date(
+    hasOffset || !value.includes("T") ? value : `${value}Z`
+  );
+  return isNaN(date) ? null : date;
 }
 
-Hooks.FlashAutoDismiss = {
-  timer: null,
-
-  startTimer() {
-    if (this.timer) {
-      clearTimeout(this.timer);
-    }
-
-    const duration = this.el.dataset.duration;
-    if (!duration) return;
-
-    this.timer = setTimeout(() => {
-      this.el.classList.add("animate-fade-out");
-
-      this.el.addEventListener('animationend', () => {
-        simulateClick(this.el);
-      }, { once: true });
-
-    }, duration);
-  },
+function formatZonedDateTime(wallTime, timeZone, submitFormat) {
+  const instant = zonedInstant(wallTime, timeZone);
+  if (submitFormat !== "offset") return instant.toISOString();
+
+  const pad = (n) => String(Math.abs(n)).padStart(2, "0");
+  const offset = zoneOffsetMinutes(instant, timeZone);
+  return (
+    `${wallTime.getFullYear()}-${pad(wallTime.getMonth() + 1)}-` +
+    `${pad(wallTime.getDate())}T${pad(wallTime.getHours())}:` +
+    `${pad(wallTime.getMinutes())}:${pad(wallTime.getSeconds())}` +
+    `${offset < 0 ? "-" : "+"}${pad(offset / 60)}:${pad(offset % 60)}`
+  );
+}
 
-  mounted() {
-    this.startTimer();
-  },
+function timeZoneAbbreviation(instant, timeZone) {
+  const part = new Intl.DateTimeFormat(undefined, {
+    timeZone: timeZone,
+    timeZoneName: "short",
+  })
+    .formatToParts(instant)
+    .find(({ type }) => type === "timeZoneName");
+  return part ? part.value : timeZone;
+}
 
-  updated() {
-    this.startTimer();
-  },
+function writeZonedValue(instance, timeZone, submitFormat) {
+  const wallTime = instance.selectedDates[0];
+  instance.input.value = wallTime
+    ? formatZonedDateTime(wallTime, timeZone, submitFormat)
+    : "";
+  updateTimeZoneBadge(instance, timeZone, wallTime);
+}
 
-  destroyed() {
-    if (this.timer) {
-      clearTimeout(this.timer);
-    }
+// Shows the zone next to the input; the abbreviation follows the picked date
+// so it switches across daylight saving changes.
+function updateTimeZoneBadge(instance, timeZone, wallTime) {
+  const element = instance.input;
+  const anchor = instance.altInput || element;
+  if (!element._timeZoneBadge) {
+    const badge = document.createElement("span");
+    badge.className = "mt-1 block text-xs text-muted";
+    element._timeZoneBadge = badge;
+  }
+  if (anchor.nextElementSibling !== element._timeZoneBadge) {
+    anchor.insertAdjacentElement("afterend", element._timeZoneBadge);
   }
-};
-
-Hooks.AutoResize = {
-  mounted() {
-    // Auto-resize logic if ignore autosize is false or undefined (to support previous logic.)
-    if (
-      this.el.dataset.resizetextarea == undefined ||
-      (this.el.dataset.resizetextarea === "true") == true
-    ) {
-      this.resizeTextarea();
-      this.el.addEventListener("input", () => this.resizeTextarea());
-    }
-    if (this.el.dataset.maxRows != undefined) {
-      // Limit Max Row
-      this.limitMaxRows();
-    }
-  },
-
-  updated() {
-    this.resizeTextarea();
-  },
-
-  resizeTextarea() {
-    this.el.style.overflow = "hidden";
-    this.el.style.height = "auto";
-    this.el.style.height = `${this.el.scrollHeight}px`;
-  },
-
-  limitMaxRows() {
-    const maxRows = this.el.dataset.maxRows;
-
-    this.el.addEventListener("input", () => {
-      // Get the line height
-      const lineHeight = parseFloat(getComputedStyle(this.el).lineHeight);
-
-      // Calculate rendered lines
-      const linesUsed = Math.floor(this.el.scrollHeight / lineHeight);
-      if (linesUsed > maxRows) {
-        // Trim the last character (or revert to previous value) to enforce max rows
-        this.el.value = this.el.value.slice(0, -1);
-      }
-    });
-  },
-};
 
-Hooks.LiveSelectAbsolute = {
-  mounted() {
-    if (!this.el.id) {
-      this.el.id = `lswrapper-${globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2)}`;
-    }
+  const instant = wallTime ? zonedInstant(wallTime, timeZone) : new Date();
+  const abbreviation = timeZoneAbbreviation(instant, timeZone);
+  element._timeZoneBadge.textContent = abbreviation;
+  element._timeZoneBadge.title = timeZone;
+}
 
-    this.wrapper = this.el
-    this.wrapper.style.position = 'relative'
+function removeTimeZoneBadge(element) {
+  if (!element._timeZoneBadge) return;
+  element._timeZoneBadge.remove();
+  delete element._timeZoneBadge;
+}
 
-    this.handleScroll = this.handleScroll.bind(this)
-    this.handleResize = this.handleResize.bind(this)
-    this.onDocClick = this.onDocClick.bind(this)
-    this.maintainZIndex = this.maintainZIndex.bind(this)
+// Start/end picker pairs, keyed by their `data-date-range` name or, for the
+// legacy `.start-date`/`.end-date` wrappers, by the element containing both.
+const dateRanges = new Map();
+
+// Resolves which range (if any) a picker belongs to and its role in it.
+// Declarative markup:
+//   <input data-date-range="login" data-date-range-role="start" ... />
+//   <input data-date-range="login" data-date-range-role="end" ... />
+//   <input data-date-range="login" data-date-range-role="result" readonly />
+function dateRangeOf(element) {
+  const name = element.dataset.dateRange;
+  if (name) {
+    const role = element.dataset.dateRangeRole;
+    return role === "start" || role === "end" ? { key: name, role } : null;
+  }
 
-    this.liveSelectEl = this.wrapper.querySelector('[phx-hook="LiveSelect"]')
+  const parent = element.parentElement;
+  let role = null;
+  if (parent.classList.contains("start-date")) role = "start";
+  if (parent.classList.contains("end-date")) role = "end";
+  if (!role) return null;
+
+  let container = parent.parentElement;
+  while (
+    container &&
+    !(
+      container.querySelector(".start-date") &&
+      container.querySelector(".end-date")
+    )
+  ) {
+    container = container.parentElement;
+  }
+  return container ? { key: container, role } : null;
+}
 
-    this.setupObserver()
+function linkDateRange(element, show_time) {
+  const range = dateRangeOf(element);
+  if (!range) return null;
 
-    window.addEventListener("scroll", this.handleScroll, true)
-    window.addEventListener("resize", this.handleResize, true)
-    document.addEventListener("mousedown", this.onDocClick)
+  let entry = dateRanges.get(range.key);
+  if (!entry) {
+    entry = { key: range.key, start: null, end: null, limits: {} };
+    dateRanges.set(range.key, entry);
+  }
+  entry[range.role] = element;
+  entry.truncateTime = !show_time;
 
-    this.zIndexInterval = setInterval(this.maintainZIndex, 100)
+  return { ...range, entry };
+}
 
-    if (this.liveSelectEl) {
-      const raise = () => {
-        this.ensureHighZIndex()
-        setTimeout(() => this.repositionDropdown(), 256)
-      }
+function unlinkDateRange(element) {
+  dateRanges.forEach((entry, key) => {
+    if (entry.start === element) entry.start = null;
+    if (entry.end === element) entry.end = null;
+    if (!entry.start && !entry.end) dateRanges.delete(key);
+  });
+}
 
-      this.liveSelectEl.addEventListener("focusin", raise)
-      this.liveSelectEl.addEventListener("click", raise)
-      this.liveSelectEl.addEventListener("input", raise)
-    }
-  },
+function laterDate(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return a > b ? a : b;
+}
 
-  maintainZIndex() {
-    const dropdownEl = this.getDropdownEl()
-    if (dropdownEl && getComputedStyle(dropdownEl).display !== 'none') {
-      this.ensureHighZIndex()
-    } else {
-      this.ensureLowZIndex()
-    }
-  },
+function earlierDate(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return a < b ? a : b;
+}
 
-  ensureHighZIndex() {
-    const targetZ = '9999'
-    if (this.wrapper.style.zIndex !== targetZ) {
-      this.wrapper.style.zIndex = targetZ
-      this.wrapper.style.position = 'relative'
-    }
-  },
+// Keeps the end at or after the start, narrows each picker's min/max to the
+// other end and refreshes the "days between" result.
+function syncDateRange(entry) {
+  const startPicker = entry.start?._flatpickr;
+  const endPicker = entry.end?._flatpickr;
+  if (!startPicker || !endPicker) return;
+
+  const start = startPicker.selectedDates[0] || null;
+  const end = endPicker.selectedDates[0] || null;
+  const startLimits = entry.limits.start || {};
+  const endLimits = entry.limits.end || {};
+
+  endPicker.set(
+    "minDate",
+    laterDate(start, startPicker.parseDate(endLimits.minDate))
+  );
+  // A range calendar on the start must still be able to move the end.
+  if (!entry.startPicksBothEnds) {
+    startPicker.set(
+      "maxDate",
+      earlierDate(end, startPicker.parseDate(startLimits.maxDate))
+    );
+  }
 
-  ensureLowZIndex() {
-    const targetZ = '1'
-    if (this.wrapper.style.zIndex !== targetZ) {
-      this.wrapper.style.zIndex = targetZ
-    }
-  },
+  if (start && end && end < start) {
+    // Triggers the end picker's onChange, which syncs again.
+    endPicker.setDate(start, true);
+    return;
+  }
 
-  updated() {
-    this.repositionDropdown()
-    this.maintainZIndex()
-  },
+  endPicker.redraw();
+  updateDateRangeResult(entry);
+}
 
-  destroyed() {
-    if (this.zIndexInterval) {
-      clearInterval(this.zIndexInterval)
-    }
-    document.removeEventListener("mousedown", this.onDocClick)
-    window.removeEventListener("scroll", this.handleScroll, true)
-    window.removeEventListener("resize", this.handleResize, true)
-    if (this.observer) this.observer.disconnect()
-  },
+function markDateRangeDay(entry, dayElem) {
+  const start = entry.start?._flatpickr?.selectedDates[0];
+  const end = entry.end?._flatpickr?.selectedDates[0];
+  if (!start || !dayElem.dateObj) return;
 
-  onDocClick(ev) {
-    if (!this.wrapper.contains(ev.target)) {
-      const dropdownEl = this.getDropdownEl()
-      if (dropdownEl && getComputedStyle(dropdownEl).display !== 'none') {
-        setTimeout(() => {
-          const stillThere = this.getDropdownEl()
-          if (!stillThere || getComputedStyle(stillThere).display === 'none') {
-            this.ensureLowZIndex()
-          }
-        }, 150)
-      }
-    }
-  },
+  const day = new Date(dayElem.dateObj).setHours(0, 0, 0, 0);
+  const startDay = new Date(start).setHours(0, 0, 0, 0);
+  const endDay = end ? new Date(end).setHours(0, 0, 0, 0) : null;
 
-  setupObserver() {
-    this.observer = new MutationObserver(ms => {
-      for (let m of ms) {
-        for (let node of m.addedNodes) {
-          if (node.tagName === 'UL' && node.classList.contains('absolute')) {
-            this.ensureHighZIndex()
-            this.repositionDropdown()
-            return
-          }
-        }
-        for (let node of m.removedNodes) {
-          if (node.tagName === 'UL' && node.classList.contains('absolute')) {
-            this.ensureLowZIndex()
-            return
-          }
-        }
-      }
-    })
+  if (day === startDay) dayElem.classList.add("startRange");
+  if (endDay && day > startDay && day < endDay) {
+    dayElem.classList.add("inRange");
+  }
+}
 
-    if (this.liveSelectEl) {
-      this.observer.observe(this.liveSelectEl, { childList: true, subtree: true })
-    }
-  },
+function dateRangeResultInput(entry) {
+  const target =
+    typeof entry.key === "string"
+      ? document.querySelector(
+          `[data-date-range="${CSS.escape(entry.key)}"]` +
+            `[data-date-range-role="result"]`
+        )
+      : entry.key.querySelector(".date-between-result");
+  if (!target) return null;
+  return target.matches("input") ? target : target.querySelector("input");
+}
 
-  handleScroll() { this.repositionDropdown() },
-  handleResize() { this.repositionDropdown() },
+function updateDateRangeResult(entry) {
+  const result = dateRangeResultInput(entry);
+  if (!result) return;
 
-  repositionDropdown() {
-    const inputEl = this.wrapper.querySelector("input")
-    const dropdownEl = this.getDropdownEl()
+  // Missing ends default to today.
+  const start_date = new Date(
+    entry.start._flatpickr.selectedDates[0] || Date.now()
+  );
+  const end_date = new Date(
+    entry.end._flatpickr.selectedDates[0] || Date.now()
+  );
 
-    if (!inputEl || !dropdownEl) return
-    if (getComputedStyle(dropdownEl).display === 'none') return
+  if (entry.truncateTime) {
+    // Normalize both dates to midnight
+    start_date.setHours(0, 0, 0, 0);
+    end_date.setHours(0, 0, 0, 0);
+  }
 
-    const r = inputEl.getBoundingClientRect()
-    Object.assign(dropdownEl.style, {
-      position: 'fixed',
-      top: `${r.bottom}px`,
-      left: `${r.left}px`,
-      width: `${r.width}px`,
-      zIndex: '10000'
-    })
-    dropdownEl.classList.add("positioned-dropdown")
-  },
+  const diffInMilliseconds = end_date - start_date;
+  const diffInDays = (diffInMilliseconds / (1000 * 60 * 60 * 24)).toFixed(1);
 
-  getDropdownEl() {
-    if (this.liveSelectEl) {
-      const d = this.liveSelectEl.querySelector("ul.absolute")
-      if (d) return d
-    }
-    if (this.wrapper.id) {
-      return document.querySelector(`ul[data-parent="${this.wrapper.id}"]`)
-    }
-    return null
-  }
+  result.value = diffInDays;
 }
 
 const userTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
@@ -501,20 +616,27 @@ let csrfToken = document
 let liveSocket = new LiveSocket("/live", Socket, {
   longPollFallbackMs: 2500,
   params: { _csrf_token: csrfToken, user_timezone: userTimeZone },
-  hooks: { ...Hooks, ...live_select }, // Register hooks
+  hooks: instrumentHooks({ ...Hooks, ...live_select }), // Register hooks
 });
 
-const rootComputedStyle = getComputedStyle(document.documentElement);
-const topbarColor =
-  rootComputedStyle.getPropertyValue("--color-primary").trim() ||
-  rootComputedStyle.getPropertyValue("--color-brand").trim() ||
-  getComputedStyle(document.body).getPropertyValue("color");
-const topbarShadow =
-  rootComputedStyle.getPropertyValue("--color-shadow-strong").trim() ||
-  rootComputedStyle.getPropertyValue("--color-overlay").trim();
-
-// Show progress bar on live navigation and form submits
-topbar.config({ barColors: { 0: topbarColor }, shadowColor: topbarShadow });
+// Browser errors, hook failures and timings, reported to the server.
+setupTelemetry(liveSocket);
+
+// Show progress bar on live navigation and form submits, in the theme colours
+function configureTopbar() {
+  topbar.config({
+    barColors: {
+      0:
+        themeColor("--color-primary") ||
+        themeColor("--color-brand") ||
+        getComputedStyle(document.body).getPropertyValue("color"),
+    },
+    shadowColor:
+      themeColor("--color-shadow-strong") || themeColor("--color-overlay"),
+  });
+}
+configureTopbar();
+onThemeChange(configureTopbar);
 window.addEventListener("phx:page-loading-start", (_info) => topbar.show(300));
 window.addEventListener("phx:page-loading-stop", (_info) => topbar.hide());
 
@@ -527,74 +649,21 @@ liveSocket.connect();
 // >> liveSocket.disableLatencySim()
 window.liveSocket = liveSocket;
 
-// if the parent changes changes all the children to the same thing.
-document.addEventListener("rootchanged", function (e) {
-  ChangeChildren(e, e.target.getAttribute("id"));
-});
-
-// if the child changes, makes sure the parent has at least the same permissions.
-document.addEventListener("childchanged", function (e) {
-  let parentddl = document.getElementById(e.target.getAttribute("parent"));
-  if (parentddl) {
-    if (parseInt(e.target.value) > parseInt(parentddl.value)) {
-      parentddl.value = e.target.value;
-      if (parentddl.getAttribute("parent") != "") {
-        parentddl.dispatchEvent(new Event("childchanged", { bubbles: true }));
-      }
-    }
-  }
-});
-
-// change all the children based on the parent.
-function ChangeChildren(e, parent) {
-  let newValue = e.target.value;
-  const childrenforsales = document.querySelectorAll(
-    "[parent='" + parent + "']"
-  );
-  childrenforsales.forEach(function (el, index) {
-    el.value = newValue;
-    ChangeChildren(e, el.getAttribute("id"));
-  });
-}
-
 // Topbar permission dropdowns (CSP-safe: no inline handlers).
-function hideAllDropdownMenus() {
-  document.querySelectorAll(".dropdown-menu").forEach((menu) => {
-    menu.classList.remove("opacity-100", "visible");
-    menu.classList.add("opacity-0", "invisible");
-    const btn = document.querySelector(
-      `[data-dropdown-target="${menu.id}"]`
-    );
-    if (btn) btn.setAttribute("aria-expanded", "false");
-  });
-}
+setupMenus();
 
-document.addEventListener("click", (e) => {
-  const toggle = e.target.closest(".dropdown-toggle");
-  if (toggle) {
-    const menuId = toggle.getAttribute("data-dropdown-target");
-    const menu = document.getElementById(menuId);
-    if (!menu) return;
-    const isOpen = menu.classList.contains("opacity-100");
-    hideAllDropdownMenus();
-    if (!isOpen) {
-      menu.classList.remove("opacity-0", "invisible");
-      menu.classList.add("opacity-100", "visible");
-      toggle.setAttribute("aria-expanded", "true");
-    }
-    return;
-  }
+// Light/dark/system/organisation theme menu.
+setupTheme();
 
-  if (e.target.closest(".dropdown-menu")) {
-    hideAllDropdownMenus();
-    return;
-  }
+// Export buttons of `exportable` tables.
+setupTableExport();
 
-  if (!e.target.closest(".dropdown")) {
-    hideAllDropdownMenus();
-  }
-});
+// Connection indicator and the count of submits waiting to be sent.
+setupConnectionStatus(liveSocket);
 
-document.addEventListener("keydown", (e) => {
-  if (e.key === "Escape") hideAllDropdownMenus();
-});
+// `data-shortcut` keys, the `?` cheat sheet and the Ctrl/Cmd+K palette.
+setupShortcuts();
+setupCommandPalette();
+
+// Vibration and sounds for saves, errors and picks.
+setupFeedback();
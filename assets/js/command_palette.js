@@ -0,0 +1,293 @@
+// Command palette: Ctrl/Cmd+K, then type to find a page or an action.
+//
+// Pages are the links of the topbar menus in the root layout, which only
+// holds what the current user's role can reach, so the palette offers the
+// same pages under their menu path ("Settings › Master Data › Currencies").
+// Actions are the elements the current page marks with `data-command` (the
+// entry's text) or `data-shortcut` (see shortcuts.js), as long as they are
+// shown and enabled:
+//
+//   <.button data-command="New currency" data-shortcut="n">New</.button>
+//
+// Running an entry clicks its link or element, so navigation goes through
+// LiveView and the unsaved-changes guard like a click would. Matching is
+// fuzzy: the typed letters must appear in order, and runs of them and word
+// starts rank higher. The palette is the #command-palette dialog in the root
+// layout.
+
+import {
+  activate,
+  elementLabel,
+  keysElement,
+  openShortcutHelp,
+  pageElements,
+  registerShortcut,
+} from "./shortcuts";
+
+const MAX_RESULTS = 50;
+
+let entries = [];
+let results = [];
+let active = 0;
+let returnFocus = null;
+
+function palette() {
+  return document.getElementById("command-palette");
+}
+
+function text(element) {
+  return element.textContent.replace(/\s+/g, " ").trim();
+}
+
+// "Settings › Master Data" for a link inside the Master Data submenu.
+function menuPath(link) {
+  const path = [];
+  let menu = link.closest("[role='menu']");
+  while (menu) {
+    const toggle = document.getElementById(
+      menu.getAttribute("aria-labelledby")
+    );
+    if (toggle) path.unshift(text(toggle));
+    menu = menu.parentElement && menu.parentElement.closest("[role='menu']");
+  }
+  return path.join(" › ");
+}
+
+function pageEntries() {
+  const seen = new Set();
+  return [...document.querySelectorAll("header a[href]")]
+    .filter((link) => {
+      const href = link.getAttribute("href");
+      if (link.hasAttribute("data-method") || !text(link) || seen.has(href)) {
+        return false;
+      }
+      seen.add(href);
+      return true;
+    })
+    .map((link) => ({
+      kind: "Page",
+      label: text(link),
+      detail: menuPath(link),
+      run: () => link.click(),
+    }));
+}
+
+function actionEntries() {
+  const seen = new Set();
+  return pageElements("[data-command], [data-shortcut]")
+    .filter((element) => !element.closest("#command-palette"))
+    .map((element) => ({
+      kind: "Action",
+      label: elementLabel(element),
+      keys: element.dataset.shortcut,
+      run: () => activate(element),
+    }))
+    .filter(({ label }) => label && !seen.has(label) && seen.add(label));
+}
+
+function builtInEntries() {
+  return [
+    {
+      kind: "Action",
+      label: "Show keyboard shortcuts",
+      keys: "?",
+      run: openShortcutHelp,
+    },
+  ];
+}
+
+// Positions of `query`'s letters in `text` and a score, or null when they do
+// not all appear in order.
+function fuzzyMatch(query, text) {
+  const haystack = text.toLowerCase();
+  const positions = [];
+  let score = 0;
+  let from = 0;
+  for (const char of query.toLowerCase().replace(/\s+/g, "")) {
+    const at = haystack.indexOf(char, from);
+    if (at === -1) return null;
+    const previous = positions[positions.length - 1];
+    if (previous !== undefined && at === previous + 1) score += 5;
+    if (at === 0 || /[\s›/-]/.test(haystack[at - 1])) score += 3;
+    score -= Math.min(at - from, 3);
+    positions.push(at);
+    from = at + 1;
+  }
+  return { positions, score };
+}
+
+function search(query) {
+  if (!query.trim()) return entries.slice(0, MAX_RESULTS);
+
+  return entries
+    .map((entry) => {
+      const label = fuzzyMatch(query, entry.label);
+      const detail =
+        entry.detail && fuzzyMatch(query, `${entry.detail} ${entry.label}`);
+      const best = label && (!detail || label.score >= detail.score - 2);
+      const match = best ? label : detail;
+      return (
+        match && {
+          ...entry,
+          score: match.score,
+          positions: best ? label.positions : [],
+        }
+      );
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.label.length - b.label.length)
+    .slice(0, MAX_RESULTS);
+}
+
+function highlighted(label, positions = []) {
+  const span = document.createElement("span");
+  const marked = new Set(positions);
+  [...label].forEach((char, i) => {
+    if (marked.has(i)) {
+      const mark = document.createElement("mark");
+      mark.className = "bg-transparent font-semibold text-themePrimary";
+      mark.textContent = char;
+      span.appendChild(mark);
+    } else {
+      span.appendChild(document.createTextNode(char));
+    }
+  });
+  return span;
+}
+
+function render() {
+  const root = palette();
+  const list = root.querySelector("[role=listbox]");
+  const input = root.querySelector("[data-role=search]");
+
+  list.replaceChildren(
+    ...results.map((entry, i) => {
+      const option = document.createElement("li");
+      option.id = `command-palette-option-${i}`;
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", String(i === active));
+      option.dataset.index = i;
+      option.className =
+        "flex cursor-pointer items-center gap-3 rounded-lg px-3 py-2" +
+        (i === active ? " bg-themePrimary" : "");
+
+      const kind = document.createElement("span");
+      kind.className = "w-14 flex-none text-xs text-muted";
+      kind.textContent = entry.kind;
+
+      const body = document.createElement("span");
+      body.className = "flex min-w-0 flex-1 flex-col";
+      body.appendChild(highlighted(entry.label, entry.positions));
+      if (entry.detail) {
+        const detail = document.createElement("span");
+        detail.className = "truncate text-xs text-muted";
+        detail.textContent = entry.detail;
+        body.appendChild(detail);
+      }
+
+      option.append(kind, body);
+      if (entry.keys) option.appendChild(keysElement(entry.keys));
+      return option;
+    })
+  );
+
+  root
+    .querySelector("[data-role=empty]")
+    .classList.toggle("hidden", results.length > 0);
+  if (results.length > 0) {
+    input.setAttribute(
+      "aria-activedescendant",
+      `command-palette-option-${active}`
+    );
+    list.children[active].scrollIntoView({ block: "nearest" });
+  } else {
+    input.removeAttribute("aria-activedescendant");
+  }
+}
+
+function update() {
+  results = search(palette().querySelector("[data-role=search]").value);
+  active = 0;
+  render();
+}
+
+export function openCommandPalette() {
+  const root = palette();
+  if (!root) return;
+  if (!root.classList.contains("hidden")) {
+    root.querySelector("[data-role=search]").select();
+    return;
+  }
+
+  // Gathered on opening: the page's actions change as it does.
+  entries = [...pageEntries(), ...actionEntries(), ...builtInEntries()];
+  returnFocus = document.activeElement;
+  const input = root.querySelector("[data-role=search]");
+  input.value = "";
+  root.classList.remove("hidden");
+  input.focus();
+  update();
+}
+
+function close({ restoreFocus = true } = {}) {
+  const root = palette();
+  if (!root || root.classList.contains("hidden")) return;
+  root.classList.add("hidden");
+  if (restoreFocus && returnFocus && returnFocus.isConnected) {
+    returnFocus.focus();
+  }
+  returnFocus = null;
+}
+
+function runEntry(index) {
+  const entry = results[index];
+  if (!entry) return;
+  // The action may move focus itself (a field, a modal).
+  close({ restoreFocus: entry.kind === "Page" });
+  entry.run();
+}
+
+function onKeydown(e) {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (results.length === 0) return;
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    active = (active + step + results.length) % results.length;
+    render();
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runEntry(active);
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    close();
+  } else if (e.key === "Tab") {
+    // The search field is the only stop.
+    e.preventDefault();
+  }
+}
+
+export function setupCommandPalette() {
+  const root = palette();
+  if (!root) return;
+
+  registerShortcut("mod+k", "Open the command palette", openCommandPalette);
+
+  const input = root.querySelector("[data-role=search]");
+  input.addEventListener("input", update);
+  input.addEventListener("keydown", onKeydown);
+  root.addEventListener("click", (e) => {
+    const option = e.target.closest("[role=option]");
+    if (option) {
+      runEntry(Number(option.dataset.index));
+    } else if (e.target.closest("[data-role=backdrop]")) {
+      close();
+    }
+  });
+  root.addEventListener("mousemove", (e) => {
+    const option = e.target.closest("[role=option]");
+    if (option && Number(option.dataset.index) !== active) {
+      active = Number(option.dataset.index);
+      render();
+    }
+  });
+}
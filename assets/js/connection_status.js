@@ -0,0 +1,111 @@
+// Connection indicator in the corner of every page (root layout):
+//
+//   <div id="connection-status" role="status" ...>
+//     <span data-role="dot"></span> <span data-role="text"></span>
+//     <a data-role="queued"></a>
+//   </div>
+//
+// Follows the LiveView socket: "Reconnecting in 4s" counting down to the next
+// attempt while it is closed, "Offline" while the browser has no network, and
+// "Connected" for a moment once it is back. It stays up while form submits
+// wait in the offline queue (hooks/offline_queue.js), with a link to the page
+// of the first one when that is not the current page.
+
+import { queuedSubmits } from "./hooks/offline_queue";
+
+// How long "Connected" stays up after a reconnect.
+const CONNECTED_NOTICE_MS = 3000;
+
+const STATES = {
+  connected: { dot: "bg-success", text: () => "Connected" },
+  reconnecting: {
+    dot: "bg-warningFg animate-pulse",
+    text: (seconds) =>
+      seconds > 0 ? `Reconnecting in ${seconds}s` : "Reconnecting…",
+  },
+  offline: { dot: "bg-danger", text: () => "Offline" },
+};
+
+let state = "connected";
+let nextAttemptAt = null;
+let noticeUntil = 0;
+let ticker = null;
+let unloading = false;
+
+function secondsToNextAttempt() {
+  if (!nextAttemptAt) return 0;
+  return Math.max(0, Math.ceil((nextAttemptAt - Date.now()) / 1000));
+}
+
+function render() {
+  const el = document.getElementById("connection-status");
+  if (!el) return;
+
+  const items = queuedSubmits();
+  const visible =
+    state !== "connected" || items.length > 0 || Date.now() < noticeUntil;
+  el.classList.toggle("hidden", !visible);
+  el.classList.toggle("flex", visible);
+  el.dataset.state = state;
+
+  const { dot, text } = STATES[state];
+  el.querySelector("[data-role=dot]").className =
+    "h-2.5 w-2.5 rounded-full " + dot;
+  el.querySelector("[data-role=text]").textContent = text(
+    secondsToNextAttempt()
+  );
+
+  const queued = el.querySelector("[data-role=queued]");
+  queued.classList.toggle("hidden", items.length === 0);
+  if (items.length > 0) {
+    const elsewhere = items.find(
+      (item) => item.path !== window.location.pathname
+    );
+    queued.textContent = `${items.length} waiting to send`;
+    queued.title = items.map((item) => item.label).join("\n");
+    if (elsewhere && state === "connected") {
+      queued.href = elsewhere.path;
+    } else {
+      queued.removeAttribute("href");
+    }
+  }
+}
+
+function setState(next) {
+  state = next;
+  clearInterval(ticker);
+  ticker = null;
+  if (state === "reconnecting") ticker = setInterval(render, 1000);
+  render();
+}
+
+export function setupConnectionStatus(liveSocket) {
+  const socket = liveSocket.getSocket();
+
+  socket.onOpen(() => {
+    if (state !== "connected") noticeUntil = Date.now() + CONNECTED_NOTICE_MS;
+    nextAttemptAt = null;
+    setState("connected");
+    setTimeout(render, CONNECTED_NOTICE_MS);
+  });
+
+  // Phoenix schedules the next attempt before calling back, so this is the
+  // delay it is waiting out.
+  socket.onClose(() => {
+    if (unloading) return;
+    const tries = socket.reconnectTimer ? socket.reconnectTimer.tries : 0;
+    nextAttemptAt = Date.now() + socket.reconnectAfterMs(tries + 1);
+    setState(navigator.onLine === false ? "offline" : "reconnecting");
+  });
+
+  window.addEventListener("offline", () => setState("offline"));
+  window.addEventListener("online", () => {
+    if (!socket.isConnected()) setState("reconnecting");
+  });
+  window.addEventListener("pagehide", () => (unloading = true));
+  window.addEventListener("pageshow", () => (unloading = false));
+  window.addEventListener("phoexnip:offline-queue", render);
+  window.addEventListener("phx:page-loading-stop", render);
+
+  render();
+}
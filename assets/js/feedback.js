@@ -0,0 +1,219 @@
+// Haptic and audible feedback for what the user did, so a failed submit is
+// felt on a phone in a pocket or through gloves.
+//
+// Events are named for what happened, not for how they feel:
+//
+//   success    a toast of kind "info" (saved, deleted, sent)
+//   warning    a toast of kind "warning"
+//   error      a toast of kind "error", or a phx-submit form that came back
+//              with field errors
+//   selection  a LiveSelect choice the user made
+//   date       a date picked in a DatePicker or DateTimePicker
+//
+// The server can raise any of them with `Phoexnip.FeedbackUtils.push_feedback/2`
+// (the "feedback" event); scripts call feedback(name). Vibration goes through
+// web-haptics, which also covers iOS Safari where navigator.vibrate is
+// missing. Sounds are short WebAudio tones.
+//
+// Both are switched in the account menu (root layout):
+//
+//   <div id="menu-feedback" role="menu" data-user="42">
+//     <button role="menuitemcheckbox" data-feedback-option="haptics"
+//             aria-checked="true">Vibration</button>
+//     <button role="menuitemcheckbox" data-feedback-option="sound"
+//             aria-checked="false">Sounds</button>
+//   </div>
+//
+// The choice is kept in localStorage per user, as floor phones are shared.
+// Vibration is on and sound off until chosen, except that vibration starts off
+// under prefers-reduced-motion.
+
+import { WebHaptics } from "web-haptics";
+
+const STORAGE_PREFIX = "phoexnip:feedback";
+// A second event this soon after one that mattered as much is dropped: an
+// error toast after the form errors it reports is one failure, not two.
+const DEDUPE_MS = 400;
+const TONE_MS = 90;
+const TONE_GAP_MS = 40;
+
+const EVENTS = {
+  error: {
+    priority: 3,
+    haptic: [
+      { duration: 80, intensity: 1 },
+      { delay: 60, duration: 80, intensity: 1 },
+      { delay: 60, duration: 160, intensity: 1 },
+    ],
+    tones: [330, 262, 220],
+  },
+  warning: {
+    priority: 2,
+    haptic: [
+      { duration: 60, intensity: 0.9 },
+      { delay: 120, duration: 60, intensity: 0.9 },
+    ],
+    tones: [523, 523],
+  },
+  success: {
+    priority: 1,
+    haptic: [
+      { duration: 40, intensity: 0.8 },
+      { delay: 60, duration: 60, intensity: 1 },
+    ],
+    tones: [660, 880],
+  },
+  selection: {
+    priority: 0,
+    haptic: [{ duration: 15, intensity: 0.6 }],
+    tones: [1200],
+  },
+  date: {
+    priority: 0,
+    haptic: [{ duration: 20, intensity: 0.7 }],
+    tones: [1000],
+  },
+};
+
+const reducedMotion = window.matchMedia
+  ? window.matchMedia("(prefers-reduced-motion: reduce)")
+  : null;
+
+let haptics = null;
+let audio = null;
+let last = { priority: -1, at: 0 };
+
+function storageKey() {
+  const menu = document.getElementById("menu-feedback");
+  return menu && menu.dataset.user
+    ? `${STORAGE_PREFIX}:${menu.dataset.user}`
+    : STORAGE_PREFIX;
+}
+
+function storedChoices() {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey())) || {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+/** Whether "haptics" or "sound" is on for the current user. */
+export function feedbackEnabled(option) {
+  const stored = storedChoices()[option];
+  if (typeof stored === "boolean") return stored;
+  return option === "haptics" && !(reducedMotion && reducedMotion.matches);
+}
+
+function setFeedbackEnabled(option, enabled) {
+  try {
+    localStorage.setItem(
+      storageKey(),
+      JSON.stringify({ ...storedChoices(), [option]: enabled })
+    );
+  } catch (_error) {
+    // Storage disabled: the choice lasts until the page is left.
+  }
+  markOptions();
+}
+
+function markOptions() {
+  document.querySelectorAll("[data-feedback-option]").forEach((option) => {
+    option.setAttribute(
+      "aria-checked",
+      String(feedbackEnabled(option.dataset.feedbackOption))
+    );
+  });
+}
+
+function playTones(frequencies) {
+  if (typeof AudioContext === "undefined") return;
+  // Browsers only start audio after a user gesture; until then it stays
+  // suspended and the tones are skipped.
+  audio = audio || new AudioContext();
+  if (audio.state === "suspended") audio.resume();
+
+  let start = audio.currentTime;
+  frequencies.forEach((frequency) => {
+    const oscillator = audio.createOscillator();
+    const gain = audio.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + TONE_MS / 1000);
+    oscillator.connect(gain).connect(audio.destination);
+    oscillator.start(start);
+    oscillator.stop(start + TONE_MS / 1000);
+    start += (TONE_MS + TONE_GAP_MS) / 1000;
+  });
+}
+
+/** Vibrates and/or sounds for `name`, as far as the user has them on. */
+export function feedback(name) {
+  const event = EVENTS[name];
+  if (!event) return;
+
+  const now = Date.now();
+  if (now - last.at < DEDUPE_MS && event.priority <= last.priority) return;
+  last = { priority: event.priority, at: now };
+
+  if (feedbackEnabled("haptics")) {
+    haptics = haptics || new WebHaptics();
+    haptics.trigger(event.haptic);
+  }
+  if (feedbackEnabled("sound")) playTones(event.tones);
+}
+
+// A phx-submit form counts as failed when LiveView's reply leaves it on the
+// page with field errors. Forms held by the offline queue never get here.
+function watchSubmit(form) {
+  const observer = new MutationObserver(() => {
+    if (form.classList.contains("phx-submit-loading")) return;
+    observer.disconnect();
+    // Let the reply's patch land before looking at the form.
+    requestAnimationFrame(() => {
+      if (form.isConnected && form.querySelector("[data-field-error]")) {
+        feedback("error");
+      }
+    });
+  });
+  observer.observe(form, { attributes: true, attributeFilter: ["class"] });
+}
+
+export function setupFeedback() {
+  markOptions();
+
+  document.addEventListener("click", (e) => {
+    const option =
+      e.target instanceof Element && e.target.closest("[data-feedback-option]");
+    if (!option) return;
+    const name = option.dataset.feedbackOption;
+    setFeedbackEnabled(name, !feedbackEnabled(name));
+    // A sample of what was switched on.
+    if (feedbackEnabled(name)) feedback("success");
+  });
+
+  document.addEventListener("submit", (e) => {
+    const form = e.target;
+    if (form instanceof HTMLFormElement && form.hasAttribute("phx-submit")) {
+      watchSubmit(form);
+    }
+  });
+
+  // live_select answers a pick with a "select" push_event to its own id;
+  // only the one being used counts, not a value set by the server.
+  window.addEventListener("phx:select", (e) => {
+    const select = e.detail && document.getElementById(e.detail.id);
+    if (select && select.contains(document.activeElement)) {
+      feedback("selection");
+    }
+  });
+
+  window.addEventListener("phx:feedback", (e) => feedback(e.detail.event));
+
+  // Fired in the other tabs when one of them changes a choice.
+  window.addEventListener("storage", (e) => {
+    if (e.key && e.key.startsWith(STORAGE_PREFIX)) markOptions();
+  });
+
+  if (reducedMotion) reducedMotion.addEventListener("change", markOptions);
+}
@@ -0,0 +1,236 @@
+// Shared positioner for dropdowns that must escape their container.
+//
+//   const handle = autoPosition(inputEl, listEl, { offset: 4 });
+//   ...
+//   handle.stop();
+//
+// The floating element is lifted into the browser's top layer (the Popover
+// API) where available, which takes it out of every overflow and stacking
+// context like a portal to <body> would, without moving it: LiveView still
+// has to find it in place to patch it and to route its phx-click events.
+// Older browsers fall back to `position: fixed` with a high z-index.
+//
+// Every handle shares one scroll/resize listener, one ResizeObserver and one
+// IntersectionObserver, and all positions are recomputed together at most
+// once per animation frame. Nothing runs while no dropdown is open.
+//
+// Placement is below the anchor, flipped above when there is more room there,
+// shifted sideways to stay inside the boundary, and capped in height to the
+// space available. The boundary is the closest `[data-floating-boundary]`
+// ancestor of the anchor (modal panels) clipped to the viewport.
+
+const DEFAULT_OFFSET = 4;
+// Keeps the list off the very edge of the boundary.
+const PADDING = 8;
+
+const handles = new Set();
+let frame = null;
+let resizeObserver = null;
+let intersectionObserver = null;
+
+const supportsPopover =
+  typeof HTMLElement !== "undefined" &&
+  typeof HTMLElement.prototype.showPopover === "function";
+
+/**
+ * Recomputes every open floating element on the next animation frame. Call it
+ * after changes the observers cannot see, such as a LiveView patch.
+ */
+export function scheduleUpdate() {
+  if (frame !== null) return;
+  frame = requestAnimationFrame(() => {
+    frame = null;
+    handles.forEach((handle) => handle.update());
+  });
+}
+
+function startListening() {
+  window.addEventListener("scroll", scheduleUpdate, {
+    capture: true,
+    passive: true,
+  });
+  window.addEventListener("resize", scheduleUpdate, { passive: true });
+
+  if (typeof ResizeObserver !== "undefined") {
+    resizeObserver = new ResizeObserver(scheduleUpdate);
+  }
+  if (typeof IntersectionObserver !== "undefined") {
+    intersectionObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        handles.forEach((handle) => {
+          if (handle.anchor === entry.target) {
+            handle.anchorVisible = entry.isIntersecting;
+          }
+        });
+      });
+      scheduleUpdate();
+    });
+  }
+}
+
+function stopListening() {
+  window.removeEventListener("scroll", scheduleUpdate, { capture: true });
+  window.removeEventListener("resize", scheduleUpdate);
+  if (resizeObserver) resizeObserver.disconnect();
+  if (intersectionObserver) intersectionObserver.disconnect();
+  resizeObserver = null;
+  intersectionObserver = null;
+  if (frame !== null) cancelAnimationFrame(frame);
+  frame = null;
+}
+
+function boundaryRect(anchor) {
+  const viewport = {
+    top: 0,
+    left: 0,
+    right: document.documentElement.clientWidth,
+    bottom: document.documentElement.clientHeight,
+  };
+  const container = anchor.closest("[data-floating-boundary]");
+  if (!container) return viewport;
+
+  const rect = container.getBoundingClientRect();
+  return {
+    top: Math.max(viewport.top, rect.top),
+    left: Math.max(viewport.left, rect.left),
+    right: Math.min(viewport.right, rect.right),
+    bottom: Math.min(viewport.bottom, rect.bottom),
+  };
+}
+
+/**
+ * Computes where to put a floating element of `size` next to `anchorRect`
+ * inside `boundary`. Pure, so it can be reasoned about without a DOM.
+ *
+ * Returns { top, left, maxHeight, placement } with placement "bottom"/"top".
+ */
+export function computePosition(anchorRect, size, boundary, options = {}) {
+  const offset = options.offset ?? DEFAULT_OFFSET;
+  const spaceBelow = boundary.bottom - anchorRect.bottom - offset - PADDING;
+  const spaceAbove = anchorRect.top - boundary.top - offset - PADDING;
+
+  // Flip only when the list does not fit below and there is more room above.
+  const placement =
+    size.height > spaceBelow && spaceAbove > spaceBelow ? "top" : "bottom";
+  const available = Math.max(0, placement === "top" ? spaceAbove : spaceBelow);
+  const height = Math.min(size.height, available);
+
+  const top =
+    placement === "top"
+      ? anchorRect.top - offset - height
+      : anchorRect.bottom + offset;
+
+  // Shift sideways to stay inside the boundary, preferring the left edge.
+  const maxLeft = boundary.right - PADDING - size.width;
+  const left = Math.max(
+    boundary.left + PADDING,
+    Math.min(anchorRect.left, maxLeft)
+  );
+
+  return { top, left, maxHeight: available, placement };
+}
+
+/**
+ * Keeps `floating` positioned against `anchor` until `stop()` is called.
+ *
+ * Options:
+ *   offset      gap between anchor and floating element in px (default 4)
+ *   matchWidth  make the floating element as wide as the anchor (default true)
+ */
+export function autoPosition(anchor, floating, options = {}) {
+  const matchWidth = options.matchWidth !== false;
+  // The stylesheet's max-height stays the upper bound when there is room.
+  const cssMaxHeight = parseFloat(getComputedStyle(floating).maxHeight);
+
+  // LiveView drops attributes it did not render when it patches the list, so
+  // this runs again on every update.
+  const lift = () => {
+    if (!supportsPopover) {
+      floating.style.zIndex = "10000";
+      return;
+    }
+    if (!floating.hasAttribute("popover")) {
+      floating.setAttribute("popover", "manual");
+    }
+    if (!floating.matches(":popover-open")) floating.showPopover();
+  };
+
+  const handle = {
+    anchor: anchor,
+    floating: floating,
+    anchorVisible: true,
+
+    update() {
+      if (!anchor.isConnected || !floating.isConnected) {
+        handle.stop();
+        return;
+      }
+
+      lift();
+
+      // Hide rather than float over the page once the input scrolls away.
+      floating.style.visibility = handle.anchorVisible ? "" : "hidden";
+      if (!handle.anchorVisible) return;
+
+      const anchorRect = anchor.getBoundingClientRect();
+      if (matchWidth) floating.style.width = `${anchorRect.width}px`;
+      const naturalHeight = floating.scrollHeight;
+      const size = {
+        width: matchWidth ? anchorRect.width : floating.offsetWidth,
+        height: Number.isNaN(cssMaxHeight)
+          ? naturalHeight
+          : Math.min(naturalHeight, cssMaxHeight),
+      };
+
+      const position = computePosition(
+        anchorRect,
+        size,
+        boundaryRect(anchor),
+        options
+      );
+      const maxHeight = Number.isNaN(cssMaxHeight)
+        ? position.maxHeight
+        : Math.min(cssMaxHeight, position.maxHeight);
+
+      Object.assign(floating.style, {
+        position: "fixed",
+        top: `${position.top}px`,
+        left: `${position.left}px`,
+        right: "auto",
+        bottom: "auto",
+        margin: "0",
+        maxHeight: `${maxHeight}px`,
+      });
+      floating.dataset.placement = position.placement;
+    },
+
+    stop() {
+      if (!handles.has(handle)) return;
+      handles.delete(handle);
+      if (resizeObserver) {
+        resizeObserver.unobserve(anchor);
+        resizeObserver.unobserve(floating);
+      }
+      if (intersectionObserver) intersectionObserver.unobserve(anchor);
+      if (supportsPopover && floating.isConnected) {
+        try {
+          floating.hidePopover();
+        } catch (_error) {
+          // Already hidden, or the popover attribute was patched away.
+        }
+      }
+      if (handles.size === 0) stopListening();
+    },
+  };
+
+  if (handles.size === 0) startListening();
+  handles.add(handle);
+  if (resizeObserver) {
+    resizeObserver.observe(anchor);
+    resizeObserver.observe(floating);
+  }
+  if (intersectionObserver) intersectionObserver.observe(anchor);
+
+  handle.update();
+  return handle;
+}
@@ -0,0 +1,448 @@
+// Audit history viewer, rendered by PhoexnipWeb.AuditLogLive.FormComponent:
+//
+//   <div phx-hook="AuditDiff" phx-update="ignore" data-entries="[...]">
+//     <button data-audit-step="newer" /> <select data-audit-entry />
+//     <button data-audit-step="older" />
+//     <button data-audit-layout="split" /> <button data-audit-layout="unified" />
+//     <input type="checkbox" data-audit-changed-only />
+//     <p data-audit-summary></p> <div data-audit-body></div>
+//   </div>
+//
+// `data-entries` is the entity's history, newest first: `{ action, date,
+// user, before, after }` with the record as it was before and after each
+// save. One entry is shown at a time as a structural diff of the two: fields
+// added, removed and changed, nested maps and lists followed down to their
+// fields, and long strings compared character by character.
+//
+// List rows are paired up by their `sequence` (and `category`, for
+// addresses), the way forms number them, so removing the second row shows
+// that row removed rather than every later row changed. Lists without a
+// sequence are paired by position.
+//
+// The layout (side by side or unified) is remembered in localStorage; "only
+// changed fields" hides what stayed the same.
+
+const LAYOUT_KEY = "phoexnip:audit-diff-layout";
+// Strings at least this long get a character-level diff.
+const INLINE_DIFF_LENGTH = 24;
+// Above this many character pairs the changed middle is marked as a whole.
+const MAX_INLINE_CELLS = 250000;
+
+const STATUS = {
+  same: { label: "", row: "" },
+  changed: { label: "changed", row: "bg-warningBg" },
+  added: { label: "added", row: "bg-successBg" },
+  removed: { label: "removed", row: "bg-errorBg" },
+};
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function humanize(key) {
+  const text = String(key).replace(/_/g, " ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// How a list row is found again in the other version.
+function rowKey(item, i) {
+  if (isObject(item) && item.sequence !== undefined) {
+    return item.category !== undefined
+      ? `${item.sequence}:${item.category}`
+      : String(item.sequence);
+  }
+  return `#${i}`;
+}
+
+function rowLabel(item, i) {
+  const row = isObject(item) ? item : {};
+  const name =
+    row.sitemap_name || row.name || row.code || row.category || row.title;
+  const number = row.sequence !== undefined ? row.sequence : i + 1;
+  return name ? `${number}: ${name}` : `Row ${number}`;
+}
+
+/**
+ * The diff of two values as a tree of `{ label, status, before, after,
+ * children }`; `children` is set for maps and lists. A missing value is
+ * `undefined`, so a field set to null still counts as present.
+ */
+export function diffValues(before, after, label = "") {
+  if (before === undefined && after === undefined) return null;
+
+  const status =
+    before === undefined
+      ? "added"
+      : after === undefined
+      ? "removed"
+      : sameValue(before, after)
+      ? "same"
+      : "changed";
+  const node = { label, status, before, after };
+  const sides = [before, after].filter((value) => value !== undefined);
+
+  if (sides.every(isObject)) {
+    const keys = [
+      ...new Set([...Object.keys(after || {}), ...Object.keys(before || {})]),
+    ];
+    node.children = keys
+      .map((key) =>
+        diffValues(before && before[key], after && after[key], humanize(key))
+      )
+      .filter(Boolean);
+  } else if (sides.every(Array.isArray)) {
+    const rows = new Map();
+    (after || []).forEach((item, i) =>
+      rows.set(rowKey(item, i), { after: item, label: rowLabel(item, i) })
+    );
+    (before || []).forEach((item, i) => {
+      const key = rowKey(item, i);
+      rows.set(key, {
+        ...(rows.get(key) || { label: rowLabel(item, i) }),
+        before: item,
+      });
+    });
+    node.children = [...rows.values()].map((row) =>
+      diffValues(row.before, row.after, row.label)
+    );
+  }
+  return node;
+}
+
+function counts(node, totals = { changed: 0, added: 0, removed: 0 }) {
+  if (node.children && node.status === "changed") {
+    node.children.forEach((child) => counts(child, totals));
+  } else if (node.status !== "same") {
+    totals[node.status] += 1;
+  }
+  return totals;
+}
+
+// The rows to show, depth first, with their nesting depth.
+function flatten(node, changedOnly, depth = 0, rows = []) {
+  node.children.forEach((child) => {
+    if (changedOnly && child.status === "same") return;
+    rows.push({ node: child, depth });
+    if (child.children) flatten(child, changedOnly, depth + 1, rows);
+  });
+  return rows;
+}
+
+/**
+ * The parts of `before` and `after` that differ, as `[[text, changed],
+ * ...]` for each side. The common start and end are trimmed off and the
+ * middle compared by longest common subsequence.
+ */
+export function inlineDiff(before, after) {
+  let start = 0;
+  while (
+    start < before.length &&
+    start < after.length &&
+    before[start] === after[start]
+  ) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const a = before.slice(start, before.length - end);
+  const b = after.slice(start, after.length - end);
+  const marksA = new Array(a.length).fill(true);
+  const marksB = new Array(b.length).fill(true);
+
+  if (a.length * b.length <= MAX_INLINE_CELLS) {
+    // lengths[i][j]: common subsequence of a[i..] and b[j..].
+    const lengths = Array.from(
+      { length: a.length + 1 },
+      () => new Uint32Array(b.length + 1)
+    );
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          a[i] === b[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    for (let i = 0, j = 0; i < a.length && j < b.length; ) {
+      if (a[i] === b[j]) {
+        marksA[i++] = false;
+        marksB[j++] = false;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+  }
+
+  const parts = (text, marks) => {
+    const result = [[text.slice(0, start), false]];
+    [...text.slice(start, text.length - end)].forEach((char, i) => {
+      const last = result[result.length - 1];
+      if (last[1] === marks[i]) last[0] += char;
+      else result.push([char, marks[i]]);
+    });
+    result.push([text.slice(text.length - end), false]);
+    return result.filter(([part]) => part !== "");
+  };
+  return [parts(before, marksA), parts(after, marksB)];
+}
+
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function valueText(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// A value cell's content; `other` is the value on the other side, for the
+// character-level diff of long strings.
+function valueElement(value, other, side) {
+  const text = valueText(value);
+  if (text === null) {
+    return element(
+      "span",
+      "italic text-muted",
+      value === undefined ? "" : "empty"
+    );
+  }
+
+  const otherText = valueText(other);
+  const span = element("span", "whitespace-pre-wrap break-words");
+  if (
+    otherText === null ||
+    text === otherText ||
+    Math.max(text.length, otherText.length) < INLINE_DIFF_LENGTH
+  ) {
+    span.textContent = text;
+    return span;
+  }
+
+  const [beforeParts, afterParts] =
+    side === "before"
+      ? inlineDiff(text, otherText)
+      : inlineDiff(otherText, text);
+  (side === "before" ? beforeParts : afterParts).forEach(([part, changed]) => {
+    if (!changed) {
+      span.appendChild(document.createTextNode(part));
+    } else if (side === "before") {
+      span.appendChild(element("del", "bg-errorBorder no-underline", part));
+    } else {
+      span.appendChild(element("ins", "bg-successBorder no-underline", part));
+    }
+  });
+  return span;
+}
+
+function labelCell(tag, { node, depth }, extra = {}) {
+  const cell = element(tag, "p-2 text-left align-top");
+  cell.style.paddingLeft = `${0.5 + depth * 1.25}rem`;
+  Object.entries(extra).forEach(([name, value]) =>
+    cell.setAttribute(name, value)
+  );
+  cell.appendChild(
+    element("span", node.children ? "font-semibold" : "", node.label)
+  );
+  if (node.status !== "same") {
+    cell.appendChild(
+      element("span", "ms-2 text-xs text-muted", STATUS[node.status].label)
+    );
+  }
+  return cell;
+}
+
+function splitTable(rows) {
+  const table = element("table", "w-full text-sm");
+  const head = element("tr", "border-b border-borderStrong");
+  ["Field", "Before", "After"].forEach((title, i) =>
+    head.appendChild(
+      element("th", `p-2 text-left ${i === 0 ? "w-[30%]" : "w-[35%]"}`, title)
+    )
+  );
+  table.appendChild(element("thead")).appendChild(head);
+
+  const body = table.appendChild(element("tbody"));
+  rows.forEach((row) => {
+    const { node } = row;
+    const tr = element(
+      "tr",
+      `border-b border-border ${STATUS[node.status].row}`
+    );
+    if (node.children) {
+      tr.appendChild(labelCell("th", row, { colspan: 3, scope: "colgroup" }));
+    } else {
+      tr.appendChild(labelCell("th", row, { scope: "row" }));
+      tr.appendChild(element("td", "p-2 align-top")).appendChild(
+        valueElement(node.before, node.after, "before")
+      );
+      tr.appendChild(element("td", "p-2 align-top")).appendChild(
+        valueElement(node.after, node.before, "after")
+      );
+    }
+    body.appendChild(tr);
+  });
+  return table;
+}
+
+function unifiedTable(rows) {
+  const table = element("table", "w-full text-sm");
+  const head = element("tr", "border-b border-borderStrong");
+  ["Field", "", "Value"].forEach((title, i) =>
+    head.appendChild(
+      element("th", `p-2 text-left ${i === 0 ? "w-[30%]" : ""}`, title)
+    )
+  );
+  table.appendChild(element("thead")).appendChild(head);
+
+  const body = table.appendChild(element("tbody"));
+  const line = (row, sign, className, value, other, side) => {
+    const tr = element("tr", className);
+    tr.appendChild(labelCell("th", row, { scope: "row" }));
+    tr.appendChild(element("td", "p-2 align-top font-mono", sign));
+    tr.appendChild(element("td", "p-2 align-top")).appendChild(
+      valueElement(value, other, side)
+    );
+    body.appendChild(tr);
+  };
+
+  rows.forEach((row) => {
+    const { node } = row;
+    if (node.children) {
+      const tr = element(
+        "tr",
+        `border-b border-border ${STATUS[node.status].row}`
+      );
+      tr.appendChild(labelCell("th", row, { colspan: 3, scope: "colgroup" }));
+      body.appendChild(tr);
+    } else if (node.status === "same") {
+      line(row, "", "border-b border-border", node.after, node.after, "after");
+    } else {
+      if (node.status !== "added") {
+        line(row, "−", "bg-errorBg", node.before, node.after, "before");
+      }
+      if (node.status !== "removed") {
+        line(
+          row,
+          "+",
+          "bg-successBg border-b border-border",
+          node.after,
+          node.before,
+          "after"
+        );
+      }
+    }
+  });
+  return table;
+}
+
+function readLayout() {
+  try {
+    return localStorage.getItem(LAYOUT_KEY) === "unified" ? "unified" : "split";
+  } catch (_error) {
+    return "split";
+  }
+}
+
+function storeLayout(layout) {
+  try {
+    localStorage.setItem(LAYOUT_KEY, layout);
+  } catch (_error) {
+    // Private mode: the layout is just not remembered.
+  }
+}
+
+export const AuditDiff = {
+  mounted() {
+    this.index = 0;
+    this.layout = readLayout();
+    this.entries = JSON.parse(this.el.dataset.entries || "[]");
+
+    this.el.addEventListener("click", (e) => {
+      const step = e.target.closest("[data-audit-step]");
+      const layout = e.target.closest("[data-audit-layout]");
+      if (step) {
+        this.show(this.index + (step.dataset.auditStep === "older" ? 1 : -1));
+      } else if (layout) {
+        this.layout = layout.dataset.auditLayout;
+        storeLayout(this.layout);
+        this.render();
+      }
+    });
+    this.el.addEventListener("change", (e) => {
+      if (e.target.matches("[data-audit-entry]")) {
+        this.show(Number(e.target.value));
+      } else if (e.target.matches("[data-audit-changed-only]")) {
+        this.render();
+      }
+    });
+
+    this.render();
+  },
+
+  updated() {
+    this.entries = JSON.parse(this.el.dataset.entries || "[]");
+    this.show(this.index);
+  },
+
+  show(index) {
+    this.index = Math.max(0, Math.min(index, this.entries.length - 1));
+    this.render();
+  },
+
+  render() {
+    const entry = this.entries[this.index];
+    if (!entry) return;
+
+    this.el.querySelector("[data-audit-entry]").value = String(this.index);
+    this.el.querySelector("[data-audit-step=newer]").disabled =
+      this.index === 0;
+    this.el.querySelector("[data-audit-step=older]").disabled =
+      this.index === this.entries.length - 1;
+    this.el.querySelectorAll("[data-audit-layout]").forEach((button) => {
+      button.setAttribute(
+        "aria-pressed",
+        String(button.dataset.auditLayout === this.layout)
+      );
+    });
+
+    const tree = diffValues(entry.before || {}, entry.after || {});
+    const totals = counts(tree);
+    const changedOnly = this.el.querySelector(
+      "[data-audit-changed-only]"
+    ).checked;
+    const rows = flatten(tree, changedOnly);
+
+    this.el.querySelector("[data-audit-summary]").textContent =
+      `${entry.action === "create" ? "Created" : "Changed"} on ${entry.date} ` +
+      `by ${entry.user || "Admin"}: ${totals.changed} changed, ` +
+      `${totals.added} added, ${totals.removed} removed`;
+
+    const body = this.el.querySelector("[data-audit-body]");
+    if (rows.length === 0) {
+      body.replaceChildren(
+        element("p", "p-2 text-muted", "No field changed in this save.")
+      );
+    } else {
+      body.replaceChildren(
+        this.layout === "unified" ? unifiedTable(rows) : splitTable(rows)
+      );
+    }
+  },
+};
@@ -0,0 +1,270 @@
+// Textarea sizing and limits.
+//
+//   <textarea phx-hook="AutoResize"
+//     data-resizetextarea="true"   grow with the content ("false" keeps the size)
+//     data-min-rows="3"            never shorter than this many lines
+//     data-max-rows="6"            refuse input that would wrap past this many lines
+//     data-maxlength="500"         refuse input past this many characters
+//     data-counter="notes-counter" id of an element that shows the live count
+//   ></textarea>
+//
+// Limits are enforced in `beforeinput`, before the browser changes the value:
+// typing past a limit is refused, and pasted or dropped text is cut down to
+// what still fits and inserted at the caret. Input that cannot be cancelled
+// (IME composition) is trimmed afterwards, removing only the characters that
+// were just added.
+//
+// Characters are counted as grapheme clusters, with a line break as one, which
+// is how Ecto's `validate_length/3` counts the submitted value. Lines are the
+// rendered lines, so wrapped text counts too.
+
+const segmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+    : null;
+
+function graphemes(text) {
+  if (segmenter) {
+    return Array.from(segmenter.segment(text), (s) => s.segment);
+  }
+  return Array.from(text);
+}
+
+function countCharacters(text) {
+  return graphemes(text).length;
+}
+
+function positiveInt(value) {
+  const number = parseInt(value);
+  return number > 0 ? number : null;
+}
+
+export const AutoResize = {
+  mounted() {
+    this.readOptions();
+    this.lastValue = this.el.value;
+
+    this.onBeforeInput = (e) => this.handleBeforeInput(e);
+    this.onInput = () => this.handleInput();
+    this.el.addEventListener("beforeinput", this.onBeforeInput);
+    this.el.addEventListener("input", this.onInput);
+
+    this.resizeTextarea();
+    this.updateCounter();
+  },
+
+  updated() {
+    this.readOptions();
+    this.lastValue = this.el.value;
+    this.resizeTextarea();
+    this.updateCounter();
+  },
+
+  destroyed() {
+    this.el.removeEventListener("beforeinput", this.onBeforeInput);
+    this.el.removeEventListener("input", this.onInput);
+    if (this.mirror) this.mirror.remove();
+  },
+
+  readOptions() {
+    const data = this.el.dataset;
+    // Auto-resize stays on when the attribute is missing (previous behaviour).
+    this.autoResize = data.resizetextarea !== "false";
+    this.minRows = positiveInt(data.minRows);
+    this.maxRows = positiveInt(data.maxRows);
+    this.maxLength =
+      positiveInt(data.maxlength) ||
+      (this.el.maxLength > 0 ? this.el.maxLength : null);
+    this.counter = data.counter ? document.getElementById(data.counter) : null;
+  },
+
+  handleBeforeInput(e) {
+    if (!this.maxLength && !this.maxRows) return;
+    if (!e.inputType || !e.inputType.startsWith("insert")) return;
+    // Composition cannot be cancelled; handleInput trims it afterwards.
+    if (e.inputType === "insertCompositionText") return;
+
+    let inserted = e.data;
+    if (inserted == null && e.dataTransfer) {
+      inserted = e.dataTransfer.getData("text/plain");
+    }
+    if (inserted == null) {
+      if (
+        e.inputType !== "insertLineBreak" &&
+        e.inputType !== "insertParagraph"
+      ) {
+        return;
+      }
+      inserted = "\n";
+    }
+
+    const { selectionStart: start, selectionEnd: end, value } = this.el;
+    const before = value.slice(0, start);
+    const after = value.slice(end);
+    const fitting = this.fittingText(before, inserted, after);
+    if (fitting === inserted) return;
+
+    e.preventDefault();
+    if (fitting === "") return;
+
+    this.el.setRangeText(fitting, start, end, "end");
+    this.el.dispatchEvent(new Event("input", { bubbles: true }));
+  },
+
+  handleInput() {
+    const value = this.el.value;
+    if (this.exceedsLimits(value)) {
+      // Work out what was just inserted from the common prefix and suffix
+      // with the previous value, and keep only as much of it as fits.
+      const previous = this.lastValue;
+      let prefix = 0;
+      while (
+        prefix < previous.length &&
+        prefix < value.length &&
+        previous[prefix] === value[prefix]
+      ) {
+        prefix++;
+      }
+      let suffix = 0;
+      while (
+        suffix < previous.length - prefix &&
+        suffix < value.length - prefix &&
+        previous[previous.length - 1 - suffix] ===
+          value[value.length - 1 - suffix]
+      ) {
+        suffix++;
+      }
+
+      const before = value.slice(0, prefix);
+      const after = value.slice(value.length - suffix);
+      const inserted = value.slice(prefix, value.length - suffix);
+      const fitting = this.fittingText(before, inserted, after);
+      this.el.value = before + fitting + after;
+      const caret = before.length + fitting.length;
+      this.el.setSelectionRange(caret, caret);
+    }
+
+    this.lastValue = this.el.value;
+    this.resizeTextarea();
+    this.updateCounter();
+  },
+
+  exceedsLimits(value) {
+    if (this.maxLength && countCharacters(value) > this.maxLength) return true;
+    return !!this.maxRows && this.countRows(value) > this.maxRows;
+  },
+
+  // The longest start of `inserted` that keeps the value within the limits.
+  fittingText(before, inserted, after) {
+    let pieces = graphemes(inserted);
+
+    if (this.maxLength) {
+      const room =
+        this.maxLength - countCharacters(before) - countCharacters(after);
+      pieces = pieces.slice(0, Math.max(0, room));
+    }
+
+    if (this.maxRows) {
+      const fits = (n) =>
+        this.countRows(before + pieces.slice(0, n).join("") + after) <=
+        this.maxRows;
+      if (!fits(pieces.length)) {
+        // Binary search for the longest prefix that still fits.
+        let low = 0;
+        let high = pieces.length;
+        while (low < high) {
+          const mid = Math.ceil((low + high) / 2);
+          if (fits(mid)) {
+            low = mid;
+          } else {
+            high = mid - 1;
+          }
+        }
+        pieces = pieces.slice(0, low);
+      }
+    }
+
+    return pieces.join("");
+  },
+
+  lineHeight() {
+    const style = getComputedStyle(this.el);
+    const lineHeight = parseFloat(style.lineHeight);
+    // "normal" line height is roughly 1.2 times the font size.
+    return lineHeight || (parseFloat(style.fontSize) || 16) * 1.2;
+  },
+
+  verticalPadding() {
+    const style = getComputedStyle(this.el);
+    return (
+      (parseFloat(style.paddingTop) || 0) +
+      (parseFloat(style.paddingBottom) || 0)
+    );
+  },
+
+  // Rendered line count of `value`, measured on an off-screen copy.
+  countRows(value) {
+    if (!this.mirror) {
+      this.mirror = this.el.cloneNode(false);
+      this.mirror.removeAttribute("id");
+      this.mirror.removeAttribute("name");
+      this.mirror.removeAttribute("phx-hook");
+      this.mirror.setAttribute("aria-hidden", "true");
+      this.mirror.tabIndex = -1;
+      Object.assign(this.mirror.style, {
+        position: "absolute",
+        top: "0",
+        left: "-9999px",
+        visibility: "hidden",
+        height: "0",
+        minHeight: "0",
+        overflow: "hidden",
+      });
+      document.body.appendChild(this.mirror);
+    }
+    this.mirror.style.width = `${this.el.clientWidth}px`;
+    this.mirror.value = value;
+
+    const content = this.mirror.scrollHeight - this.verticalPadding();
+    return Math.max(1, Math.round(content / this.lineHeight()));
+  },
+
+  resizeTextarea() {
+    const lineHeight = this.lineHeight();
+    const style = getComputedStyle(this.el);
+    const chrome =
+      this.verticalPadding() +
+      (parseFloat(style.borderTopWidth) || 0) +
+      (parseFloat(style.borderBottomWidth) || 0);
+
+    if (this.minRows) {
+      this.el.style.minHeight = `${this.minRows * lineHeight + chrome}px`;
+    }
+    if (!this.autoResize) return;
+
+    this.el.style.overflow = "hidden";
+    this.el.style.height = "auto";
+    this.el.style.height = `${this.el.scrollHeight}px`;
+  },
+
+  updateCounter() {
+    if (!this.counter) return;
+
+    const characters = countCharacters(this.el.value);
+    const parts = [
+      this.maxLength
+        ? `${characters} / ${this.maxLength} characters`
+        : `${characters} characters`,
+    ];
+    if (this.maxRows) {
+      parts.push(`${this.countRows(this.el.value)} / ${this.maxRows} lines`);
+    }
+    this.counter.textContent = parts.join(", ");
+
+    const atLimit =
+      (this.maxLength && characters >= this.maxLength) ||
+      (this.maxRows && this.countRows(this.el.value) >= this.maxRows);
+    this.counter.classList.toggle("text-danger", !!atLimit);
+    this.counter.classList.toggle("text-muted", !atLimit);
+  },
+};
@@ -0,0 +1,399 @@
+// Square crop, downscale and re-encode of an image before it is uploaded.
+//
+//   <div id="avatar-cropper" phx-hook="AvatarCropper"
+//        data-upload="avatar"       name of the allow_upload/3 upload
+//        data-max-size="512"        longest side of the result in pixels
+//        data-format="webp"         "webp" (falls back to JPEG) or "jpeg"
+//        data-quality="0.85"        encoder quality, 0 to 1
+//        data-preview="avatar-preview">  id of the current image, hidden while cropping
+//     <div id="avatar-cropper-editor" phx-update="ignore">
+//       <div data-crop-panel hidden>
+//         <div data-crop-viewport tabindex="0"><canvas data-crop-canvas></canvas></div>
+//         <input type="range" data-crop-zoom min="1" max="4" step="0.01" value="1" />
+//         <p data-crop-error hidden></p>
+//         <button type="button" data-crop-cancel>Cancel</button>
+//         <button type="button" data-crop-apply>Use photo</button>
+//       </div>
+//     </div>
+//     <input type="file" accept="image/*" data-crop-input />
+//     <.live_file_input upload={@uploads.avatar} class="hidden" />
+//   </div>
+//
+// The photo is picked with the plain `data-crop-input`, not the live file
+// input, so nothing reaches the server until it has been cropped. The crop is
+// a square over the photo: drag the photo or move it with the arrow keys, and
+// zoom with the slider, the mouse wheel or +/-. "Use photo" draws the crop into
+// a canvas no larger than `data-max-size` and hands the encoded file to the
+// LiveView upload, so a phone photo of several megabytes uploads as a few
+// dozen kilobytes. Re-encoding also drops the EXIF data, location included,
+// and animated GIFs keep only their first frame.
+//
+// Phone cameras store photos unrotated with an EXIF orientation tag. Browsers
+// that honour the tag when drawing images are left to it; in the others the
+// tag is read here and the photo rotated before cropping.
+
+const DEFAULT_MAX_SIZE = 512;
+const DEFAULT_QUALITY = 0.85;
+const MAX_ZOOM = 4;
+const KEY_STEP = 10;
+const EXIF_PROBE_BYTES = 128 * 1024;
+
+const READ_ERROR =
+  "This image could not be read. Please choose a JPEG, PNG, GIF or WebP photo.";
+
+// The EXIF orientation (1-8) of a JPEG, or 1 when it has none.
+function readOrientation(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    // Start of scan: the image data follows, no more metadata.
+    if (marker === 0xffda || (marker & 0xff00) !== 0xff00) return 1;
+
+    const isExif =
+      marker === 0xffe1 &&
+      offset + 10 <= view.byteLength &&
+      view.getUint32(offset + 4) === 0x45786966; // "Exif"
+    if (isExif) return exifOrientation(view, offset + 10);
+    offset += 2 + length;
+  }
+  return 1;
+}
+
+function exifOrientation(view, tiff) {
+  if (tiff + 8 > view.byteLength) return 1;
+  const little = view.getUint16(tiff) === 0x4949;
+  const ifd = tiff + view.getUint32(tiff + 4, little);
+  if (ifd + 2 > view.byteLength) return 1;
+
+  const entries = view.getUint16(ifd, little);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > view.byteLength) return 1;
+    if (view.getUint16(entry, little) === 0x0112) {
+      const orientation = view.getUint16(entry + 8, little);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+}
+
+function browserOrientsImages() {
+  return typeof CSS !== "undefined" && CSS.supports
+    ? CSS.supports("image-orientation", "from-image")
+    : false;
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("image could not be decoded"));
+    };
+    image.src = url;
+  });
+}
+
+// Draws the image upright onto a canvas, for browsers that ignore the tag.
+function orient(image, orientation) {
+  const width = image.naturalWidth;
+  const height = image.naturalHeight;
+  const swap = orientation >= 5;
+  const canvas = document.createElement("canvas");
+  canvas.width = swap ? height : width;
+  canvas.height = swap ? width : height;
+
+  const context = canvas.getContext("2d");
+  const transforms = {
+    2: [-1, 0, 0, 1, width, 0],
+    3: [-1, 0, 0, -1, width, height],
+    4: [1, 0, 0, -1, 0, height],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, height, 0],
+    7: [0, -1, -1, 0, height, width],
+    8: [0, -1, 1, 0, 0, width],
+  };
+  if (transforms[orientation]) context.transform(...transforms[orientation]);
+  context.drawImage(image, 0, 0);
+  return canvas;
+}
+
+function sourceSize(source) {
+  return {
+    width: source.naturalWidth || source.width,
+    height: source.naturalHeight || source.height,
+  };
+}
+
+function toBlob(canvas, type, quality) {
+  return new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+}
+
+export const AvatarCropper = {
+  mounted() {
+    this.input = this.el.querySelector("[data-crop-input]");
+    this.panel = this.el.querySelector("[data-crop-panel]");
+    this.viewport = this.el.querySelector("[data-crop-viewport]");
+    this.canvas = this.el.querySelector("[data-crop-canvas]");
+    this.zoomInput = this.el.querySelector("[data-crop-zoom]");
+    this.errorEl = this.el.querySelector("[data-crop-error]");
+    this.source = null;
+
+    this.onPick = () => {
+      const file = this.input.files[0];
+      if (file) this.open(file);
+    };
+    this.onZoom = () => this.setZoom(parseFloat(this.zoomInput.value));
+    this.onWheel = (e) => {
+      if (!this.source) return;
+      e.preventDefault();
+      this.setZoom(this.zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+    };
+    this.onKeyDown = (e) => this.handleKey(e);
+    this.onPointerDown = (e) => this.startDrag(e);
+    // The picker and the zoom slider are not form fields; keep their events
+    // from the form's phx-change.
+    this.onFormEvent = (e) => {
+      if (e.target === this.input || e.target === this.zoomInput) {
+        e.stopPropagation();
+      }
+    };
+    this.onClick = (e) => {
+      if (e.target.closest("[data-crop-apply]")) this.apply();
+      else if (e.target.closest("[data-crop-cancel]")) this.close();
+    };
+
+    this.input.addEventListener("change", this.onPick);
+    this.zoomInput.addEventListener("input", this.onZoom);
+    this.viewport.addEventListener("wheel", this.onWheel, { passive: false });
+    this.viewport.addEventListener("keydown", this.onKeyDown);
+    this.viewport.addEventListener("pointerdown", this.onPointerDown);
+    this.panel.addEventListener("click", this.onClick);
+    this.el.addEventListener("input", this.onFormEvent);
+    this.el.addEventListener("change", this.onFormEvent);
+  },
+
+  destroyed() {
+    this.input.removeEventListener("change", this.onPick);
+    this.zoomInput.removeEventListener("input", this.onZoom);
+    this.viewport.removeEventListener("wheel", this.onWheel);
+    this.viewport.removeEventListener("keydown", this.onKeyDown);
+    this.viewport.removeEventListener("pointerdown", this.onPointerDown);
+    this.panel.removeEventListener("click", this.onClick);
+    this.el.removeEventListener("input", this.onFormEvent);
+    this.el.removeEventListener("change", this.onFormEvent);
+  },
+
+  options() {
+    const data = this.el.dataset;
+    return {
+      upload: data.upload || "avatar",
+      maxSize: parseInt(data.maxSize) || DEFAULT_MAX_SIZE,
+      format: data.format === "jpeg" ? "jpeg" : "webp",
+      quality: parseFloat(data.quality) || DEFAULT_QUALITY,
+    };
+  },
+
+  async open(file) {
+    this.showError(null);
+    try {
+      const image = await loadImage(file);
+      let orientation = 1;
+      if (!browserOrientsImages()) {
+        const head = await file.slice(0, EXIF_PROBE_BYTES).arrayBuffer();
+        orientation = readOrientation(head);
+      }
+      this.source = orientation > 1 ? orient(image, orientation) : image;
+    } catch (_error) {
+      this.source = null;
+      this.input.value = "";
+      this.showError(READ_ERROR);
+      this.showPanel(true);
+      return;
+    }
+
+    const { width, height } = sourceSize(this.source);
+    this.center = { x: width / 2, y: height / 2 };
+    this.zoom = 1;
+    this.zoomInput.value = "1";
+    this.showPanel(true);
+    this.draw();
+    this.viewport.focus();
+  },
+
+  close() {
+    this.source = null;
+    this.input.value = "";
+    this.showError(null);
+    this.showPanel(false);
+  },
+
+  showPanel(visible) {
+    this.panel.hidden = !visible;
+    const preview = document.getElementById(this.el.dataset.preview);
+    if (preview) {
+      if (visible) this.js().hide(preview);
+      else this.js().show(preview);
+    }
+  },
+
+  showError(message) {
+    this.errorEl.textContent = message || "";
+    this.errorEl.hidden = !message;
+  },
+
+  // The side of the cropped square in source pixels.
+  cropSide() {
+    const { width, height } = sourceSize(this.source);
+    return Math.min(width, height) / this.zoom;
+  },
+
+  // Keeps the crop square inside the photo.
+  clampCenter() {
+    const { width, height } = sourceSize(this.source);
+    const half = this.cropSide() / 2;
+    this.center.x = Math.min(Math.max(this.center.x, half), width - half);
+    this.center.y = Math.min(Math.max(this.center.y, half), height - half);
+  },
+
+  setZoom(zoom) {
+    if (!this.source || isNaN(zoom)) return;
+    this.zoom = Math.min(Math.max(zoom, 1), MAX_ZOOM);
+    this.zoomInput.value = String(this.zoom);
+    this.draw();
+  },
+
+  // Moves the photo under the crop by a distance in viewport pixels.
+  pan(dx, dy) {
+    const scale = this.cropSide() / this.viewport.clientWidth;
+    this.center.x -= dx * scale;
+    this.center.y -= dy * scale;
+    this.draw();
+  },
+
+  handleKey(e) {
+    if (!this.source) return;
+    const step = e.shiftKey ? KEY_STEP * 5 : KEY_STEP;
+    const moves = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step],
+    };
+
+    if (moves[e.key]) {
+      this.pan(...moves[e.key]);
+    } else if (e.key === "+" || e.key === "=") {
+      this.setZoom(this.zoom * 1.1);
+    } else if (e.key === "-") {
+      this.setZoom(this.zoom / 1.1);
+    } else if (e.key === "Enter") {
+      this.apply();
+    } else if (e.key === "Escape") {
+      this.close();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  },
+
+  startDrag(e) {
+    if (!this.source || e.button !== 0) return;
+    e.preventDefault();
+    this.viewport.setPointerCapture(e.pointerId);
+    let last = { x: e.clientX, y: e.clientY };
+
+    const move = (event) => {
+      this.pan(event.clientX - last.x, event.clientY - last.y);
+      last = { x: event.clientX, y: event.clientY };
+    };
+    const end = () => {
+      this.viewport.removeEventListener("pointermove", move);
+      this.viewport.removeEventListener("pointerup", end);
+      this.viewport.removeEventListener("pointercancel", end);
+    };
+    this.viewport.addEventListener("pointermove", move);
+    this.viewport.addEventListener("pointerup", end);
+    this.viewport.addEventListener("pointercancel", end);
+  },
+
+  // Draws the crop into `canvas`, `size` pixels square.
+  render(canvas, size) {
+    this.clampCenter();
+    const side = this.cropSide();
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext("2d");
+    context.imageSmoothingQuality = "high";
+    context.drawImage(
+      this.source,
+      this.center.x - side / 2,
+      this.center.y - side / 2,
+      side,
+      side,
+      0,
+      0,
+      size,
+      size
+    );
+    return canvas;
+  },
+
+  draw() {
+    const size = Math.round(
+      (this.viewport.clientWidth || 300) * (window.devicePixelRatio || 1)
+    );
+    this.render(this.canvas, size);
+  },
+
+  async apply() {
+    if (!this.source || this.encoding) return;
+    this.encoding = true;
+    try {
+      await this.encodeAndUpload();
+    } finally {
+      this.encoding = false;
+    }
+  },
+
+  async encodeAndUpload() {
+    const { upload, maxSize, format, quality } = this.options();
+    const size = Math.max(1, Math.round(Math.min(maxSize, this.cropSide())));
+    const canvas = this.render(document.createElement("canvas"), size);
+
+    let blob = null;
+    if (format === "webp") blob = await toBlob(canvas, "image/webp", quality);
+    // Browsers without a WebP encoder return a PNG instead.
+    if (!blob || blob.type !== "image/webp") {
+      // JPEG has no transparency; put transparent photos on white.
+      const flat = document.createElement("canvas");
+      flat.width = flat.height = size;
+      const context = flat.getContext("2d");
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, size, size);
+      context.drawImage(canvas, 0, 0);
+      blob = await toBlob(flat, "image/jpeg", quality);
+    }
+    if (!blob) {
+      this.showError(READ_ERROR);
+      return;
+    }
+
+    const extension = blob.type === "image/webp" ? "webp" : "jpg";
+    const file = new File([blob], `${upload}.${extension}`, {
+      type: blob.type,
+      lastModified: Date.now(),
+    });
+    this.upload(upload, [file]);
+    this.close();
+  },
+};
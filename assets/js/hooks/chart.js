@@ -0,0 +1,217 @@
+// chart.js charts driven by LiveView.
+//
+//   <div id="login-trend" phx-hook="Chart" phx-update="ignore" class="h-72"
+//        data-type="line"
+//        data-options={Jason.encode!(%{plugins: %{legend: %{display: false}}})}
+//        data-chart={Jason.encode!(%{labels: labels, datasets: datasets})}
+//        data-export-name="login-trend">
+//     <canvas></canvas>
+//   </div>
+//
+// `data-chart` is only read on mount; afterwards the server changes the chart
+// in place with push_event, addressed by the element id:
+//
+//   push_event(socket, "chart:set", %{id: "login-trend", labels: [...], datasets: [...]})
+//   push_event(socket, "chart:append", %{id: "login-trend", label: "19/10", values: [4], limit: 30})
+//
+// "chart:set" replaces the data, updating datasets that already exist (matched
+// by label, else by position) so chart.js animates between the two states.
+// "chart:append" adds one label with a value per dataset and, with `limit`,
+// drops the oldest points.
+//
+// Datasets without their own colours are painted from the theme variables
+// and repainted when the theme changes. A PNG is downloaded on a
+// "chart:export" DOM event on the element, e.g.
+// `phx-click={JS.dispatch("chart:export", to: "#login-trend")}`, or the same
+// push_event from the server.
+
+import ChartJS from "chart.js/auto";
+import { onThemeChange, themeColor } from "../theme";
+
+const SERIES_COLORS = [
+  "--color-primary",
+  "--color-info-border",
+  "--color-warn-border",
+  "--color-danger",
+  "--color-success",
+  "--color-brand",
+  "--color-muted",
+];
+
+// Chart types that colour each point rather than each dataset.
+const PER_POINT_TYPES = ["pie", "doughnut", "polarArea"];
+
+function parseJSON(text, fallback) {
+  if (!text) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch (_error) {
+    console.warn("Chart: ignoring invalid JSON", text);
+    return fallback;
+  }
+}
+
+// The theme variables are 8-digit hex; swap the alpha for fills.
+function withAlpha(color, alpha) {
+  const hex = /^#([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(color);
+  if (!hex) return color;
+  const byte = Math.round(alpha * 255)
+    .toString(16)
+    .padStart(2, "0");
+  return `#${hex[1]}${byte}`;
+}
+
+function seriesColor(index) {
+  return themeColor(SERIES_COLORS[index % SERIES_COLORS.length]);
+}
+
+export const Chart = {
+  mounted() {
+    const data = parseJSON(this.el.dataset.chart, {});
+    this.type = this.el.dataset.type || "line";
+    // Datasets whose colours come from the theme, to repaint on changes.
+    this.themed = new WeakSet();
+
+    this.canvas =
+      this.el.querySelector("canvas") ||
+      this.el.appendChild(document.createElement("canvas"));
+    this.chart = new ChartJS(this.canvas, {
+      type: this.type,
+      data: {
+        labels: data.labels || [],
+        datasets: (data.datasets || []).map((dataset, index) =>
+          this.paint(dataset, index)
+        ),
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        ...parseJSON(this.el.dataset.options, {}),
+      },
+    });
+    this.applyTheme();
+
+    this.handleEvent("chart:set", (payload) => {
+      if (payload.id === this.el.id) this.setData(payload);
+    });
+    this.handleEvent("chart:append", (payload) => {
+      if (payload.id === this.el.id) this.append(payload);
+    });
+    this.handleEvent("chart:export", (payload) => {
+      if (payload.id === this.el.id) this.exportPng(payload.filename);
+    });
+
+    this.onExport = (e) => this.exportPng(e.detail && e.detail.filename);
+    this.el.addEventListener("chart:export", this.onExport);
+    this.stopTheme = onThemeChange(() => this.applyTheme());
+  },
+
+  destroyed() {
+    this.el.removeEventListener("chart:export", this.onExport);
+    this.stopTheme();
+    this.chart.destroy();
+  },
+
+  // Gives a dataset theme colours unless it brings its own.
+  paint(dataset, index) {
+    if (dataset.borderColor || dataset.backgroundColor) return dataset;
+    this.themed.add(dataset);
+    return this.colour(dataset, index);
+  },
+
+  colour(dataset, index) {
+    if (PER_POINT_TYPES.includes(this.type)) {
+      dataset.backgroundColor = (dataset.data || []).map((_, i) =>
+        seriesColor(i)
+      );
+      dataset.borderColor = themeColor("--color-surface");
+    } else {
+      const color = seriesColor(index);
+      dataset.borderColor = color;
+      dataset.backgroundColor = withAlpha(
+        color,
+        this.type === "line" ? 0.2 : 0.6
+      );
+    }
+    return dataset;
+  },
+
+  applyTheme() {
+    const foreground = themeColor("--color-foreground");
+    const grid = withAlpha(themeColor("--color-muted"), 0.3);
+    const options = this.chart.options;
+
+    options.color = foreground;
+    options.borderColor = grid;
+    Object.values(options.scales || {}).forEach((scale) => {
+      if (scale.ticks) scale.ticks.color = foreground;
+      if (scale.grid) scale.grid.color = grid;
+      if (scale.title) scale.title.color = foreground;
+    });
+
+    this.chart.data.datasets.forEach((dataset, index) => {
+      if (this.themed.has(dataset)) this.colour(dataset, index);
+    });
+    this.chart.update("none");
+  },
+
+  setData({ labels, datasets = [] }) {
+    const data = this.chart.data;
+    if (labels) data.labels = labels;
+
+    data.datasets = datasets.map((incoming, index) => {
+      const existing =
+        data.datasets.find(
+          (dataset) =>
+            incoming.label !== undefined && dataset.label === incoming.label
+        ) || data.datasets[index];
+      if (!existing) return this.paint(incoming, index);
+
+      Object.assign(existing, incoming);
+      if (this.themed.has(existing)) this.colour(existing, index);
+      return existing;
+    });
+    this.chart.update();
+  },
+
+  append({ label, values = [], limit }) {
+    const data = this.chart.data;
+    data.labels.push(label);
+    data.datasets.forEach((dataset, index) => {
+      dataset.data.push(values[index] ?? null);
+    });
+
+    if (limit > 0) {
+      while (data.labels.length > limit) {
+        data.labels.shift();
+        data.datasets.forEach((dataset) => dataset.data.shift());
+      }
+    }
+
+    // Per-point colours must grow with the data.
+    data.datasets.forEach((dataset, index) => {
+      if (this.themed.has(dataset)) this.colour(dataset, index);
+    });
+    this.chart.update();
+  },
+
+  // The canvas is transparent; export it on the surface colour so the image
+  // reads the same outside the page.
+  exportPng(filename) {
+    const source = this.chart.canvas;
+    const image = document.createElement("canvas");
+    image.width = source.width;
+    image.height = source.height;
+    const context = image.getContext("2d");
+    context.fillStyle = themeColor("--color-surface") || "#ffffff";
+    context.fillRect(0, 0, image.width, image.height);
+    context.drawImage(source, 0, 0);
+
+    const link = document.createElement("a");
+    link.href = image.toDataURL("image/png");
+    link.download = `${
+      filename || this.el.dataset.exportName || this.el.id || "chart"
+    }.png`;
+    link.click();
+  },
+};
@@ -0,0 +1,413 @@
+// Cron expression editor, the `<.cron_editor>` component in
+// core_components.ex:
+//
+//   <div phx-hook="CronEditor" data-time-zone="Europe/Amsterdam">
+//     <input data-cron-input />  <p data-cron-problem></p>
+//     <select data-cron-preset></select>
+//     <fieldset data-cron-field="minute">
+//       <select data-cron-mode></select> <input data-cron-step />
+//       <div data-cron-values><button data-value="0" aria-pressed>…</div>
+//     </fieldset>
+//     …
+//     <p data-cron-zone></p> <ol data-cron-runs></ol>
+//   </div>
+//
+// The raw expression is the form field; the presets and pickers write to it
+// and follow it as it is typed. Each picker is "every", "every N" (`*/N`) or
+// a set of values, which holds any list, range or step the field can have.
+//
+// Expressions are read the way the scheduler (Quantum, through the Crontab
+// library) reads them: five fields, names such as "mon" and "jan", 0 and 7
+// both Sunday, the @daily style shorthands, and a run needs the day of the
+// month and the weekday to match both, where classic cron takes either.
+// Crontab's L (last), W (nearest weekday) and # (nth weekday) are taken as
+// they are typed and left to the server, with no pickers or next runs.
+// Invalid expressions are reported as typed and block the submit through the
+// field's validity.
+//
+// The next runs are worked out in `data-time-zone`, the zone the jobs run in,
+// and listed in the user's time zone.
+
+import { wallClockInstant, zonedWallTime } from "../time_zones";
+
+const RUN_COUNT = 10;
+// "0 0 29 2 1" (29 February on a Monday) comes round once in 28 years.
+const SEARCH_DAYS = 28 * 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FIELDS = [
+  { name: "minute", label: "Minute", min: 0, max: 59 },
+  { name: "hour", label: "Hour", min: 0, max: 23 },
+  { name: "day", label: "Day of the month", min: 1, max: 31 },
+  {
+    name: "month",
+    label: "Month",
+    min: 1,
+    max: 12,
+    names: "jan feb mar apr may jun jul aug sep oct nov dec".split(" "),
+  },
+  {
+    name: "weekday",
+    label: "Weekday",
+    min: 0,
+    max: 7,
+    names: "sun mon tue wed thu fri sat".split(" "),
+  },
+];
+
+const SHORTHANDS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+  "@minutely": "* * * * *",
+};
+
+// L, W or # in a field ("L", "15W", "LW", "5L", "1#2"), but not the W of
+// "wed".
+const EXTENSION = /#|(^|[\d,])[LW]($|[LW\d,-])/i;
+
+const userTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+class CronError extends Error {}
+
+function parseValue(text, field) {
+  if (field.names && field.names.includes(text.toLowerCase())) {
+    return field.names.indexOf(text.toLowerCase()) + field.min;
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new CronError(`${field.label}: "${text}" is not a number`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new CronError(
+      `${field.label}: ${value} is outside ${field.min}-${field.max}`
+    );
+  }
+  return value;
+}
+
+// The values `text` matches in `field`, e.g. "1-5" for the weekday is
+// Monday to Friday. Sunday is always 0.
+function parseField(text, field) {
+  const values = new Set();
+  text.split(",").forEach((part) => {
+    const [range, step, extra] = part.split("/");
+    if (!range || extra !== undefined || step === "") {
+      throw new CronError(`${field.label}: "${part}" is not understood`);
+    }
+
+    let from = field.min;
+    // "*" for the weekday is 0-6, 7 being Sunday again.
+    let to = field.name === "weekday" ? 6 : field.max;
+    if (range !== "*") {
+      const [first, last, more] = range.split("-");
+      if (more !== undefined || last === "") {
+        throw new CronError(`${field.label}: "${range}" is not understood`);
+      }
+      from = parseValue(first, field);
+      if (last !== undefined) to = parseValue(last, field);
+      else if (step === undefined) to = from;
+      if (from > to) {
+        throw new CronError(`${field.label}: ${range} runs backwards`);
+      }
+    }
+
+    let every = 1;
+    if (step !== undefined) {
+      if (!/^\d+$/.test(step) || Number(step) < 1) {
+        throw new CronError(`${field.label}: "/${step}" is not a valid step`);
+      }
+      every = Number(step);
+    }
+
+    for (let value = from; value <= to; value += every) {
+      values.add(field.name === "weekday" ? value % 7 : value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Reads a cron expression into `{ minute: { text, values }, hour: ... }`,
+ * throwing a CronError that says what is wrong. Null for an expression with
+ * Crontab's L, W or #, which only the server reads.
+ */
+export function parseCron(expression) {
+  let text = expression.trim();
+  if (text === "") throw new CronError("Enter a cron expression");
+  if (text.startsWith("@")) {
+    if (!SHORTHANDS[text.toLowerCase()]) {
+      throw new CronError(`${text} is not a repeating schedule`);
+    }
+    text = SHORTHANDS[text.toLowerCase()];
+  }
+
+  const parts = text.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new CronError(
+      `Use five fields: minute, hour, day of the month, month and weekday (${parts.length} given)`
+    );
+  }
+
+  if (parts.some((part) => EXTENSION.test(part))) return null;
+
+  const schedule = {};
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = {
+      text: parts[i],
+      values: parseField(parts[i], field),
+    };
+  });
+  return schedule;
+}
+
+/**
+ * The next `count` instants after `from` at which `schedule` fires, the
+ * expression read as wall-clock time in `timeZone`. Fewer when the schedule
+ * comes round less often, none for one that never does ("0 0 31 2 *").
+ */
+export function nextRuns(
+  schedule,
+  timeZone,
+  from = new Date(),
+  count = RUN_COUNT
+) {
+  const sorted = (values) => [...values].sort((a, b) => a - b);
+  const hours = sorted(schedule.hour.values);
+  const minutes = sorted(schedule.minute.values);
+  const start = zonedWallTime(from, timeZone);
+  const startMinute = start.getHours() * 60 + start.getMinutes();
+  const runs = [];
+
+  // Days are stepped through in UTC, which has no DST changes to skip over.
+  const firstDay = Date.UTC(
+    start.getFullYear(),
+    start.getMonth(),
+    start.getDate()
+  );
+  for (let i = 0; i < SEARCH_DAYS; i++) {
+    const date = new Date(firstDay + i * DAY_MS);
+    if (
+      !schedule.month.values.has(date.getUTCMonth() + 1) ||
+      !schedule.day.values.has(date.getUTCDate()) ||
+      !schedule.weekday.values.has(date.getUTCDay())
+    ) {
+      continue;
+    }
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        if (i === 0 && hour * 60 + minute <= startMinute) continue;
+        const run = wallClockInstant(
+          {
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour,
+            minute,
+          },
+          timeZone
+        );
+        // A wall time the zone skips or repeats at a DST change can land on
+        // a run already listed.
+        if (run > from && !runs.some((listed) => +listed === +run)) {
+          runs.push(run);
+          if (runs.length === count) return runs;
+        }
+      }
+    }
+  }
+  return runs;
+}
+
+// "1,2,3,4,5,10" => "1-5,10"
+function compactList(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const parts = [];
+  for (let i = 0; i < sorted.length; ) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    if (j - i >= 2) {
+      parts.push(`${sorted[i]}-${sorted[j]}`);
+    } else {
+      for (let k = i; k <= j; k++) parts.push(String(sorted[k]));
+    }
+    i = j + 1;
+  }
+  return parts.join(",");
+}
+
+function fieldset(hook, field) {
+  return hook.el.querySelector(`[data-cron-field="${field.name}"]`);
+}
+
+function showMode(box, mode) {
+  const step = box.querySelector("[data-cron-step]");
+  box.querySelector("[data-cron-mode]").value = mode;
+  if (step) step.hidden = mode !== "step";
+  box.querySelector("[data-cron-values]").hidden = mode !== "list";
+}
+
+// Sets a picker to a parsed field.
+function showField(hook, field, { text, values }) {
+  const box = fieldset(hook, field);
+  const step = box.querySelector("[data-cron-step]");
+  const stepped = /^\*\/(\d+)$/.exec(text);
+
+  let mode = "list";
+  if (text === "*") mode = "every";
+  else if (stepped && step) mode = "step";
+
+  if (mode === "step") step.value = stepped[1];
+  box.querySelectorAll("[data-value]").forEach((button) => {
+    button.setAttribute(
+      "aria-pressed",
+      String(mode === "list" && values.has(Number(button.dataset.value)))
+    );
+  });
+  showMode(box, mode);
+}
+
+// The field as written by its picker, or a CronError.
+function pickedField(hook, field) {
+  const box = fieldset(hook, field);
+  const mode = box.querySelector("[data-cron-mode]").value;
+
+  if (mode === "every") return "*";
+  if (mode === "step") {
+    const step = Number(box.querySelector("[data-cron-step]").value);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronError(`${field.label}: the step must be a whole number`);
+    }
+    return `*/${step}`;
+  }
+
+  const values = [...box.querySelectorAll("[data-value][aria-pressed=true]")];
+  if (values.length === 0) {
+    throw new CronError(`${field.label}: choose at least one`);
+  }
+  return compactList(values.map((button) => Number(button.dataset.value)));
+}
+
+function formatRun(run) {
+  return new Intl.DateTimeFormat(undefined, {
+    timeZone: userTimeZone,
+    weekday: "short",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(run);
+}
+
+export const CronEditor = {
+  mounted() {
+    this.input = () => this.el.querySelector("[data-cron-input]");
+    this.timeZone = this.el.dataset.timeZone || "Etc/UTC";
+
+    this.el.addEventListener("input", (e) => {
+      if (e.target.matches("[data-cron-input]")) this.read();
+      else if (e.target.matches("[data-cron-step]")) this.write();
+    });
+    this.el.addEventListener("change", (e) => {
+      if (e.target.matches("[data-cron-preset]") && e.target.value) {
+        this.setExpression(e.target.value);
+      } else if (e.target.matches("[data-cron-mode]")) {
+        showMode(e.target.closest("[data-cron-field]"), e.target.value);
+        this.write();
+      }
+    });
+    this.el.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-cron-values] [data-value]");
+      if (!button) return;
+      const pressed = button.getAttribute("aria-pressed") === "true";
+      button.setAttribute("aria-pressed", String(!pressed));
+      this.write();
+    });
+
+    this.read();
+  },
+
+  // The field's value can come from the server, and a patch drops the
+  // problem text and aria-invalid.
+  updated() {
+    this.read();
+  },
+
+  setExpression(expression) {
+    const input = this.input();
+    input.value = expression;
+    // Tells LiveView (phx-change) and this hook that the field changed.
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+  },
+
+  // Pickers => field.
+  write() {
+    try {
+      this.setExpression(
+        FIELDS.map((field) => pickedField(this, field)).join(" ")
+      );
+    } catch (error) {
+      if (!(error instanceof CronError)) throw error;
+      this.show(null, error.message);
+    }
+  },
+
+  // Field => pickers, presets and the run list.
+  read() {
+    const expression = this.input().value;
+    let schedule = null;
+    let problem = null;
+    try {
+      schedule = parseCron(expression);
+    } catch (error) {
+      if (!(error instanceof CronError)) throw error;
+      problem = error.message;
+    }
+
+    if (schedule) {
+      FIELDS.forEach((field) => showField(this, field, schedule[field.name]));
+    }
+    const preset = this.el.querySelector("[data-cron-preset]");
+    const normalized = expression.trim().replace(/\s+/g, " ");
+    preset.value = [...preset.options].some((o) => o.value === normalized)
+      ? normalized
+      : "";
+
+    this.show(schedule, problem);
+  },
+
+  show(schedule, problem) {
+    const runs = schedule ? nextRuns(schedule, this.timeZone) : [];
+    if (schedule && runs.length === 0) {
+      problem = "This schedule never runs: no such date comes round";
+    }
+
+    const input = this.input();
+    input.setCustomValidity(problem || "");
+    input.setAttribute("aria-invalid", String(!!problem));
+    this.el.querySelector("[data-cron-problem]").textContent = problem || "";
+
+    const zone = this.el.querySelector("[data-cron-zone]");
+    if (!schedule && !problem) {
+      zone.textContent = "The next runs of L, W and # are not listed.";
+    } else {
+      zone.textContent =
+        this.timeZone === userTimeZone
+          ? `In your time zone, ${userTimeZone}.`
+          : `In your time zone, ${userTimeZone}. The jobs run on the server's clock, ${this.timeZone}.`;
+    }
+    this.el.querySelector("[data-cron-runs]").replaceChildren(
+      ...runs.map((run) => {
+        const item = document.createElement("li");
+        item.textContent = formatRun(run);
+        return item;
+      })
+    );
+  },
+};
@@ -0,0 +1,499 @@
+// Spreadsheet import preview: read, map and check a file before importing it.
+//
+//   <.import_preview id="currencies-import" fields={@import_fields} on_import="import_rows" />
+//
+// renders (see `CoreComponents.import_preview/1`):
+//
+//   <div id="currencies-import" phx-hook="ImportPreview"
+//        data-fields='[{"name":"sort","label":"Sort","type":"integer","required":true}]'
+//        data-event="import_rows" data-preview-rows="20">
+//     <input type="file" data-import-file />
+//     <select data-import-field="sort">...</select>    one per field
+//     <div data-import-preview></div>                  first rows, as they will import
+//     <p data-import-summary></p> <ul data-import-problems></ul>
+//     <button type="button" data-import-submit disabled>Import</button>
+//   </div>
+//
+// The CSV (comma, semicolon or tab separated) or XLSX file is read in the
+// browser and its first row taken as the column headers. Each field is mapped
+// to a column: by the mapping saved the last time this import was used, else
+// by a header matching the field's name or label. Changes to the mapping are
+// saved in localStorage per import id.
+//
+// Every mapped cell is checked with the rules of
+// `Phoexnip.ImportUtils.parse_import_value/2`, so a file with a bad date or a
+// "1,234.50" in a number column is caught before anything is sent; keep the
+// two in step. Import stays disabled until every row passes, then the mapped
+// rows are pushed as `%{"rows" => [%{"sort" => "10", ...}]}`. The LiveView
+// checks them again and can reply `%{errors: [%{index: 0, field: "code",
+// message: "..."}]}`, `index` being the position in `rows`, to show problems
+// only it can find, such as duplicates.
+
+import { readXlsx } from "../xlsx";
+
+const DEFAULT_PREVIEW_ROWS = 20;
+const MAX_LISTED_PROBLEMS = 10;
+const STORAGE_PREFIX = "phoexnip:import:";
+
+// Date and date-time texts that `ImportUtils.parse_datetime/1` reads, in the
+// order it tries them, as [pattern, year, month, day, hour, minute, second]
+// capture positions.
+const DATE_PATTERNS = [
+  [/^(\d{4})-(\d{2})-(\d{2}) (\d{1,2}):(\d{1,2}):(\d{1,2})$/, 1, 2, 3, 4, 5, 6],
+  [/^(\d{4})-(\d{2})-(\d{2})T(\d{1,2}):(\d{1,2})$/, 1, 2, 3, 4, 5],
+  [
+    /^(\d{2})\/(\d{2})\/(\d{4}) (\d{1,2}):(\d{1,2}):(\d{1,2})$/,
+    3,
+    2,
+    1,
+    4,
+    5,
+    6,
+  ],
+  [
+    /^(\d{4})\/(\d{2})\/(\d{2}) (\d{1,2}):(\d{1,2}):(\d{1,2})$/,
+    1,
+    2,
+    3,
+    4,
+    5,
+    6,
+  ],
+  [/^(\d{2})-(\d{2})-(\d{4}) (\d{1,2}):(\d{1,2}):(\d{1,2})$/, 3, 2, 1, 4, 5, 6],
+  [/^(\d{2})\/(\d{2})\/(\d{4})$/, 3, 2, 1],
+  [/^(\d{4})\/(\d{2})\/(\d{2})$/, 1, 2, 3],
+  [/^(\d{4})-(\d{2})-(\d{2})$/, 1, 2, 3],
+  [/^(\d{2})-(\d{2})-(\d{4})$/, 3, 2, 1],
+];
+const ISO_DATETIME =
+  /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/i;
+const EXCEL_SERIAL = /^\d+(\.\d+)?$/;
+const ISO_TIME =
+  /^T?(\d{2}):?(\d{2}):?(\d{2})([.,]\d+)?(Z|[+-]\d{2}(:?\d{2})?)?$/i;
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === "";
+}
+
+function isValidDateTime(year, month, day, hour = 0, minute = 0, second = 0) {
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day &&
+    hour < 24 &&
+    minute < 60 &&
+    second < 60
+  );
+}
+
+function readsAsDate(value) {
+  if (typeof value === "number") return Number.isFinite(value);
+  if (typeof value !== "string") return false;
+  if (EXCEL_SERIAL.test(value)) return true;
+
+  const iso = ISO_DATETIME.exec(value);
+  if (iso) return isValidDateTime(...iso.slice(1, 7).map(Number));
+
+  return DATE_PATTERNS.some(([pattern, ...positions]) => {
+    const match = pattern.exec(value);
+    return match && isValidDateTime(...positions.map((i) => Number(match[i])));
+  });
+}
+
+// The error message for a non-blank cell, as parse_import_value/2 words it,
+// or null when it parses.
+const CHECKS = {
+  string: () => null,
+  integer: (v) =>
+    typeof v === "number" || /^[+-]?\d+(\.\d+)?$/.test(v)
+      ? null
+      : "is not a whole number",
+  float: (v) =>
+    typeof v === "number" || /^[+-]?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(v)
+      ? null
+      : "is not a number",
+  decimal: (v) =>
+    typeof v === "number" || /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(v)
+      ? null
+      : "is not a number",
+  boolean: (v) =>
+    typeof v === "boolean" ||
+    Number.isInteger(v) ||
+    /^(true|false|yes|no|1|0)$/i.test(v)
+      ? null
+      : "is not yes/no, true/false or 1/0",
+  date: (v) => (readsAsDate(v) ? null : "is not a date"),
+  datetime: (v) => (readsAsDate(v) ? null : "is not a date and time"),
+  time: (v) => {
+    const time = typeof v === "string" && ISO_TIME.exec(v);
+    return time && time[1] < 24 && time[2] < 60 && time[3] < 60
+      ? null
+      : "is not a time";
+  },
+};
+
+function checkCell(field, value) {
+  if (isBlank(value)) return field.required ? "is required" : null;
+  const check = CHECKS[field.type] || CHECKS.string;
+  return check(typeof value === "string" ? value.trim() : value);
+}
+
+// RFC 4180 CSV, with the separator guessed from the header line.
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const separator = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function normalize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+// "A", "B", ... for headers left empty.
+function columnLetter(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+export const ImportPreview = {
+  mounted() {
+    this.fields = JSON.parse(this.el.dataset.fields || "[]");
+    this.fileInput = this.el.querySelector("[data-import-file]");
+    this.panel = this.el.querySelector("[data-import-panel]");
+    this.summary = this.el.querySelector("[data-import-summary]");
+    this.problemList = this.el.querySelector("[data-import-problems]");
+    this.preview = this.el.querySelector("[data-import-preview]");
+    this.submitButton = this.el.querySelector("[data-import-submit]");
+    this.headers = [];
+    this.rows = [];
+
+    this.onFile = () => {
+      const file = this.fileInput.files[0];
+      if (file) this.load(file);
+    };
+    this.onMap = (e) => {
+      if (!e.target.matches("[data-import-field]")) return;
+      this.saveMapping();
+      this.check();
+    };
+    this.onSubmit = () => this.submit();
+
+    this.fileInput.addEventListener("change", this.onFile);
+    this.panel.addEventListener("change", this.onMap);
+    this.submitButton.addEventListener("click", this.onSubmit);
+  },
+
+  destroyed() {
+    this.fileInput.removeEventListener("change", this.onFile);
+    this.panel.removeEventListener("change", this.onMap);
+    this.submitButton.removeEventListener("click", this.onSubmit);
+  },
+
+  async load(file) {
+    let table;
+    try {
+      table = /\.xlsx$/i.test(file.name)
+        ? await readXlsx(await file.arrayBuffer())
+        : parseCsv(await file.text());
+    } catch (error) {
+      console.warn("ImportPreview: could not read", file.name, error);
+      this.rows = [];
+      this.panel.hidden = false;
+      this.report(
+        `${file.name} could not be read. Save it as CSV or Excel (.xlsx) and try again.`
+      );
+      return;
+    }
+
+    const [header = [], ...body] = table;
+    this.headers = header.map((text, i) =>
+      isBlank(text) ? `Column ${columnLetter(i)}` : String(text).trim()
+    );
+    // Keep the spreadsheet row numbers for messages; skip empty lines.
+    this.rows = body
+      .map((cells, i) => ({ line: i + 2, cells }))
+      .filter(({ cells }) => cells.some((cell) => !isBlank(cell)));
+
+    this.fileName = file.name;
+    // Let the same file be chosen again once it has been fixed.
+    this.fileInput.value = "";
+    this.panel.hidden = false;
+    this.fillSelects();
+    this.check();
+  },
+
+  storageKey() {
+    return STORAGE_PREFIX + this.el.id;
+  },
+
+  savedMapping() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey())) || {};
+    } catch (_error) {
+      return {};
+    }
+  },
+
+  saveMapping() {
+    const mapping = this.savedMapping();
+    this.selects().forEach((select) => {
+      mapping[select.dataset.importField] =
+        select.value === "" ? null : this.headers[Number(select.value)];
+    });
+    try {
+      localStorage.setItem(this.storageKey(), JSON.stringify(mapping));
+    } catch (_error) {
+      // Storage disabled: the mapping is guessed again next time.
+    }
+  },
+
+  selects() {
+    return [...this.el.querySelectorAll("[data-import-field]")];
+  },
+
+  fillSelects() {
+    const saved = this.savedMapping();
+    const normalized = this.headers.map(normalize);
+
+    this.selects().forEach((select) => {
+      const field = this.fields.find(
+        (f) => f.name === select.dataset.importField
+      );
+      select.replaceChildren(select.options[0]);
+      this.headers.forEach((header, i) => {
+        select.add(new Option(header, String(i)));
+      });
+
+      let index = -1;
+      if (saved[field.name] !== undefined) {
+        index =
+          saved[field.name] === null
+            ? -1
+            : this.headers.indexOf(saved[field.name]);
+      }
+      if (index === -1 && saved[field.name] !== null) {
+        index = normalized.findIndex(
+          (header) =>
+            header === normalize(field.name) ||
+            header === normalize(field.label || "")
+        );
+      }
+      select.value = index === -1 ? "" : String(index);
+    });
+  },
+
+  // field name => column index, for the mapped fields.
+  mapping() {
+    const mapping = {};
+    this.selects().forEach((select) => {
+      if (select.value !== "") {
+        mapping[select.dataset.importField] = Number(select.value);
+      }
+    });
+    return mapping;
+  },
+
+  mappedRows() {
+    const mapping = this.mapping();
+    return this.rows.map(({ cells }) => {
+      const values = {};
+      Object.entries(mapping).forEach(([name, index]) => {
+        const value = cells[index];
+        values[name] = typeof value === "string" ? value.trim() : value ?? "";
+      });
+      return values;
+    });
+  },
+
+  check() {
+    const mapping = this.mapping();
+    const unmapped = this.fields.filter(
+      (field) => field.required && mapping[field.name] === undefined
+    );
+
+    const problems = [];
+    this.mappedRows().forEach((values, i) => {
+      this.fields.forEach((field) => {
+        if (mapping[field.name] === undefined) return;
+        const message = checkCell(field, values[field.name]);
+        if (message) {
+          problems.push({
+            line: this.rows[i].line,
+            field,
+            value: values[field.name],
+            message,
+          });
+        }
+      });
+    });
+
+    this.renderPreview(problems);
+
+    const messages = [
+      ...unmapped.map((field) => `${field.label} has no column.`),
+      ...problems.map(
+        ({ line, field, value, message }) =>
+          `Row ${line}, ${field.label}: ${
+            isBlank(value) ? "empty" : `"${value}"`
+          } ${message}.`
+      ),
+    ];
+    const count = this.rows.length;
+    const rowsText = `${this.fileName}: ${count} row${count === 1 ? "" : "s"}`;
+    if (count === 0) {
+      this.report(`${this.fileName} has no rows below the header.`);
+    } else if (messages.length > 0) {
+      this.report(
+        `${rowsText}, ${messages.length} problem${
+          messages.length === 1 ? "" : "s"
+        }. Change the mapping, or fix the file and choose it again.`,
+        messages
+      );
+    } else {
+      this.report(`${rowsText} ready to import.`);
+    }
+    this.submitButton.disabled = count === 0 || messages.length > 0;
+  },
+
+  report(summary, messages = []) {
+    this.summary.textContent = summary;
+    const listed = messages.slice(0, MAX_LISTED_PROBLEMS).map((text) => {
+      const item = document.createElement("li");
+      item.textContent = text;
+      return item;
+    });
+    if (messages.length > MAX_LISTED_PROBLEMS) {
+      const item = document.createElement("li");
+      item.textContent = `and ${messages.length - MAX_LISTED_PROBLEMS} more.`;
+      listed.push(item);
+    }
+    this.problemList.replaceChildren(...listed);
+    this.summary.classList.toggle("text-danger", messages.length > 0);
+  },
+
+  renderPreview(problems) {
+    const limit = parseInt(this.el.dataset.previewRows) || DEFAULT_PREVIEW_ROWS;
+    const mapping = this.mapping();
+    const fields = this.fields.filter((f) => mapping[f.name] !== undefined);
+    const problemAt = new Map(
+      problems.map((p) => [`${p.line}:${p.field.name}`, p.message])
+    );
+
+    const table = document.createElement("table");
+    table.className = "w-full table-auto text-sm";
+    const head = table.createTHead().insertRow();
+    ["Row", ...fields.map((f) => f.label)].forEach((label) => {
+      const th = document.createElement("th");
+      th.className = "p-1 pr-3 text-left font-normal text-muted";
+      th.textContent = label;
+      head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    body.className = "divide-y divide-border border-t border-border";
+    const values = this.mappedRows();
+    this.rows.slice(0, limit).forEach(({ line }, i) => {
+      const tr = body.insertRow();
+      tr.insertCell().textContent = line;
+      fields.forEach((field) => {
+        const td = tr.insertCell();
+        const value = values[i][field.name];
+        td.textContent = isBlank(value) ? "" : String(value);
+        td.className = "p-1 pr-3";
+        const message = problemAt.get(`${line}:${field.name}`);
+        if (message) {
+          td.className += " text-danger underline decoration-wavy";
+          td.title = `${field.label} ${message}`;
+        }
+      });
+      tr.cells[0].className = "p-1 pr-3 text-muted";
+    });
+
+    const caption = table.createCaption();
+    caption.className = "text-left text-sm text-muted pb-1";
+    caption.textContent =
+      this.rows.length > limit
+        ? `First ${limit} of ${this.rows.length} rows`
+        : `${this.rows.length} rows`;
+    this.preview.replaceChildren(table);
+  },
+
+  submit() {
+    if (this.submitButton.disabled) return;
+    this.submitButton.disabled = true;
+    this.summary.textContent = "Importing…";
+
+    this.pushEvent(
+      this.el.dataset.event,
+      { rows: this.mappedRows() },
+      (reply) => {
+        const errors = (reply && reply.errors) || [];
+        if (errors.length === 0) {
+          this.report("Imported.");
+          return;
+        }
+
+        const labels = Object.fromEntries(
+          this.fields.map((f) => [f.name, f.label])
+        );
+        this.report(
+          "Nothing was imported.",
+          errors.map(({ index, field, message }) => {
+            const row = this.rows[index];
+            const where = row ? `Row ${row.line}` : "File";
+            return field
+              ? `${where}, ${labels[field] || field}: ${message}.`
+              : `${where}: ${message}.`;
+          })
+        );
+        this.submitButton.disabled = false;
+      }
+    );
+  },
+};
@@ -0,0 +1,496 @@
+// Interactive tables: `<.table interactive on_select="rows_selected" ...>`.
+//
+// Sits on the table's wrapper. CoreComponents.table/1 renders the pieces this
+// hook looks for:
+//
+//   th/td[data-column]         cells of each column, keyed for the layout
+//   th [data-column-resize]    drag handle (and keyboard separator) per column
+//   [data-column-toggle]       checkboxes of the "Columns" menu
+//   tr[data-row-value]         value reported when the row is selected
+//
+// Column widths, order and hidden columns are kept in localStorage per table
+// id. Resizing drags the handle, or uses Left/Right on the focused handle;
+// Shift+Left/Right there moves the column, as does dragging its header.
+//
+// Rows use a roving tabindex: Up/Down/Home/End move between them and Enter
+// runs the row's `row_click`. When the table has a select event, Space and
+// ctrl/cmd-click toggle a row, shift-click and Shift+Up/Down select a range
+// from the last row picked, Escape clears, and every change pushes
+// `%{"ids" => [...]}` to the LiveView. A "table:clear-selection" event with the
+// table id clears the selection from the server.
+//
+// LiveView patches undo the layout (cell order, widths, classes), so it is
+// re-applied from a MutationObserver, which runs before the browser paints.
+
+const STORAGE_PREFIX = "phoexnip:table:";
+const MIN_WIDTH = 48;
+const RESIZE_STEP = 16;
+
+function isControl(target) {
+  return !!target.closest("a, button, input, select, textarea, label");
+}
+
+export const InteractiveTable = {
+  mounted() {
+    this.table = this.el.querySelector("table");
+    this.tableId = this.el.dataset.table;
+    this.selectEvent = this.el.dataset.selectEvent || null;
+    this.layout = this.loadLayout();
+    this.selected = new Set();
+    this.anchor = null;
+    this.activeRowId = null;
+
+    this.onPointerDown = (e) => this.startResize(e);
+    this.onDoubleClick = (e) => this.resetWidth(e);
+    this.onKeydown = (e) => this.handleKeydown(e);
+    this.onMouseDown = (e) => {
+      // Keep shift-click from selecting the text between the rows.
+      if (this.selectEvent && e.shiftKey && e.target.closest("tbody tr")) {
+        e.preventDefault();
+      }
+    };
+    this.onClick = (e) => this.handleClick(e);
+    this.onChange = (e) => this.toggleColumn(e);
+    this.onDragStart = (e) => this.dragStart(e);
+    this.onDragOver = (e) => this.dragOver(e);
+    this.onDrop = (e) => this.drop(e);
+    this.onDragEnd = () => this.clearDropMarks();
+    this.onFocusIn = (e) => {
+      const row = e.target.closest("tbody tr");
+      if (row && row.id) this.activeRowId = row.id;
+    };
+
+    this.listeners = [
+      ["pointerdown", this.onPointerDown],
+      ["dblclick", this.onDoubleClick],
+      ["keydown", this.onKeydown],
+      ["mousedown", this.onMouseDown],
+      ["click", this.onClick],
+      ["change", this.onChange],
+      ["dragstart", this.onDragStart],
+      ["dragover", this.onDragOver],
+      ["drop", this.onDrop],
+      ["dragend", this.onDragEnd],
+      ["focusin", this.onFocusIn],
+    ];
+    this.listeners.forEach(([type, listener]) =>
+      this.el.addEventListener(type, listener)
+    );
+
+    this.handleEvent("table:clear-selection", ({ id }) => {
+      if (id === this.tableId) this.setSelection([]);
+    });
+
+    this.observer = new MutationObserver(() => this.apply());
+    this.apply();
+  },
+
+  destroyed() {
+    this.observer.disconnect();
+    this.listeners.forEach(([type, listener]) =>
+      this.el.removeEventListener(type, listener)
+    );
+  },
+
+  // Layout storage
+
+  loadLayout() {
+    const empty = { order: [], hidden: [], widths: {} };
+    try {
+      const saved = JSON.parse(
+        localStorage.getItem(STORAGE_PREFIX + this.tableId)
+      );
+      return { ...empty, ...saved };
+    } catch (_error) {
+      return empty;
+    }
+  },
+
+  saveLayout() {
+    try {
+      localStorage.setItem(
+        STORAGE_PREFIX + this.tableId,
+        JSON.stringify(this.layout)
+      );
+    } catch (_error) {
+      // Storage full or disabled: the layout lasts until the page reloads.
+    }
+  },
+
+  // Applying the layout
+
+  headers() {
+    return [...this.table.querySelectorAll("thead th[data-column]")];
+  },
+
+  rows() {
+    return [...this.table.querySelectorAll("tbody tr")];
+  },
+
+  // Saved order first, then columns the saved layout does not know yet.
+  columnOrder() {
+    const keys = this.headers().map((th) => th.dataset.column);
+    const saved = this.layout.order.filter((key) => keys.includes(key));
+    return [...saved, ...keys.filter((key) => !saved.includes(key))];
+  },
+
+  apply() {
+    this.observer.disconnect();
+
+    const order = this.columnOrder();
+    const hidden = new Set(this.layout.hidden);
+    const widths = this.layout.widths;
+
+    this.table.querySelectorAll("tr").forEach((tr) => {
+      const cells = [...tr.children];
+      const keyed = order
+        .map((key) =>
+          cells.find((cell) => cell.getAttribute("data-column") === key)
+        )
+        .filter(Boolean);
+      // The actions column has no key and stays last.
+      const desired = [
+        ...keyed,
+        ...cells.filter((cell) => !keyed.includes(cell)),
+      ];
+      if (desired.some((cell, index) => cells[index] !== cell)) {
+        desired.forEach((cell) => tr.appendChild(cell));
+      }
+
+      keyed.forEach((cell) => {
+        cell.classList.toggle("hidden", hidden.has(cell.dataset.column));
+      });
+    });
+
+    const fixed = Object.keys(widths).length > 0;
+    this.table.style.tableLayout = fixed ? "fixed" : "";
+    this.headers().forEach((th) => {
+      const width = widths[th.dataset.column];
+      th.style.width = width ? `${width}px` : "";
+    });
+
+    this.el.querySelectorAll("[data-column-toggle]").forEach((toggle) => {
+      toggle.checked = !hidden.has(toggle.dataset.columnToggle);
+    });
+
+    this.applyRows();
+
+    this.observer.observe(this.table, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["class", "style", "tabindex", "aria-selected"],
+    });
+  },
+
+  applyRows() {
+    const rows = this.rows();
+    const values = new Set(rows.map((row) => this.rowValue(row)));
+
+    // Rows removed by the server leave the selection.
+    const before = this.selected.size;
+    this.selected.forEach((value) => {
+      if (!values.has(value)) this.selected.delete(value);
+    });
+    if (this.selected.size !== before) this.pushSelection();
+
+    const active =
+      rows.find((row) => row.id && row.id === this.activeRowId) || rows[0];
+    rows.forEach((row) => {
+      row.tabIndex = row === active ? 0 : -1;
+      if (this.selectEvent) {
+        row.setAttribute(
+          "aria-selected",
+          String(this.selected.has(this.rowValue(row)))
+        );
+      }
+    });
+  },
+
+  // Columns
+
+  // Fixing one width switches the table to a fixed layout; pin the others at
+  // their current width so they do not jump.
+  freezeWidths() {
+    this.headers().forEach((th) => {
+      const key = th.dataset.column;
+      if (!this.layout.widths[key] && !th.classList.contains("hidden")) {
+        this.layout.widths[key] = Math.round(th.getBoundingClientRect().width);
+      }
+    });
+  },
+
+  setWidth(key, width) {
+    this.layout.widths[key] = Math.max(MIN_WIDTH, Math.round(width));
+    this.apply();
+  },
+
+  startResize(e) {
+    const handle = e.target.closest("[data-column-resize]");
+    if (!handle || e.button !== 0) return;
+    e.preventDefault();
+
+    const th = handle.closest("th");
+    const key = th.dataset.column;
+    const startX = e.clientX;
+    const startWidth = th.getBoundingClientRect().width;
+    this.freezeWidths();
+    this.resizing = true;
+
+    const move = (event) =>
+      this.setWidth(key, startWidth + event.clientX - startX);
+    const end = () => {
+      this.resizing = false;
+      handle.removeEventListener("pointermove", move);
+      handle.removeEventListener("pointerup", end);
+      handle.removeEventListener("pointercancel", end);
+      this.saveLayout();
+    };
+    if (handle.setPointerCapture) handle.setPointerCapture(e.pointerId);
+    handle.addEventListener("pointermove", move);
+    handle.addEventListener("pointerup", end);
+    handle.addEventListener("pointercancel", end);
+  },
+
+  // Double-clicking a handle gives the column its natural width back.
+  resetWidth(e) {
+    const handle = e.target.closest("[data-column-resize]");
+    if (!handle) return;
+    delete this.layout.widths[handle.closest("th").dataset.column];
+    this.saveLayout();
+    this.apply();
+  },
+
+  moveColumn(key, targetKey, after) {
+    const order = this.columnOrder().filter((k) => k !== key);
+    const index = order.indexOf(targetKey);
+    order.splice(after ? index + 1 : index, 0, key);
+    this.layout.order = order;
+    this.saveLayout();
+    this.apply();
+  },
+
+  toggleColumn(e) {
+    const toggle = e.target.closest("[data-column-toggle]");
+    if (!toggle) return;
+    const key = toggle.dataset.columnToggle;
+    const hidden = new Set(this.layout.hidden);
+
+    if (toggle.checked) {
+      hidden.delete(key);
+    } else if (hidden.size + 1 >= this.headers().length) {
+      // Keep at least one column.
+      toggle.checked = true;
+      return;
+    } else {
+      hidden.add(key);
+    }
+    this.layout.hidden = [...hidden];
+    this.saveLayout();
+    this.apply();
+  },
+
+  dragStart(e) {
+    const th = e.target.closest && e.target.closest("th[data-column]");
+    if (!th || this.resizing) {
+      if (th) e.preventDefault();
+      return;
+    }
+    this.dragKey = th.dataset.column;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", this.dragKey);
+  },
+
+  // Which header a drop lands on, and whether before or after it.
+  dropTarget(e) {
+    const th = e.target.closest && e.target.closest("th[data-column]");
+    if (!th || !this.dragKey || th.dataset.column === this.dragKey) return null;
+    const rect = th.getBoundingClientRect();
+    return { th, after: e.clientX > rect.left + rect.width / 2 };
+  },
+
+  dragOver(e) {
+    const target = this.dropTarget(e);
+    this.clearDropMarks();
+    if (!target) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    target.th.classList.add(
+      target.after ? "border-r-2" : "border-l-2",
+      "border-themePrimary"
+    );
+  },
+
+  drop(e) {
+    const target = this.dropTarget(e);
+    this.clearDropMarks();
+    if (!target) return;
+    e.preventDefault();
+
+    this.moveColumn(this.dragKey, target.th.dataset.column, target.after);
+    this.dragKey = null;
+  },
+
+  clearDropMarks() {
+    this.headers().forEach((th) =>
+      th.classList.remove("border-l-2", "border-r-2", "border-themePrimary")
+    );
+  },
+
+  // Keyboard
+
+  handleKeydown(e) {
+    const handle = e.target.closest("[data-column-resize]");
+    if (handle) {
+      this.handleSeparatorKey(e, handle.closest("th"));
+      return;
+    }
+
+    const row = e.target.closest("tbody tr");
+    // Keys pressed in a row's buttons and links belong to them.
+    if (!row || e.target !== row) return;
+    const rows = this.rows();
+    const index = rows.indexOf(row);
+    let next = null;
+
+    switch (e.key) {
+      case "ArrowDown":
+        next = rows[Math.min(index + 1, rows.length - 1)];
+        break;
+      case "ArrowUp":
+        next = rows[Math.max(index - 1, 0)];
+        break;
+      case "Home":
+        next = rows[0];
+        break;
+      case "End":
+        next = rows[rows.length - 1];
+        break;
+      case "Enter": {
+        // Only the row's own click; action buttons are reached with Tab.
+        const clickable = row.querySelector(":scope > td[phx-click]");
+        if (clickable) {
+          e.preventDefault();
+          clickable.click();
+        }
+        return;
+      }
+      case " ":
+        if (!this.selectEvent) return;
+        e.preventDefault();
+        this.toggleRow(row);
+        return;
+      case "Escape":
+        if (this.selectEvent && this.selected.size) this.setSelection([]);
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.focusRow(next);
+    if (e.shiftKey && this.selectEvent) this.selectRange(next);
+  },
+
+  handleSeparatorKey(e, th) {
+    if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+    e.preventDefault();
+    const key = th.dataset.column;
+
+    if (e.shiftKey) {
+      const order = this.columnOrder();
+      const index = order.indexOf(key);
+      if (e.key === "ArrowLeft" && index > 0) {
+        this.moveColumn(key, order[index - 1], false);
+      } else if (e.key === "ArrowRight" && index < order.length - 1) {
+        this.moveColumn(key, order[index + 1], true);
+      }
+      th.querySelector("[data-column-resize]").focus();
+      return;
+    }
+
+    this.freezeWidths();
+    const step = e.key === "ArrowRight" ? RESIZE_STEP : -RESIZE_STEP;
+    this.setWidth(key, this.layout.widths[key] + step);
+    this.saveLayout();
+  },
+
+  focusRow(row) {
+    if (!row) return;
+    this.activeRowId = row.id;
+    this.rows().forEach((other) => (other.tabIndex = other === row ? 0 : -1));
+    row.focus();
+  },
+
+  // Selection
+
+  rowValue(row) {
+    return row.dataset.rowValue || row.id;
+  },
+
+  handleClick(e) {
+    if (!this.selectEvent || !(e.target instanceof Element)) return;
+    const row = e.target.closest("tbody tr");
+    if (!row || isControl(e.target)) return;
+
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      // Selecting, not opening: keep the click from reaching row_click.
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.shiftKey) {
+        this.selectRange(row, e.ctrlKey || e.metaKey);
+      } else {
+        this.toggleRow(row);
+      }
+      this.focusRow(row);
+      return;
+    }
+    this.anchor = this.rowValue(row);
+  },
+
+  toggleRow(row) {
+    const value = this.rowValue(row);
+    const selected = new Set(this.selected);
+    if (selected.has(value)) {
+      selected.delete(value);
+    } else {
+      selected.add(value);
+    }
+    this.anchor = value;
+    this.setSelection([...selected]);
+  },
+
+  // Selects from the anchor row to `row`, replacing the selection unless
+  // `extend` is set.
+  selectRange(row, extend = false) {
+    const rows = this.rows();
+    const values = rows.map((r) => this.rowValue(r));
+    const end = values.indexOf(this.rowValue(row));
+    let start = values.indexOf(this.anchor);
+    if (start === -1) {
+      start = end;
+      this.anchor = values[end];
+    }
+
+    const [from, to] = start < end ? [start, end] : [end, start];
+    const range = values.slice(from, to + 1);
+    this.setSelection(extend ? [...this.selected, ...range] : range);
+  },
+
+  setSelection(values) {
+    const next = new Set(values);
+    const changed =
+      next.size !== this.selected.size ||
+      [...next].some((value) => !this.selected.has(value));
+    this.selected = next;
+    if (values.length === 0) this.anchor = null;
+    this.apply();
+    if (changed) this.pushSelection();
+  },
+
+  pushSelection() {
+    if (this.selectEvent) {
+      this.pushEvent(this.selectEvent, { ids: [...this.selected] });
+    }
+  },
+};
@@ -0,0 +1,67 @@
+import { autoPosition, scheduleUpdate } from "../floating";
+
+// Floats a live_select dropdown over its surroundings so it is not clipped by
+// scrolling containers or modals. Put it on the wrapper of a live-select input:
+//
+//   <.input type="live-select" field={@form[:currency]} phx-hook="LiveSelectAbsolute" />
+//
+// The dropdown is positioned by the shared floating positioner only while it
+// is rendered, so idle instances cost nothing.
+export const LiveSelectAbsolute = {
+  mounted() {
+    if (!this.el.id) {
+      this.el.id = `lswrapper-${
+        globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2)
+      }`;
+    }
+
+    this.liveSelectEl = this.el.querySelector('[phx-hook="LiveSelect"]');
+    this.handle = null;
+
+    // live_select adds and removes the list as it opens and closes; attribute
+    // changes are ignored so our own style writes do not feed back in.
+    this.observer = new MutationObserver(() => this.sync());
+    this.observer.observe(this.liveSelectEl || this.el, {
+      childList: true,
+      subtree: true,
+    });
+
+    this.sync();
+  },
+
+  updated() {
+    this.sync();
+  },
+
+  destroyed() {
+    this.observer.disconnect();
+    if (this.handle) this.handle.stop();
+    this.handle = null;
+  },
+
+  sync() {
+    const inputEl = this.el.querySelector("input:not([type='hidden'])");
+    const dropdownEl = this.getDropdownEl();
+    const open =
+      inputEl && dropdownEl && getComputedStyle(dropdownEl).display !== "none";
+
+    if (!open) {
+      if (this.handle) this.handle.stop();
+      this.handle = null;
+    } else if (!this.handle || this.handle.floating !== dropdownEl) {
+      if (this.handle) this.handle.stop();
+      this.handle = autoPosition(inputEl, dropdownEl);
+    } else {
+      // Same list, patched in place: its inline position may have been reset.
+      scheduleUpdate();
+    }
+  },
+
+  getDropdownEl() {
+    if (this.liveSelectEl) {
+      const d = this.liveSelectEl.querySelector("ul.absolute");
+      if (d) return d;
+    }
+    return document.querySelector(`ul[data-parent="${this.el.id}"]`);
+  },
+};
@@ -0,0 +1,335 @@
+// Amount fields, `<.input type="amount">` in core_components.ex:
+//
+//   <div phx-hook="NumberInput" data-decimals="2">
+//     <input type="hidden" name="order[amount]" data-number-value />
+//     <input type="text" min="0" step="0.5" data-number-display />
+//   </div>
+//
+// The visible field shows the amount in the user's locale, grouped as it is
+// typed ("1,234,567.5" or "1.234.567,5"), and padded to `data-decimals`
+// places when it loses focus. The hidden field holds what the form submits:
+// a plain "-1234567.50", which `ImportUtils.parse_to_decimal/1` reads.
+//
+// Typing takes the locale's decimal separator, and the other one of "." and
+// "," too when the locale does not group with it: a French keypad gives ".".
+// Pasted text is read more loosely, so that "1.234,56" from a European
+// spreadsheet, "1,234.56", "1 234,56" and "(1,234.56)" all land as the number
+// they show.
+//
+// ArrowUp/ArrowDown add or take `step` (default 1; Shift for ten steps),
+// kept within `min` and `max`. Values outside them are reported through the
+// field's validity. Negative amounts are shown in the danger colour.
+
+const NEGATIVE_CLASS = "text-danger";
+// Decimal places kept when the field sets none.
+const MAX_DECIMALS = 10;
+// BigInt literals (0n) need a newer target than the bundle's es2017.
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const TEN = BigInt(10);
+
+function separators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(-12345.6);
+  const part = (type, fallback) =>
+    (parts.find((p) => p.type === type) || { value: fallback }).value;
+  return { group: part("group", ","), decimal: part("decimal", ".") };
+}
+
+// A plain "-1234.5678" as `{ negative, whole, fraction }`, rounded half up
+// to `places` decimals. Worked on the digits, as a Number would lose those
+// past the 15th. Null when `plain` is not a plain number.
+function roundPlain(plain, places) {
+  const match = /^([-+]?)(\d*)(?:\.(\d*))?$/.exec(plain || "");
+  if (!match || (!match[2] && !match[3])) return null;
+  const [, sign, whole, fraction = ""] = match;
+  const digits =
+    BigInt((whole || "0") + fraction.slice(0, places).padEnd(places, "0")) +
+    (fraction[places] >= "5" ? ONE : ZERO);
+  const text = digits.toString().padStart(places + 1, "0");
+  return {
+    negative: sign === "-" && /[1-9]/.test(text),
+    whole: text.slice(0, text.length - places),
+    fraction: text.slice(text.length - places),
+  };
+}
+
+// A plain number as an integer count of 10^-places: "12.5" at 2 is 1250.
+function scaled(plain, places) {
+  const rounded = roundPlain(plain, places);
+  if (!rounded) return null;
+  const units = BigInt(rounded.whole + rounded.fraction);
+  return rounded.negative ? -units : units;
+}
+
+function unscaled(units, places) {
+  const text = (units < ZERO ? -units : units)
+    .toString()
+    .padStart(places + 1, "0");
+  const whole = text.slice(0, text.length - places);
+  const fraction = places > 0 ? "." + text.slice(text.length - places) : "";
+  return `${units < ZERO ? "-" : ""}${whole}${fraction}`;
+}
+
+function decimalPlaces(plain) {
+  return ((plain || "").split(".")[1] || "").length;
+}
+
+// "1234567" => "1,234,567" in the locale, including its grouping style.
+function groupDigits(digits, locale) {
+  if (digits === "") return "";
+  return new Intl.NumberFormat(locale, { useGrouping: true }).format(
+    BigInt(digits)
+  );
+}
+
+// The amount as `{ negative, whole, fraction, point }`, `point` telling
+// whether a decimal separator was typed: "12," is kept as typed.
+function typedNumber(text, seps) {
+  const negative = /^\s*[-−(]/.test(text) || /-\s*$/.test(text);
+  const alternative = seps.decimal === "," ? "." : ",";
+  let whole = "";
+  let fraction = "";
+  let point = false;
+  for (const char of text) {
+    if (/\d/.test(char)) {
+      if (point) fraction += char;
+      else whole += char;
+    } else if (
+      !point &&
+      (char === seps.decimal ||
+        (char === alternative && alternative !== seps.group))
+    ) {
+      point = true;
+    }
+  }
+  return { negative, whole: whole.replace(/^0+(?=\d)/, ""), fraction, point };
+}
+
+/**
+ * Reads a pasted amount whatever its separators: the last "." or "," is the
+ * decimal point when both appear, a separator repeated or followed by
+ * exactly three digits is grouping, anything else is the decimal point.
+ * Returns a plain "-1234.56", or null when there are no digits.
+ */
+export function parsePastedNumber(text, locale) {
+  const seps = separators(locale);
+  const negative = /^\s*[-−(]/.test(text) || /-\s*$/.test(text);
+  const cleaned = text.replace(/[^\d.,]/g, "");
+  if (!/\d/.test(cleaned)) return null;
+
+  const lastDot = cleaned.lastIndexOf(".");
+  const lastComma = cleaned.lastIndexOf(",");
+  let decimal = null;
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimal = lastDot > lastComma ? "." : ",";
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const sep = lastDot !== -1 ? "." : ",";
+    const count = cleaned.split(sep).length - 1;
+    const after = cleaned.length - cleaned.lastIndexOf(sep) - 1;
+    const grouping =
+      count > 1 || (after === 3 && sep === seps.group && sep !== seps.decimal);
+    decimal = grouping ? null : sep;
+  }
+
+  let whole = cleaned;
+  let fraction = "";
+  if (decimal) {
+    const at = cleaned.lastIndexOf(decimal);
+    whole = cleaned.slice(0, at);
+    fraction = cleaned.slice(at + 1);
+  }
+  whole = whole.replace(/\D/g, "").replace(/^0+(?=\d)/, "") || "0";
+  fraction = fraction.replace(/\D/g, "");
+  const sign = negative && /[1-9]/.test(whole + fraction) ? "-" : "";
+  return `${sign}${whole}${fraction ? "." + fraction : ""}`;
+}
+
+function formatTyped({ negative, whole, fraction, point }, seps, locale) {
+  if (!whole && !point) return negative ? "-" : "";
+  return (
+    (negative ? "-" : "") +
+    (groupDigits(whole, locale) || "0") +
+    (point ? seps.decimal + fraction : "")
+  );
+}
+
+// Characters that survive reformatting, for keeping the caret in place.
+function significant(text, seps) {
+  return text.replace(
+    new RegExp(`[^\\d\\-${seps.decimal === "." ? "\\." : ","}]`, "g"),
+    ""
+  ).length;
+}
+
+function caretAfter(text, count, seps) {
+  if (count === 0) return 0;
+  for (let i = 0, seen = 0; i < text.length; i++) {
+    if (significant(text[i], seps) === 1) seen++;
+    if (seen === count) return i + 1;
+  }
+  return text.length;
+}
+
+export const NumberInput = {
+  mounted() {
+    this.display = this.el.querySelector("[data-number-display]");
+    this.value = this.el.querySelector("[data-number-value]");
+    this.locale = this.el.dataset.locale || navigator.language;
+    this.seps = separators(this.locale);
+
+    // The visible field has no name: only the hidden value is LiveView's.
+    this.el.addEventListener("input", (e) => {
+      if (e.target !== this.display) return;
+      e.stopPropagation();
+      this.onType();
+    });
+    this.display.addEventListener("paste", (e) => this.onPaste(e));
+    this.display.addEventListener("keydown", (e) => this.onKeydown(e));
+    this.display.addEventListener("blur", () => this.showValue());
+
+    this.showValue({ notify: false });
+  },
+
+  // A patch puts the server's plain value back in the visible field.
+  updated() {
+    if (document.activeElement !== this.display) {
+      this.showValue({ notify: false });
+    }
+  },
+
+  decimals() {
+    const decimals = parseInt(this.el.dataset.decimals, 10);
+    return isNaN(decimals) || decimals < 0 ? null : decimals;
+  },
+
+  attribute(name) {
+    const value = parseFloat(this.display.getAttribute(name));
+    return isNaN(value) ? null : value;
+  },
+
+  // Plain value => `this.value`, telling phx-change when it changed.
+  setValue(plain, { notify = true } = {}) {
+    if (this.value.value !== plain) {
+      this.value.value = plain;
+      if (notify) {
+        this.value.dispatchEvent(new Event("input", { bubbles: true }));
+      }
+    }
+    this.check();
+  },
+
+  // The plain value shown in full: grouped and padded to the decimals. Not
+  // announced when it only restates the server's value ("5" as "5.00").
+  showValue({ notify = true } = {}) {
+    const plain = this.value.value.trim();
+    const decimals = this.decimals();
+    const rounded = roundPlain(
+      plain,
+      decimals === null ? MAX_DECIMALS : decimals
+    );
+    if (!rounded) {
+      this.display.value = plain;
+      this.check();
+      return;
+    }
+
+    const fraction =
+      decimals === null
+        ? rounded.fraction.replace(/0+$/, "")
+        : rounded.fraction;
+    const typed = { ...rounded, fraction, point: fraction !== "" };
+    this.display.value = formatTyped(typed, this.seps, this.locale);
+    this.setValue(this.plain(typed), { notify });
+  },
+
+  plain({ negative, whole, fraction }) {
+    const decimals = this.decimals();
+    const kept = decimals === null ? fraction : fraction.slice(0, decimals);
+    if (!whole && !kept) return "";
+    return `${negative ? "-" : ""}${whole || "0"}${kept ? "." + kept : ""}`;
+  },
+
+  onType() {
+    const text = this.display.value;
+    const caret = significant(
+      text.slice(0, this.display.selectionStart),
+      this.seps
+    );
+    const typed = typedNumber(text, this.seps);
+    const decimals = this.decimals();
+    if (decimals === 0) typed.point = false;
+    if (decimals !== null) typed.fraction = typed.fraction.slice(0, decimals);
+
+    const formatted = formatTyped(typed, this.seps, this.locale);
+    this.display.value = formatted;
+    const at = caretAfter(formatted, caret, this.seps);
+    this.display.setSelectionRange(at, at);
+    this.setValue(this.plain(typed));
+  },
+
+  onPaste(e) {
+    const text = (e.clipboardData || window.clipboardData).getData("text");
+    const plain = parsePastedNumber(text, this.locale);
+    if (plain === null) return;
+    e.preventDefault();
+    this.replaceValue(plain);
+  },
+
+  onKeydown(e) {
+    if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+    if (this.display.readOnly || this.display.disabled) return;
+    e.preventDefault();
+
+    // Counted in units of the last decimal, so no digit is lost or drifts.
+    const value = this.value.value.trim();
+    const stepText = this.display.getAttribute("step") || "1";
+    const places =
+      this.decimals() !== null
+        ? this.decimals()
+        : Math.max(decimalPlaces(stepText), decimalPlaces(value));
+    const step =
+      (scaled(stepText, places) || scaled("1", places)) *
+      (e.shiftKey ? TEN : ONE);
+    const min = scaled(this.display.getAttribute("min"), places);
+    const max = scaled(this.display.getAttribute("max"), places);
+
+    let next =
+      (scaled(value, places) || ZERO) + (e.key === "ArrowUp" ? step : -step);
+    if (min !== null && next < min) next = min;
+    if (max !== null && next > max) next = max;
+    this.replaceValue(unscaled(next, places));
+  },
+
+  // Shows `plain` in full, telling phx-change once if the value changed.
+  replaceValue(plain) {
+    const previous = this.value.value;
+    this.value.value = plain;
+    this.showValue({ notify: false });
+    if (this.value.value !== previous) {
+      this.value.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+  },
+
+  check() {
+    const plain = this.value.value;
+    const number = Number(plain);
+    const min = this.attribute("min");
+    const max = this.attribute("max");
+    let problem = "";
+    if (plain !== "" && isNaN(number)) problem = "Enter a number";
+    else if (plain !== "" && min !== null && number < min) {
+      problem = `Must be at least ${this.formatLimit(min)}`;
+    } else if (plain !== "" && max !== null && number > max) {
+      problem = `Must be at most ${this.formatLimit(max)}`;
+    }
+    this.display.setCustomValidity(problem);
+    this.display.title = problem;
+    this.display.classList.toggle(NEGATIVE_CLASS, number < 0);
+  },
+
+  formatLimit(limit) {
+    return new Intl.NumberFormat(this.locale, {
+      maximumFractionDigits: MAX_DECIMALS,
+    }).format(limit);
+  },
+};
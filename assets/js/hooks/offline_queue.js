@@ -0,0 +1,269 @@
+// Offline-safe form submits.
+//
+//   <div id="offline-queue" phx-hook="OfflineQueue" hidden></div>   (app layout)
+//
+// A `phx-submit` form submitted while the LiveView socket is down would be
+// lost: LiveView pushes it into a dead channel and the values are gone with
+// the next page load. Instead the submit is caught before LiveView sees it and
+// kept in sessionStorage, with the page and form it came from, and sent again
+// in the order it was made once the page is connected.
+//
+// An item is replayed through the form it came from, so only on the same page
+// with a form of the same id and event on it: a submit queued on a role's edit
+// form waits until that role is open again and is never sent to the new-role
+// form. Later items wait behind it, so submits are never sent out of order.
+// Each replay is reported with a toast:
+//   * sent;
+//   * refused, when the LiveView replies `%{error: "..."}` or the form then
+//     shows field errors; the form is on the page to correct and submit again;
+//   * no reply, when none comes in time. The submit may still have been saved,
+//     so it leaves the queue all the same rather than risk saving it twice.
+//
+// Forms need an id and a `phx-submit` event name (not a JS command) to be
+// queued. `data-offline-queue="false"` opts a form out and `data-offline-label`
+// names it in the messages instead of the page title. Forms with a password
+// field are never kept on the device: their submit is stopped with a toast.
+// Selected files are not queued: uploads need the live connection.
+//
+// Changes to the queue are announced with a `phoexnip:offline-queue` window
+// event, which the connection indicator (connection_status.js) shows.
+
+import { showToast } from "./toasts";
+
+const STORAGE_KEY = "phoexnip:offline-queue";
+// How long a replayed submit may take before it counts as unanswered.
+const REPLY_TIMEOUT = 15000;
+
+let replaying = false;
+let requestedBy = null;
+
+function isConnected() {
+  return !window.liveSocket || window.liveSocket.isConnected();
+}
+
+/** The queued submits, oldest first. */
+export function queuedSubmits() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || [];
+  } catch (_error) {
+    return [];
+  }
+}
+
+function writeQueue(items) {
+  try {
+    if (items.length > 0) {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } else {
+      sessionStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn("OfflineQueue: could not store the queue", error);
+  }
+  window.dispatchEvent(
+    new CustomEvent("phoexnip:offline-queue", { detail: { items } })
+  );
+}
+
+// Sets `name` ("role[name]", "ids[]") in `params` the way Plug decodes form
+// fields, so the LiveView receives the same map a live submit would give it.
+function setParam(params, name, value) {
+  const keys = name.replace(/\]/g, "").split("[");
+  let target = params;
+  keys.forEach((key, i) => {
+    if (i === keys.length - 1) {
+      if (key === "" && Array.isArray(target)) {
+        target.push(value);
+      } else {
+        target[key] = value;
+      }
+      return;
+    }
+    const container = keys[i + 1] === "" ? [] : {};
+    if (key === "" && Array.isArray(target)) {
+      target.push(container);
+      target = container;
+      return;
+    }
+    if (typeof target[key] !== "object" || target[key] === null) {
+      target[key] = container;
+    }
+    target = target[key];
+  });
+}
+
+function formParams(form, submitter) {
+  const params = {};
+  const data = new FormData(form);
+  if (submitter && submitter.name) data.append(submitter.name, submitter.value);
+  for (const [name, value] of data) {
+    if (typeof value === "string") setParam(params, name, value);
+  }
+  return params;
+}
+
+// The event a `phx-submit` pushes, or null when it holds a JS command
+// (`JS.push(...)`, encoded as a JSON list), which can't be replayed as a push.
+function submitEvent(form) {
+  const event = form.getAttribute("phx-submit");
+  return event && !event.trim().startsWith("[") ? event : null;
+}
+
+function formLabel(form) {
+  return form.dataset.offlineLabel || document.title || form.id;
+}
+
+function timeOf(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function enqueue(form, submitter) {
+  const item = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    path: window.location.pathname,
+    formId: form.id,
+    event: submitEvent(form),
+    params: formParams(form, submitter),
+    label: formLabel(form),
+    queuedAt: Date.now(),
+  };
+  writeQueue([...queuedSubmits(), item]);
+
+  showToast({
+    kind: "warning",
+    title: "Saved on this device",
+    msg: `${item.label} will be sent when the connection is back. Keep this tab open.`,
+    duration: 8000,
+  });
+}
+
+// Caught in the capture phase, ahead of LiveView's own submit listener.
+document.addEventListener(
+  "submit",
+  (e) => {
+    const form = e.target;
+    if (!(form instanceof HTMLFormElement) || isConnected()) return;
+    if (!submitEvent(form) || !form.id) return;
+    if (form.dataset.offlineQueue === "false") return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (form.querySelector("input[type=password]")) {
+      const label = formLabel(form);
+      showToast({
+        kind: "warning",
+        title: "Not sent",
+        msg: `${label} has a password, which is not kept on this device. Submit it again when the connection is back.`,
+        duration: 8000,
+      });
+      return;
+    }
+    enqueue(form, e.submitter);
+  },
+  true
+);
+
+function replayable(item) {
+  const form = document.getElementById(item.formId);
+  return (
+    item.path === window.location.pathname &&
+    !!form &&
+    submitEvent(form) === item.event
+  );
+}
+
+// { answered: false } when no reply came, else the reply.
+function send(hook, item) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve({ answered: false }), REPLY_TIMEOUT);
+    hook.pushEventTo(
+      `#${CSS.escape(item.formId)}`,
+      item.event,
+      item.params,
+      (reply) => {
+        clearTimeout(timer);
+        // Let the reply's patch land before looking at the form.
+        requestAnimationFrame(() =>
+          resolve({ answered: true, reply: reply || {} })
+        );
+      }
+    );
+  });
+}
+
+function report(item, { reply }) {
+  const form = document.getElementById(item.formId);
+  const refused =
+    (reply && reply.error) ||
+    (form && form.querySelector("[data-field-error]")
+      ? "The form has errors. Correct them and submit again."
+      : null);
+
+  if (refused) {
+    showToast({
+      kind: "error",
+      title: `Not saved: ${item.label}`,
+      msg: `Queued at ${timeOf(item.queuedAt)}. ${refused}`,
+      duration: 0,
+    });
+  } else {
+    showToast({
+      kind: "info",
+      title: `Sent: ${item.label}`,
+      msg: `Queued at ${timeOf(item.queuedAt)}, sent now.`,
+      duration: 5000,
+    });
+  }
+}
+
+async function replayWith(hook) {
+  for (const item of queuedSubmits()) {
+    if (!isConnected() || !hook.el.isConnected || !replayable(item)) return;
+
+    // Out of the queue before it is pushed: once the server has it, sending it
+    // again could save it twice.
+    writeQueue(queuedSubmits().filter((queued) => queued.id !== item.id));
+    const result = await send(hook, item);
+    if (!result.answered) {
+      const queuedAt = timeOf(item.queuedAt);
+      showToast({
+        kind: "warning",
+        title: `No reply: ${item.label}`,
+        msg: `Queued at ${queuedAt} and sent, but no reply came. Check that it was saved before submitting it again.`,
+        duration: 0,
+      });
+      return;
+    }
+    report(item, result);
+  }
+}
+
+// A sent item often navigates to another LiveView, whose hook asks for a
+// replay while this one is still running; it runs next instead of being lost.
+async function replay(hook) {
+  requestedBy = hook;
+  if (replaying) return;
+  replaying = true;
+  try {
+    while (requestedBy) {
+      const next = requestedBy;
+      requestedBy = null;
+      await replayWith(next);
+    }
+  } finally {
+    replaying = false;
+  }
+}
+
+export const OfflineQueue = {
+  mounted() {
+    replay(this);
+  },
+
+  reconnected() {
+    replay(this);
+  },
+};
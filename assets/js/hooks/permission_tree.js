@@ -0,0 +1,264 @@
+// Hierarchical permission picker.
+//
+// Wraps a list of rows, one per sitemap entry, each holding a permission
+// select:
+//
+//   <div id="role-permissions" phx-hook="PermissionTree">
+//     <input type="search" data-permission-search />
+//     <select data-permission-bulk>...</select>
+//     <button type="button" data-permission-action="set-all">Set all</button>
+//     <button type="button" data-permission-action="expand-all">...</button>
+//     <button type="button" data-permission-action="collapse-all">...</button>
+//
+//     <div id="permission-SET" data-permission-node="SET" data-permission-parent="">
+//       <button type="button" data-permission-toggle>...</button>
+//       <span data-permission-label>Settings</span>
+//       <span data-permission-mixed class="hidden">Mixed</span>
+//       <select name="role[role_permissions][0][permission]">...</select>
+//     </div>
+//     <div id="permission-SET1" data-permission-node="SET1" data-permission-parent="SET">
+//     ...
+//
+// Rows marked `data-permission-locked` (pages the editor cannot grant) are
+// left out of the tree and never changed.
+//
+// Changing a parent sets every descendant to the same permission; changing a
+// child raises its ancestors to at least that permission. Parents whose
+// descendants do not all match show the "mixed" badge. The cascade runs before
+// LiveView serialises the change, so the form's phx-change carries every
+// affected select in one event.
+//
+// Visibility, badges and toggle state go through `this.js()` so they survive
+// server patches of the form.
+
+export const PermissionTree = {
+  mounted() {
+    this.collapsed = new Set();
+    this.filter = "";
+    this.buildTree();
+
+    this.onInput = (e) => this.handleInput(e);
+    this.onClick = (e) => this.handleClick(e);
+    this.onKeydown = (e) => {
+      // Enter in the search box would otherwise submit the form.
+      if (e.key === "Enter" && e.target.matches("[data-permission-search]")) {
+        e.preventDefault();
+      }
+    };
+    this.el.addEventListener("input", this.onInput);
+    this.el.addEventListener("change", this.onInput);
+    this.el.addEventListener("click", this.onClick);
+    this.el.addEventListener("keydown", this.onKeydown);
+
+    this.refresh();
+  },
+
+  updated() {
+    // Rows can be re-rendered (validation errors); pick up new selects.
+    this.buildTree();
+    this.refresh();
+  },
+
+  destroyed() {
+    this.el.removeEventListener("input", this.onInput);
+    this.el.removeEventListener("change", this.onInput);
+    this.el.removeEventListener("click", this.onClick);
+    this.el.removeEventListener("keydown", this.onKeydown);
+  },
+
+  buildTree() {
+    this.nodes = new Map();
+    this.roots = [];
+
+    this.el.querySelectorAll("[data-permission-node]").forEach((row) => {
+      if (row.hasAttribute("data-permission-locked")) return;
+      const select = row.querySelector("select");
+      if (!select) return;
+      this.nodes.set(row.dataset.permissionNode, {
+        code: row.dataset.permissionNode,
+        parentCode: row.dataset.permissionParent || "",
+        row: row,
+        select: select,
+        label: row.querySelector("[data-permission-label]") || row,
+        toggle: row.querySelector("[data-permission-toggle]"),
+        mixed: row.querySelector("[data-permission-mixed]"),
+        parent: null,
+        children: [],
+      });
+    });
+
+    this.nodes.forEach((node) => {
+      const parent = this.nodes.get(node.parentCode);
+      if (parent && parent !== node) {
+        node.parent = parent;
+        parent.children.push(node);
+      } else {
+        this.roots.push(node);
+      }
+    });
+  },
+
+  nodeForSelect(select) {
+    const row = select.closest("[data-permission-node]");
+    const node = row && this.nodes.get(row.dataset.permissionNode);
+    return node && node.select === select ? node : null;
+  },
+
+  handleInput(e) {
+    const target = e.target;
+
+    // Tree controls are not form fields; keep them away from phx-change.
+    if (target.matches("[data-permission-search]")) {
+      e.stopPropagation();
+      this.filter = target.value.trim().toLowerCase();
+      this.refresh();
+      return;
+    }
+    if (target.matches("[data-permission-bulk]")) {
+      e.stopPropagation();
+      return;
+    }
+
+    if (this.dispatching || target.tagName !== "SELECT") return;
+    const node = this.nodeForSelect(target);
+    if (!node) return;
+
+    this.cascade(node);
+    this.refresh();
+  },
+
+  handleClick(e) {
+    const toggle = e.target.closest("[data-permission-toggle]");
+    if (toggle) {
+      const row = toggle.closest("[data-permission-node]");
+      const code = row && row.dataset.permissionNode;
+      if (this.collapsed.has(code)) {
+        this.collapsed.delete(code);
+      } else {
+        this.collapsed.add(code);
+      }
+      this.refresh();
+      return;
+    }
+
+    const action = e.target.closest("[data-permission-action]");
+    if (!action) return;
+
+    switch (action.dataset.permissionAction) {
+      case "set-all": {
+        const bulk = this.el.querySelector("[data-permission-bulk]");
+        if (bulk) this.setAll(bulk.value);
+        break;
+      }
+      case "expand-all":
+        this.collapsed.clear();
+        this.refresh();
+        break;
+      case "collapse-all":
+        this.nodes.forEach((node) => {
+          if (node.children.length) this.collapsed.add(node.code);
+        });
+        this.refresh();
+        break;
+    }
+  },
+
+  // Pushes the node's value down to its descendants and raises its ancestors
+  // so a child is never granted more than its parent.
+  cascade(node) {
+    const value = node.select.value;
+    this.descendants(node).forEach((child) => (child.select.value = value));
+
+    const level = parseInt(value) || 0;
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if ((parseInt(parent.select.value) || 0) < level) {
+        parent.select.value = value;
+      }
+    }
+  },
+
+  setAll(value) {
+    if (!this.nodes.size) return;
+    this.nodes.forEach((node) => (node.select.value = value));
+    this.refresh();
+    this.pushChange(this.nodes.values().next().value.select);
+  },
+
+  // Lets the form's phx-change pick up values set from script.
+  pushChange(select) {
+    this.dispatching = true;
+    try {
+      select.dispatchEvent(new Event("input", { bubbles: true }));
+    } finally {
+      this.dispatching = false;
+    }
+  },
+
+  descendants(node) {
+    const result = [];
+    const walk = (n) =>
+      n.children.forEach((child) => {
+        result.push(child);
+        walk(child);
+      });
+    walk(node);
+    return result;
+  },
+
+  isMixed(node) {
+    const value = node.select.value;
+    return this.descendants(node).some((child) => child.select.value !== value);
+  },
+
+  matches(node) {
+    return node.label.textContent.toLowerCase().includes(this.filter);
+  },
+
+  // Filtering shows matching rows with their ancestors and ignores collapsing.
+  isVisible(node) {
+    if (this.filter) {
+      return (
+        this.matches(node) ||
+        this.descendants(node).some((child) => this.matches(child))
+      );
+    }
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if (this.collapsed.has(parent.code)) return false;
+    }
+    return true;
+  },
+
+  refresh() {
+    const js = this.js();
+
+    this.nodes.forEach((node) => {
+      if (this.isVisible(node)) {
+        js.removeClass(node.row, "hidden");
+      } else {
+        js.addClass(node.row, "hidden");
+      }
+
+      if (node.mixed) {
+        if (node.children.length && this.isMixed(node)) {
+          js.removeClass(node.mixed, "hidden");
+        } else {
+          js.addClass(node.mixed, "hidden");
+        }
+      }
+
+      if (node.toggle) {
+        if (!node.children.length) {
+          js.addClass(node.toggle, "invisible");
+          return;
+        }
+        const expanded = this.filter !== "" || !this.collapsed.has(node.code);
+        js.setAttribute(node.toggle, "aria-expanded", String(expanded));
+        if (expanded) {
+          js.removeClass(node.toggle, "-rotate-90");
+        } else {
+          js.addClass(node.toggle, "-rotate-90");
+        }
+      }
+    });
+  },
+};
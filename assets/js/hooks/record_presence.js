@@ -0,0 +1,59 @@
+// Reports whether this editor of a record has unsaved changes, for the
+// "also open for editing by" warning others get.
+//
+//   <.record_presence id="role-presence" form="role-form"
+//     editors={@record_editors} current_user={@current_user} />
+//
+// renders `<div id="role-presence" phx-hook="RecordPresence" data-form="role-form">`
+// (see `CoreComponents.record_presence/1`). The LiveView tracks itself as an
+// editor with `PhoexnipWeb.Presence.track_record/3`; this hook compares the
+// form with the values it was mounted with, the way the UnsavedChanges guard
+// does, and pushes `"record_presence"` with `%{"dirty" => true | false}`
+// whenever that changes. The warning itself is rendered by the server.
+
+import { serializeForm } from "./unsaved_changes";
+
+// Typing is reported once it pauses.
+const REPORT_DELAY = 800;
+
+export const RecordPresence = {
+  mounted() {
+    const form = this.form();
+    this.initial = form ? serializeForm(form) : "";
+    this.dirty = false;
+
+    this.onEdit = (e) => {
+      const form = this.form();
+      if (!form || !(e.target instanceof Element) || !form.contains(e.target)) {
+        return;
+      }
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.report(), REPORT_DELAY);
+    };
+    document.addEventListener("input", this.onEdit);
+    document.addEventListener("change", this.onEdit);
+  },
+
+  // The server tracks the new LiveView process as clean.
+  reconnected() {
+    if (this.dirty) this.pushEvent("record_presence", { dirty: true });
+  },
+
+  destroyed() {
+    clearTimeout(this.timer);
+    document.removeEventListener("input", this.onEdit);
+    document.removeEventListener("change", this.onEdit);
+  },
+
+  form() {
+    return document.getElementById(this.el.dataset.form);
+  },
+
+  report() {
+    const form = this.form();
+    const dirty = !!form && serializeForm(form) !== this.initial;
+    if (dirty === this.dirty) return;
+    this.dirty = dirty;
+    this.pushEvent("record_presence", { dirty });
+  },
+};
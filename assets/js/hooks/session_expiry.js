@@ -0,0 +1,212 @@
+// Session expiry warning.
+//
+// The session cookie carries an absolute expiry (`:session_expiry`, unix
+// seconds) that LiveViews enforce by redirecting to "/" once it has passed.
+// This hook shows a countdown dialog a few minutes beforehand so the user can
+// stay signed in instead of losing whatever they were typing.
+//
+// Staying signed in POSTs to the extend URL, which rewrites the cookie and
+// answers with the new expiry and a signed grant. The grant is pushed to the
+// LiveView as "extend_session" so its own expiry check moves too, and is
+// broadcast to the other tabs, which push it to their LiveViews and close
+// their dialogs.
+//
+//   <div id="session-expiry" phx-hook="SessionExpiry" phx-update="ignore"
+//        data-expires-at="1767225600" data-server-now="1767182400"
+//        data-warn-minutes="5" data-extend-url="/session/extend">
+//     ... <span data-role="countdown"></span> ...
+//     <button data-role="extend">Stay signed in</button>
+//   </div>
+
+const DEFAULT_WARN_MINUTES = 5;
+const CHANNEL_NAME = "phoexnip:session";
+const STORAGE_KEY = "phoexnip:session-grant";
+// setTimeout overflows past this many milliseconds (~24.8 days).
+const MAX_TIMEOUT = 2147483647;
+
+// The most recent grant seen by this page. The cookie is already updated, but
+// live navigation mounts the next LiveView with the session the page was
+// loaded with, so the grant is replayed to it.
+let latestGrant = null;
+
+function rememberGrant(grant) {
+  if (!latestGrant || grant.expires_at > latestGrant.expires_at) {
+    latestGrant = grant;
+  }
+}
+
+function formatRemaining(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(total / 60);
+  const seconds = total % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
+function csrfToken() {
+  const meta = document.querySelector("meta[name='csrf-token']");
+  return meta ? meta.getAttribute("content") : "";
+}
+
+export const SessionExpiry = {
+  mounted() {
+    const data = this.el.dataset;
+    this.expiresAt = parseInt(data.expiresAt) || 0;
+    this.warnMs =
+      (parseFloat(data.warnMinutes) || DEFAULT_WARN_MINUTES) * 60 * 1000;
+    // Difference between the server clock and ours, so a skewed client clock
+    // does not warn too early or too late.
+    this.clockSkew = data.serverNow
+      ? parseInt(data.serverNow) * 1000 - Date.now()
+      : 0;
+    this.countdown = this.el.querySelector("[data-role='countdown']");
+    this.extendButton = this.el.querySelector("[data-role='extend']");
+
+    this.onExtendClick = () => this.extend();
+    if (this.extendButton) {
+      this.extendButton.addEventListener("click", this.onExtendClick);
+    }
+
+    this.onVisibilityChange = () => {
+      // Background tabs throttle timers; catch up when shown again.
+      if (document.visibilityState === "visible") this.schedule();
+    };
+    document.addEventListener("visibilitychange", this.onVisibilityChange);
+
+    this.onGrantMessage = (grant) => {
+      if (grant && grant.expires_at > this.expiresAt) this.applyGrant(grant);
+    };
+    if ("BroadcastChannel" in window) {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (e) => this.onGrantMessage(e.data);
+    } else {
+      this.onStorage = (e) => {
+        if (e.key !== STORAGE_KEY || !e.newValue) return;
+        try {
+          this.onGrantMessage(JSON.parse(e.newValue));
+        } catch (_error) {
+          // Ignore values we did not write.
+        }
+      };
+      window.addEventListener("storage", this.onStorage);
+    }
+
+    if (latestGrant && latestGrant.expires_at > this.expiresAt) {
+      this.applyGrant(latestGrant);
+    } else {
+      this.schedule();
+    }
+  },
+
+  destroyed() {
+    this.clearTimers();
+    if (this.extendButton) {
+      this.extendButton.removeEventListener("click", this.onExtendClick);
+    }
+    document.removeEventListener("visibilitychange", this.onVisibilityChange);
+    if (this.channel) this.channel.close();
+    if (this.onStorage) window.removeEventListener("storage", this.onStorage);
+  },
+
+  now() {
+    return Date.now() + this.clockSkew;
+  },
+
+  remaining() {
+    return this.expiresAt * 1000 - this.now();
+  },
+
+  clearTimers() {
+    clearTimeout(this.warnTimer);
+    clearInterval(this.tickTimer);
+    this.warnTimer = null;
+    this.tickTimer = null;
+  },
+
+  schedule() {
+    this.clearTimers();
+    if (!this.expiresAt) return;
+
+    const untilWarning = this.remaining() - this.warnMs;
+    if (untilWarning <= 0) {
+      this.show();
+    } else {
+      this.hide();
+      this.warnTimer = setTimeout(
+        () => this.schedule(),
+        Math.min(untilWarning, MAX_TIMEOUT)
+      );
+    }
+  },
+
+  show() {
+    const wasHidden = this.el.classList.contains("hidden");
+    this.el.classList.remove("hidden");
+    if (wasHidden && this.extendButton) this.extendButton.focus();
+
+    this.tick();
+    clearInterval(this.tickTimer);
+    this.tickTimer = setInterval(() => this.tick(), 1000);
+  },
+
+  hide() {
+    this.el.classList.add("hidden");
+  },
+
+  tick() {
+    const remaining = this.remaining();
+    if (this.countdown) this.countdown.textContent = formatRemaining(remaining);
+    if (remaining <= 0) {
+      this.clearTimers();
+      // Same destination as the server-side `:check_session` redirect.
+      window.location.assign("/");
+    }
+  },
+
+  extend() {
+    if (this.extending) return;
+    this.extending = true;
+    if (this.extendButton) this.extendButton.disabled = true;
+
+    fetch(this.el.dataset.extendUrl, {
+      method: "POST",
+      credentials: "same-origin",
+      headers: { "x-csrf-token": csrfToken() },
+    })
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((grant) => {
+        this.applyGrant(grant);
+        this.broadcast(grant);
+      })
+      .catch(() => {
+        // Already expired or signed out elsewhere; the countdown carries on
+        // and the redirect at zero takes the user to sign in again.
+      })
+      .finally(() => {
+        this.extending = false;
+        if (this.extendButton) this.extendButton.disabled = false;
+      });
+  },
+
+  applyGrant(grant) {
+    rememberGrant(grant);
+    this.expiresAt = grant.expires_at;
+    this.pushEvent("extend_session", { token: grant.token });
+    this.schedule();
+  },
+
+  broadcast(grant) {
+    if (this.channel) {
+      this.channel.postMessage(grant);
+    } else {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(grant));
+      } catch (_error) {
+        // Storage may be unavailable (private mode); other tabs still pick
+        // up the new expiry on their next page load.
+      }
+    }
+  },
+};
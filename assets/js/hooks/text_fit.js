@@ -0,0 +1,217 @@
+// Truncated text in `CoreComponents.table/1` and `list/1` cells (`fit` on a
+// column or item):
+//
+//   <table id="users" phx-hook="TextFit">
+//     ...
+//     <span data-fit="2">
+//       <span data-fit-text class="h-0 overflow-hidden ...">Full text</span>
+//       <span data-fit-shown aria-hidden="true" class="line-clamp-2 ...">
+//         Full text
+//       </span>
+//     </span>
+//
+// `data-fit` is a number of lines, cut at the end with an ellipsis, or
+// "middle" for one line cut in the middle ("INV-2024-…-000123.pdf"), which
+// keeps the ends of codes and file names. The cut text is measured with
+// pretext, from canvas font metrics, so hundreds of rows are fitted without
+// reading a single layout. The full text stays in the page for screen readers
+// and as the cell's width (zero height, breaking anywhere), so cutting the
+// shown text never narrows the column and has to be redone. When the text was
+// actually cut, hovering it shows the full text.
+//
+// Until the hook runs, CSS line-clamp or truncate stands in. Cells are fitted
+// again when their width changes, when web fonts finish loading and when a
+// patch puts the full text back.
+
+import {
+  clearCache,
+  layoutWithLines,
+  measureNaturalWidth,
+  prepareWithSegments,
+} from "@chenglou/pretext";
+
+const ELLIPSIS = "…";
+
+const segmenter =
+  typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+    : null;
+
+function graphemes(text) {
+  return segmenter
+    ? [...segmenter.segment(text)].map((s) => s.segment)
+    : Array.from(text);
+}
+
+function textWidth(text, font) {
+  return measureNaturalWidth(prepareWithSegments(text, font));
+}
+
+// The largest `count` in 0..max for which `fits(count)`, which holds for 0.
+function largestFitting(max, fits) {
+  let low = 0;
+  let high = max;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (fits(mid)) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+/**
+ * `text` cut to `maxLines` lines of `width` px with an ellipsis at the end,
+ * or null when it fits as it is.
+ */
+export function cutLines(text, font, width, maxLines) {
+  const { lines } = layoutWithLines(prepareWithSegments(text, font), width, 1);
+  if (lines.length <= maxLines) return null;
+
+  const kept = lines
+    .slice(0, maxLines - 1)
+    .map((line) => line.text)
+    .join("");
+  const rest = graphemes(
+    lines
+      .slice(maxLines - 1)
+      .map((line) => line.text)
+      .join("")
+  );
+  const lastLine = (count) => rest.slice(0, count).join("").trimEnd();
+  const count = largestFitting(
+    rest.length,
+    (n) => textWidth(lastLine(n) + ELLIPSIS, font) <= width
+  );
+  return kept + lastLine(count) + ELLIPSIS;
+}
+
+/**
+ * `text` cut in the middle to one line of `width` px, or null when it fits
+ * as it is.
+ */
+export function cutMiddle(text, font, width) {
+  if (textWidth(text, font) <= width) return null;
+
+  const chars = graphemes(text);
+  const shown = (count) =>
+    chars.slice(0, Math.ceil(count / 2)).join("") +
+    ELLIPSIS +
+    chars.slice(chars.length - Math.floor(count / 2)).join("");
+  const count = largestFitting(
+    chars.length - 1,
+    (n) => textWidth(shown(n), font) <= width
+  );
+  return shown(count);
+}
+
+function cssFont(element) {
+  const style = getComputedStyle(element);
+  return `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+}
+
+export const TextFit = {
+  mounted() {
+    // Last width seen per shown text, and the font per column.
+    this.widths = new WeakMap();
+    this.fonts = new Map();
+
+    this.resizes = new ResizeObserver((entries) => {
+      entries.forEach(({ target, contentRect }) => {
+        this.widths.set(target, Math.floor(contentRect.width));
+        this.fit(target.closest("[data-fit]"));
+      });
+      // Our own writes are not patches.
+      this.mutations.takeRecords();
+    });
+
+    this.mutations = new MutationObserver((records) => this.patched(records));
+    this.mutations.observe(this.el, {
+      childList: true,
+      characterData: true,
+      subtree: true,
+    });
+    this.el
+      .querySelectorAll("[data-fit-shown]")
+      .forEach((shown) => this.resizes.observe(shown));
+
+    // Widths measured in a fallback font are wrong once the web font is in.
+    this.onFontsLoaded = () => {
+      clearCache();
+      this.fonts.clear();
+      this.el.querySelectorAll("[data-fit]").forEach((el) => this.fit(el));
+      this.mutations.takeRecords();
+    };
+    if (document.fonts) {
+      document.fonts.addEventListener("loadingdone", this.onFontsLoaded);
+    }
+  },
+
+  destroyed() {
+    this.resizes.disconnect();
+    this.mutations.disconnect();
+    if (document.fonts) {
+      document.fonts.removeEventListener("loadingdone", this.onFontsLoaded);
+    }
+  },
+
+  // New rows are observed, which fits them; rows a patch rewrote are fitted
+  // again at their known width.
+  patched(records) {
+    const changed = new Set();
+    const shownIn = (node) =>
+      node.nodeType !== Node.ELEMENT_NODE
+        ? []
+        : [
+            ...(node.matches("[data-fit-shown]") ? [node] : []),
+            ...node.querySelectorAll("[data-fit-shown]"),
+          ];
+
+    records.forEach((record) => {
+      record.addedNodes.forEach((node) =>
+        shownIn(node).forEach((shown) => this.resizes.observe(shown))
+      );
+      record.removedNodes.forEach((node) =>
+        shownIn(node).forEach((shown) => this.resizes.unobserve(shown))
+      );
+      const target =
+        record.target.nodeType === Node.ELEMENT_NODE
+          ? record.target
+          : record.target.parentElement;
+      const fitted = target && target.closest("[data-fit]");
+      if (fitted && this.el.contains(fitted)) changed.add(fitted);
+    });
+
+    changed.forEach((el) => this.fit(el));
+    this.mutations.takeRecords();
+  },
+
+  fit(el) {
+    if (!el) return;
+    const shown = el.querySelector("[data-fit-shown]");
+    const width = shown && this.widths.get(shown);
+    if (!width) return;
+
+    const text = el
+      .querySelector("[data-fit-text]")
+      .textContent.replace(/\s+/g, " ")
+      .trim();
+    const font = this.font(shown);
+    const cut =
+      el.dataset.fit === "middle"
+        ? cutMiddle(text, font, width)
+        : cutLines(text, font, width, parseInt(el.dataset.fit, 10) || 1);
+
+    const display = cut === null ? text : cut;
+    if (shown.textContent !== display) shown.textContent = display;
+    if (cut === null) el.removeAttribute("title");
+    else el.title = text;
+  },
+
+  // Cells of one column share their font, so it is read once per column.
+  font(shown) {
+    const column = shown.closest("[data-column]");
+    const key = column ? column.dataset.column : "";
+    if (!this.fonts.has(key)) this.fonts.set(key, cssFont(shown));
+    return this.fonts.get(key);
+  },
+};
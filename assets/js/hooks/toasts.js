@@ -0,0 +1,292 @@
+// Client-side toast notifications.
+//
+// Toasts stack in a container appended to <body>, so they survive LiveView
+// patches and live navigation. Each toast counts down its own duration (shown
+// as a progress bar), pauses while hovered or focused, and can carry an action
+// button that pushes an event back to the LiveView that raised it.
+//
+// Toasts come from two places:
+//   * server flashes rendered by `CoreComponents.flash/1` (FlashAutoDismiss),
+//     which are copied into the stack and cleared so the next flash of the same
+//     kind no longer replaces them;
+//   * `Phoexnip.ToastUtils.push_toast/4`, received by the Toasts hook.
+
+import { feedback } from "../feedback";
+
+const DEFAULT_MAX_TOASTS = 5;
+
+// The feedback.js event each kind raises when it is shown.
+const KIND_FEEDBACK = {
+  info: "success",
+  error: "error",
+  warning: "warning",
+};
+
+// Mirrors the flash colours in `CoreComponents.flash/1`.
+const KIND_CLASSES = {
+  info: "bg-infoBg text-infoFg ring-infoBorder",
+  error: "bg-errorBg text-errorFg ring-errorBorder",
+  warning: "bg-warnBg text-warnFg ring-warnBorder",
+};
+
+const KIND_ICONS = {
+  info: "hero-information-circle-mini",
+  error: "hero-exclamation-circle-mini",
+  warning: "hero-exclamation-triangle-mini",
+};
+
+let maxToasts = DEFAULT_MAX_TOASTS;
+const toasts = [];
+// Mounted Toasts hooks, used to push actions when the original sender is gone.
+const toastHooks = new Set();
+
+function stackElement() {
+  let stack = document.getElementById("toast-stack");
+  if (!stack) {
+    stack = document.createElement("div");
+    stack.id = "toast-stack";
+    stack.className = "fixed top-2 right-2 z-[60] flex w-80 flex-col gap-2";
+    stack.setAttribute("aria-live", "polite");
+    document.body.appendChild(stack);
+  }
+  return stack;
+}
+
+function buildContent({ kind, title, msg, icon }) {
+  const fragment = document.createDocumentFragment();
+
+  if (title) {
+    const heading = document.createElement("p");
+    heading.className = "flex items-center gap-1.5 font-semibold leading-6";
+    const iconName = icon === undefined ? KIND_ICONS[kind] : icon;
+    if (iconName) {
+      const iconEl = document.createElement("span");
+      iconEl.className = `${iconName} h-4 w-4`;
+      heading.appendChild(iconEl);
+    }
+    heading.appendChild(document.createTextNode(title));
+    fragment.appendChild(heading);
+  }
+
+  const body = document.createElement("p");
+  body.className = "mt-2 leading-5";
+  const text = document.createElement("span");
+  text.className = "whitespace-break-spaces break-words";
+  text.textContent = msg || "";
+  body.appendChild(text);
+  fragment.appendChild(body);
+
+  return fragment;
+}
+
+function pushToastAction(toast) {
+  const { event, value } = toast.action;
+  const source = toast.source?.el?.isConnected
+    ? toast.source
+    : [...toastHooks].find((hook) => hook.el.isConnected);
+  if (source) source.pushEvent(event, value || {});
+}
+
+function startCountdown(toast) {
+  if (!toast.duration || toast.paused || toast.dismissed) return;
+  toast.startedAt = Date.now();
+  toast.timer = setTimeout(() => dismissToast(toast), toast.remaining);
+  toast.progress.style.animationPlayState = "running";
+}
+
+function pauseToast(toast) {
+  if (toast.paused) return;
+  toast.paused = true;
+  if (!toast.timer) return;
+  clearTimeout(toast.timer);
+  toast.timer = null;
+  toast.remaining -= Date.now() - toast.startedAt;
+  toast.progress.style.animationPlayState = "paused";
+}
+
+function resumeToast(toast) {
+  if (!toast.paused) return;
+  toast.paused = false;
+  startCountdown(toast);
+}
+
+/**
+ * Removes a toast with the fade-out animation.
+ */
+export function dismissToast(toast) {
+  if (toast.dismissed) return;
+  toast.dismissed = true;
+  clearTimeout(toast.timer);
+
+  const index = toasts.indexOf(toast);
+  if (index !== -1) toasts.splice(index, 1);
+
+  toast.el.classList.add("animate-fade-out");
+  toast.el.addEventListener("animationend", () => toast.el.remove(), {
+    once: true,
+  });
+  // animationend never fires when animations are disabled.
+  setTimeout(() => toast.el.remove(), 600);
+  if (toast.onDismiss) toast.onDismiss();
+}
+
+/**
+ * Shows a toast and returns a handle that can be passed to `dismissToast`.
+ *
+ * Options:
+ *   kind      "info" | "error" | "warning" (default "info")
+ *   title     heading text
+ *   msg       message text
+ *   icon      heroicon class; defaults per kind, `null` for none
+ *   content   DOM nodes to show instead of title/msg
+ *   duration  milliseconds before it dismisses itself; 0 or absent keeps it
+ *   action    { label, event, value } pushed to the LiveView when clicked
+ *   source    the hook whose LiveView receives the action event
+ *   onDismiss called once the toast is dismissed
+ */
+export function showToast(options) {
+  const kind = KIND_CLASSES[options.kind] ? options.kind : "info";
+  const duration = parseInt(options.duration) || 0;
+  const toast = {
+    kind: kind,
+    duration: duration,
+    remaining: duration,
+    action: options.action && options.action.event ? options.action : null,
+    source: options.source,
+    onDismiss: options.onDismiss,
+    paused: false,
+    dismissed: false,
+    timer: null,
+  };
+
+  const el = document.createElement("div");
+  el.className = `toast relative overflow-hidden rounded-lg p-3 pr-9 ring-1 shadow-lg ${KIND_CLASSES[kind]}`;
+  el.setAttribute("role", kind === "info" ? "status" : "alert");
+  el.tabIndex = 0;
+
+  if (options.content) {
+    el.append(...options.content);
+  } else {
+    el.appendChild(buildContent({ ...options, kind }));
+  }
+
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "absolute top-2 right-2 p-1 hover:opacity-40";
+  close.setAttribute("aria-label", "Dismiss");
+  close.innerHTML = '<span class="hero-x-mark-mini h-4 w-4"></span>';
+  close.addEventListener("click", () => dismissToast(toast));
+  el.appendChild(close);
+
+  if (toast.action) {
+    const actions = document.createElement("div");
+    actions.className = "mt-2 flex justify-end";
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className =
+      "toast-action rounded-md px-2 py-1 text-sm font-semibold ring-1 ring-current hover:opacity-70";
+    button.textContent = toast.action.label || "Undo";
+    button.addEventListener("click", () => {
+      pushToastAction(toast);
+      dismissToast(toast);
+    });
+    actions.appendChild(button);
+    el.appendChild(actions);
+  }
+
+  toast.progress = document.createElement("div");
+  toast.progress.className = "toast-progress";
+  if (duration) {
+    toast.progress.style.animationDuration = `${duration}ms`;
+    toast.progress.style.animationPlayState = "paused";
+    el.appendChild(toast.progress);
+  }
+
+  // Keep the countdown going only while neither the pointer nor focus is on it.
+  let hovered = false;
+  let focused = false;
+  const sync = () => (hovered || focused ? pauseToast : resumeToast)(toast);
+  el.addEventListener("mouseenter", () => ((hovered = true), sync()));
+  el.addEventListener("mouseleave", () => ((hovered = false), sync()));
+  el.addEventListener("focusin", () => ((focused = true), sync()));
+  el.addEventListener("focusout", (e) => {
+    if (el.contains(e.relatedTarget)) return;
+    focused = false;
+    sync();
+  });
+  el.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") dismissToast(toast);
+  });
+
+  toast.el = el;
+  toasts.push(toast);
+  stackElement().appendChild(el);
+  startCountdown(toast);
+  feedback(KIND_FEEDBACK[kind]);
+
+  // Drop the oldest toasts once the stack is full.
+  while (toasts.length > maxToasts) dismissToast(toasts[0]);
+
+  return toast;
+}
+
+// Receives `push_event(socket, "toast", payload)` from the server.
+//
+//   <div id="toasts" phx-hook="Toasts" data-max="5"></div>
+export const Toasts = {
+  mounted() {
+    if (this.el.dataset.max) {
+      maxToasts = parseInt(this.el.dataset.max) || DEFAULT_MAX_TOASTS;
+    }
+    toastHooks.add(this);
+    this.handleEvent("toast", (payload) =>
+      showToast({ ...payload, source: this })
+    );
+  },
+
+  destroyed() {
+    toastHooks.delete(this);
+  },
+};
+
+// Copies a server flash into the toast stack, then clears it on the server so
+// the next flash of the same kind shows up as a new toast.
+export const FlashAutoDismiss = {
+  mounted() {
+    this.adopt();
+  },
+
+  updated() {
+    this.adopt();
+  },
+
+  adopt() {
+    // Modals render their own flash group, so one flash can be on the page
+    // twice under the same id; only the first copy is shown.
+    if (document.getElementById(this.el.id) !== this.el) return;
+
+    const signature = this.el.dataset.kind + this.el.innerHTML;
+    if (signature === this.adopted) return;
+    this.adopted = signature;
+
+    const data = this.el.dataset;
+    let value = {};
+    try {
+      value = JSON.parse(data.actionValue || "{}");
+    } catch (_error) {
+      value = {};
+    }
+
+    showToast({
+      kind: data.kind,
+      content: [...this.el.children].map((child) => child.cloneNode(true)),
+      duration: data.duration,
+      action: data.actionEvent
+        ? { label: data.actionLabel, event: data.actionEvent, value: value }
+        : null,
+      source: this,
+    });
+
+    this.pushEvent("lv:clear-flash", { key: data.kind });
+  },
+};
@@ -0,0 +1,130 @@
+// Unsaved-changes guard for forms.
+//
+//   <.simple_form id="role-form" phx-hook="UnsavedChanges"
+//     data-confirm-unsaved="Discard the role permissions you set up?" ...>
+//
+// The form counts as dirty while its values differ from the ones it was
+// mounted with, so changing a field and changing it back does not prompt.
+// Values are compared at the moment the user tries to leave, which also
+// covers fields changed by script (the role permission cascade sets child
+// selects directly).
+//
+// Leaving is guarded in three places:
+//   * clicks on live links (`.link patch/navigate`, the topbar dropdown
+//     menus) and on `phx-click` elements that navigate, caught in the capture
+//     phase before LiveView acts on them;
+//   * browser back/forward, whose popstate is stopped before LiveView's own
+//     listener and the URL restored;
+//   * reloads, tab close and plain links, through `beforeunload`.
+// LiveView navigation cannot be cancelled once `phx:page-loading-start`
+// fires, so those events are only used to know when a confirmed navigation
+// has started and finished.
+
+const DEFAULT_MESSAGE =
+  "You have unsaved changes. Leave this page and discard them?";
+
+// LiveView bookkeeping fields that are not user input.
+const IGNORED_FIELDS = /^(_csrf_token|_target|_unused_.*)$/;
+
+const guardedForms = new Set();
+// Set once the user agreed to leave, until the navigation has finished.
+let leaving = false;
+// Where we are, so a cancelled back/forward can put the URL back.
+let currentHref = window.location.href;
+let currentState = window.history.state;
+
+// The user-entered values of a form, for comparing it with an earlier state.
+export function serializeForm(form) {
+  const entries = [];
+  for (const [name, value] of new FormData(form)) {
+    if (IGNORED_FIELDS.test(name)) continue;
+    const text =
+      typeof value === "string" ? value : `${value.name}:${value.size}`;
+    entries.push(`${name}=${text}`);
+  }
+  return entries.join("\n");
+}
+
+function dirtyForm() {
+  for (const hook of guardedForms) {
+    if (hook.el.isConnected && hook.isDirty()) return hook;
+  }
+  return null;
+}
+
+// Asks before leaving a dirty form. Returns true when it is fine to go.
+function confirmLeave() {
+  if (leaving) return true;
+  const hook = dirtyForm();
+  if (!hook) return true;
+  if (!window.confirm(hook.el.dataset.confirmUnsaved || DEFAULT_MESSAGE)) {
+    return false;
+  }
+  leaving = true;
+  return true;
+}
+
+function isLiveNavigation(target) {
+  const link = target.closest("a[data-phx-link]");
+  if (link) return link.getAttribute("target") !== "_blank";
+
+  const clickable = target.closest("[phx-click]");
+  return (
+    !!clickable &&
+    /\["(navigate|patch)"/.test(clickable.getAttribute("phx-click"))
+  );
+}
+
+document.addEventListener(
+  "click",
+  (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return;
+    }
+    if (!(e.target instanceof Element) || !isLiveNavigation(e.target)) return;
+    if (!confirmLeave()) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }
+  },
+  true
+);
+
+// Registered on import, ahead of the listener LiveSocket adds on connect.
+window.addEventListener("popstate", (e) => {
+  if (confirmLeave()) return;
+  e.stopImmediatePropagation();
+  window.history.pushState(currentState, "", currentHref);
+});
+
+window.addEventListener("beforeunload", (e) => {
+  if (leaving || !dirtyForm()) return;
+  e.preventDefault();
+  e.returnValue = "";
+});
+
+window.addEventListener("phx:page-loading-start", (e) => {
+  const kind = e.detail && e.detail.kind;
+  if (kind === "redirect" || kind === "patch") leaving = true;
+});
+
+window.addEventListener("phx:page-loading-stop", () => {
+  leaving = false;
+  currentHref = window.location.href;
+  currentState = window.history.state;
+});
+
+export const UnsavedChanges = {
+  mounted() {
+    this.initial = serializeForm(this.el);
+    guardedForms.add(this);
+  },
+
+  destroyed() {
+    guardedForms.delete(this);
+  },
+
+  isDirty() {
+    return serializeForm(this.el) !== this.initial;
+  },
+};
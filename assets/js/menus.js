@@ -0,0 +1,323 @@
+// Topbar menu buttons (WAI-ARIA menu button and menu patterns).
+//
+//   <div class="dropdown">
+//     <button class="dropdown-toggle" id="menu-button-SET"
+//             data-dropdown-target="menu-SET" aria-haspopup="menu"
+//             aria-controls="menu-SET" aria-expanded="false">Settings</button>
+//     <div class="dropdown-menu opacity-0 invisible" id="menu-SET" role="menu"
+//          aria-labelledby="menu-button-SET">
+//       <div role="none"><a role="menuitem" tabindex="-1" href="...">Users</a></div>
+//       <div role="none" class="dropdown">
+//         <button role="menuitem" class="dropdown-toggle" ...>Master Data</button>
+//         <div class="dropdown-menu ..." role="menu">...</div>  <- submenu
+//       </div>
+//     </div>
+//   </div>
+//
+// The root layout is not patched by LiveView, so everything is delegated from
+// the document and set up once. Keyboard support follows the APG menu button
+// pattern: arrows, Home/End and type-ahead move a roving tabindex between
+// items, Right/Left enter and leave submenus, Escape closes one level and
+// returns focus to the element that opened it, Tab closes everything.
+// Mouse users get hover-intent opening; touch and pen only open on tap.
+
+const HOVER_OPEN_DELAY = 150;
+const HOVER_CLOSE_DELAY = 300;
+const TYPEAHEAD_RESET = 500;
+
+const OPEN_CLASSES = ["opacity-100", "visible"];
+const CLOSED_CLASSES = ["opacity-0", "invisible"];
+// Plain items, choices such as the theme picker, and on/off switches.
+const ITEM =
+  "[role='menuitem'], [role='menuitemradio'], [role='menuitemcheckbox']";
+
+let typeahead = { text: "", at: 0 };
+
+function menuOf(toggle) {
+  return document.getElementById(toggle.getAttribute("data-dropdown-target"));
+}
+
+function toggleOf(menu) {
+  return document.querySelector(`[data-dropdown-target="${menu.id}"]`);
+}
+
+function isOpen(menu) {
+  return menu.classList.contains("opacity-100");
+}
+
+// Items that belong to this menu, not to its submenus.
+function itemsOf(menu) {
+  return [...menu.querySelectorAll(ITEM)].filter(
+    (item) => item.closest("[role='menu']") === menu
+  );
+}
+
+function focusItem(menu, item) {
+  itemsOf(menu).forEach((other) => (other.tabIndex = other === item ? 0 : -1));
+  if (item) item.focus();
+}
+
+function openMenu(toggle, { focus = null, openedBy = "click" } = {}) {
+  const menu = menuOf(toggle);
+  if (!menu) return null;
+
+  // Close whatever is open outside this menu's own chain of parents.
+  document.querySelectorAll(".dropdown-menu").forEach((other) => {
+    if (other !== menu && isOpen(other) && !other.contains(toggle)) {
+      closeMenu(other);
+    }
+  });
+
+  menu.classList.remove(...CLOSED_CLASSES);
+  menu.classList.add(...OPEN_CLASSES);
+  menu.dataset.openedBy = openedBy;
+  toggle.setAttribute("aria-expanded", "true");
+
+  const items = itemsOf(menu);
+  if (focus === "first") focusItem(menu, items[0]);
+  if (focus === "last") focusItem(menu, items[items.length - 1]);
+  return menu;
+}
+
+function closeMenu(menu, { returnFocus = false } = {}) {
+  menu.querySelectorAll(".dropdown-menu").forEach((sub) => closeMenu(sub));
+  menu.classList.remove(...OPEN_CLASSES);
+  menu.classList.add(...CLOSED_CLASSES);
+  delete menu.dataset.openedBy;
+  clearTimeout(menu.hoverTimer);
+
+  const toggle = toggleOf(menu);
+  if (!toggle) return;
+  toggle.setAttribute("aria-expanded", "false");
+  if (returnFocus) toggle.focus();
+}
+
+function closeAllMenus() {
+  document.querySelectorAll(".dropdown-menu").forEach((menu) => {
+    if (isOpen(menu)) closeMenu(menu);
+  });
+}
+
+function moveFocus(menu, current, key) {
+  const items = itemsOf(menu);
+  if (!items.length) return;
+  const index = items.indexOf(current);
+  let next;
+  switch (key) {
+    case "ArrowDown":
+      next = items[(index + 1) % items.length];
+      break;
+    case "ArrowUp":
+      next = items[(index - 1 + items.length) % items.length];
+      break;
+    case "Home":
+      next = items[0];
+      break;
+    case "End":
+      next = items[items.length - 1];
+      break;
+  }
+  focusItem(menu, next);
+}
+
+// Focuses the next item whose label starts with what has been typed.
+function typeAhead(menu, current, char) {
+  const now = Date.now();
+  typeahead = {
+    text:
+      (now - typeahead.at < TYPEAHEAD_RESET ? typeahead.text : "") +
+      char.toLowerCase(),
+    at: now,
+  };
+
+  const items = itemsOf(menu);
+  const start = items.indexOf(current);
+  const ordered = [...items.slice(start + 1), ...items.slice(0, start + 1)];
+  // Repeating one letter cycles through the items starting with it.
+  const repeated = [...typeahead.text].every((c) => c === typeahead.text[0]);
+  const match =
+    ordered.find((item) =>
+      item.textContent.trim().toLowerCase().startsWith(typeahead.text)
+    ) ||
+    (repeated &&
+      ordered.find((item) =>
+        item.textContent.trim().toLowerCase().startsWith(typeahead.text[0])
+      ));
+  if (match) focusItem(menu, match);
+}
+
+function onToggleKeydown(toggle, e) {
+  switch (e.key) {
+    case "Enter":
+    case " ":
+    case "ArrowDown":
+      e.preventDefault();
+      openMenu(toggle, { focus: "first" });
+      break;
+    case "ArrowUp":
+      e.preventDefault();
+      openMenu(toggle, { focus: "last" });
+      break;
+  }
+}
+
+function onMenuKeydown(menu, item, e) {
+  const submenuToggle = item.matches(".dropdown-toggle") ? item : null;
+  const parentMenu = menu.parentElement.closest(".dropdown-menu");
+
+  switch (e.key) {
+    case "ArrowDown":
+    case "ArrowUp":
+    case "Home":
+    case "End":
+      e.preventDefault();
+      moveFocus(menu, item, e.key);
+      break;
+    case "ArrowRight":
+      if (submenuToggle) {
+        e.preventDefault();
+        openMenu(submenuToggle, { focus: "first" });
+      }
+      break;
+    case "ArrowLeft":
+      if (parentMenu) {
+        e.preventDefault();
+        closeMenu(menu, { returnFocus: true });
+      }
+      break;
+    case "Enter":
+    case " ":
+      if (submenuToggle) {
+        e.preventDefault();
+        openMenu(submenuToggle, { focus: "first" });
+      } else if (e.key === " ") {
+        // Space activates links in menus, as Enter already does natively.
+        e.preventDefault();
+        item.click();
+      }
+      break;
+    case "Escape":
+      e.preventDefault();
+      closeMenu(menu, { returnFocus: true });
+      break;
+    case "Tab":
+      closeAllMenus();
+      break;
+    default:
+      if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        typeAhead(menu, item, e.key);
+      }
+  }
+}
+
+function scheduleHover(dropdown, open) {
+  const toggle = dropdown.querySelector(":scope > .dropdown-toggle");
+  const menu = toggle && menuOf(toggle);
+  if (!menu) return;
+
+  clearTimeout(menu.hoverTimer);
+  if (open) {
+    if (isOpen(menu)) return;
+    // Moving between top-level menus switches at once, like a menubar.
+    const anotherOpen = [
+      ...document.querySelectorAll(".dropdown-menu.opacity-100"),
+    ].some((other) => !other.contains(dropdown));
+    menu.hoverTimer = setTimeout(
+      () => openMenu(toggle, { openedBy: "hover" }),
+      anotherOpen ? 0 : HOVER_OPEN_DELAY
+    );
+  } else if (menu.dataset.openedBy === "hover") {
+    menu.hoverTimer = setTimeout(() => {
+      if (!menu.contains(document.activeElement)) closeMenu(menu);
+    }, HOVER_CLOSE_DELAY);
+  }
+}
+
+export function setupMenus() {
+  document.addEventListener("click", (e) => {
+    const toggle = e.target.closest(".dropdown-toggle");
+    if (toggle) {
+      const menu = menuOf(toggle);
+      if (!menu) return;
+      if (!isOpen(menu)) {
+        openMenu(toggle);
+      } else if (menu.dataset.openedBy === "hover") {
+        // Clicking a menu the mouse already opened keeps it open.
+        menu.dataset.openedBy = "click";
+      } else {
+        closeMenu(menu);
+      }
+      return;
+    }
+
+    const item = e.target.closest(ITEM);
+    if (item && item.closest(".dropdown-menu")) {
+      const menu = e.target.closest(".dropdown-menu");
+      let top = menu;
+      for (let m = menu; m; m = m.parentElement.closest(".dropdown-menu")) {
+        top = m;
+      }
+      closeAllMenus();
+      const topToggle = toggleOf(top);
+      if (topToggle) topToggle.focus();
+      return;
+    }
+
+    if (!e.target.closest(".dropdown")) closeAllMenus();
+  });
+
+  document.addEventListener("keydown", (e) => {
+    const target = e.target;
+    if (!(target instanceof Element)) return;
+
+    const item = target.closest(ITEM);
+    const menu = item && item.closest(".dropdown-menu");
+    if (menu) {
+      onMenuKeydown(menu, item, e);
+      return;
+    }
+
+    const toggle = target.closest(".dropdown-toggle");
+    if (toggle) {
+      if (e.key === "Escape") {
+        const open = menuOf(toggle);
+        if (open && isOpen(open)) closeMenu(open);
+      } else {
+        onToggleKeydown(toggle, e);
+      }
+      return;
+    }
+
+    if (e.key === "Escape") closeAllMenus();
+  });
+
+  // Hover intent for mice only; touch taps arrive as clicks.
+  document.addEventListener("pointerover", (e) => {
+    if (e.pointerType !== "mouse" || !(e.target instanceof Element)) return;
+    let dropdown = e.target.closest(".dropdown");
+    while (dropdown && !dropdown.contains(e.relatedTarget)) {
+      scheduleHover(dropdown, true);
+      dropdown = dropdown.parentElement.closest(".dropdown");
+    }
+  });
+
+  document.addEventListener("pointerout", (e) => {
+    if (e.pointerType !== "mouse" || !(e.target instanceof Element)) return;
+    // Leaving a submenu may leave its parent menus too.
+    let dropdown = e.target.closest(".dropdown");
+    while (dropdown && !dropdown.contains(e.relatedTarget)) {
+      scheduleHover(dropdown, false);
+      dropdown = dropdown.parentElement.closest(".dropdown");
+    }
+  });
+
+  // Focus leaving the menus entirely (e.g. clicking into the page).
+  document.addEventListener("focusout", (e) => {
+    if (!(e.target instanceof Element) || !e.target.closest(".dropdown"))
+      return;
+    if (e.relatedTarget && e.relatedTarget.closest(".dropdown")) return;
+    if (e.relatedTarget) closeAllMenus();
+  });
+
+  window.addEventListener("phx:page-loading-start", closeAllMenus);
+}
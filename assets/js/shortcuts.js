@@ -0,0 +1,325 @@
+// Keyboard shortcuts.
+//
+//   <.button data-shortcut="n" data-command="New currency">New</.button>
+//   <.button data-shortcut="mod+s">Save</.button>
+//   <input type="search" data-shortcut="/" data-shortcut-label="Search" />
+//
+// A page declares its shortcuts on the elements they act on: pressing the
+// keys clicks the element, or focuses it when it is a field. Only elements
+// that are shown and enabled count, so a shortcut on a button that is not
+// rendered for the user's permission level does nothing, and while a modal is
+// open only the shortcuts inside it work.
+//
+// Keys are written the way `KeyboardEvent.key` names them, lower case, with
+// `+` joining modifiers and spaces separating the steps of a sequence:
+// "n", "/", "?", "mod+s", "shift+n", "g u". `mod` is Cmd on Apple devices
+// and Ctrl elsewhere.
+//
+// Plain keys never fire while typing in a field, a select or an editable
+// region. Ctrl/Cmd combinations do, since they type nothing: "mod+s" saves
+// the form being filled in.
+//
+// Shortcuts that work on every page (the command palette, this cheat sheet)
+// are added with `registerShortcut`. `?` opens the cheat sheet, listing those
+// and the current page's shortcuts; it is the #shortcut-help dialog in the
+// root layout.
+
+// How long the next step of a sequence is waited for.
+const SEQUENCE_TIMEOUT = 1000;
+
+const IS_APPLE = /Mac|iPhone|iPad/.test(
+  (navigator.userAgentData && navigator.userAgentData.platform) ||
+    navigator.platform ||
+    ""
+);
+
+const globalShortcuts = [];
+let pending = [];
+let pendingAt = 0;
+let helpReturnFocus = null;
+
+// "mod+shift+k" => { mod: true, shift: true, key: "k", ... }
+function parseChord(text) {
+  const parts = text.toLowerCase().split("+");
+  // "mod++" is mod and the plus key.
+  const key = parts.pop() || "+";
+  const chord = { key, ctrl: false, meta: false, alt: false, shift: false };
+  parts.forEach((part) => {
+    if (part === "mod") chord[IS_APPLE ? "meta" : "ctrl"] = true;
+    else if (part === "cmd") chord.meta = true;
+    else if (part === "option") chord.alt = true;
+    else if (part in chord) chord[part] = true;
+  });
+  return chord;
+}
+
+function parseKeys(text) {
+  return text.trim().split(/\s+/).map(parseChord);
+}
+
+function eventKey(e) {
+  return e.key === " " ? "space" : e.key.toLowerCase();
+}
+
+// Symbols such as "?" are typed with shift on some layouts and not on others,
+// so shift only counts for letters and named keys.
+function chordMatches(chord, e) {
+  const key = eventKey(e);
+  const shiftMatters = key.length > 1 || /^[a-z0-9]$/.test(key);
+  return (
+    chord.key === key &&
+    chord.ctrl === e.ctrlKey &&
+    chord.meta === e.metaKey &&
+    chord.alt === e.altKey &&
+    (!shiftMatters || chord.shift === e.shiftKey)
+  );
+}
+
+function isModified(chord) {
+  return chord.ctrl || chord.meta;
+}
+
+function isTyping(target) {
+  if (!(target instanceof Element)) return false;
+  if (target.closest("[contenteditable=''], [contenteditable='true']")) {
+    return true;
+  }
+  if (target.matches("textarea, select")) return true;
+  return (
+    target.matches("input") &&
+    !/^(button|checkbox|radio|submit|reset|range|color|file|image)$/.test(
+      target.type
+    )
+  );
+}
+
+function isShown(element) {
+  return (
+    element.getClientRects().length > 0 &&
+    getComputedStyle(element).visibility !== "hidden"
+  );
+}
+
+function isEnabled(element) {
+  return !element.disabled && element.getAttribute("aria-disabled") !== "true";
+}
+
+// The open modal dialog on top, if any.
+function openModal() {
+  const modals = [
+    ...document.querySelectorAll("[role='dialog'][aria-modal='true']"),
+  ].filter(isShown);
+  return modals[modals.length - 1] || null;
+}
+
+/**
+ * The shortcut or action elements on the page that can be used now: shown,
+ * enabled and, while a modal is open, inside it.
+ */
+export function pageElements(selector = "[data-shortcut]") {
+  const scope = openModal() || document;
+  return [...scope.querySelectorAll(selector)].filter(
+    (element) => isShown(element) && isEnabled(element)
+  );
+}
+
+/** What an element does, for lists: its label, else its text. */
+export function elementLabel(element) {
+  return (
+    element.dataset.command ||
+    element.dataset.shortcutLabel ||
+    element.getAttribute("aria-label") ||
+    element.getAttribute("title") ||
+    element.textContent.replace(/\s+/g, " ").trim() ||
+    element.getAttribute("placeholder") ||
+    ""
+  );
+}
+
+/** Runs a page element's action: fields are focused, the rest clicked. */
+export function activate(element) {
+  if (element.matches("input, textarea, select, [contenteditable]")) {
+    element.focus();
+    if (element.select) element.select();
+  } else {
+    element.click();
+  }
+}
+
+/** Keys as shown to the user, e.g. "mod+s" => ["Ctrl", "S"]. */
+export function keyLabels(text) {
+  const names = {
+    mod: IS_APPLE ? "⌘" : "Ctrl",
+    ctrl: "Ctrl",
+    cmd: "⌘",
+    meta: "⌘",
+    alt: IS_APPLE ? "⌥" : "Alt",
+    option: "⌥",
+    shift: "Shift",
+    escape: "Esc",
+    enter: "Enter",
+    space: "Space",
+    arrowup: "↑",
+    arrowdown: "↓",
+    arrowleft: "←",
+    arrowright: "→",
+  };
+  return text
+    .trim()
+    .split(/\s+/)
+    .map((step) =>
+      step
+        .toLowerCase()
+        .split(/\+(?!$)/)
+        .map((part) => names[part] || part.toUpperCase())
+        .join("+")
+    );
+}
+
+/**
+ * Adds a shortcut that works on every page. `run` gets the keydown event.
+ */
+export function registerShortcut(keys, label, run) {
+  globalShortcuts.push({ keys, label, steps: parseKeys(keys), run });
+}
+
+// The shortcut `steps` ends with this keypress, the earlier steps being the
+// pending ones.
+function sequenceMatches(steps, e) {
+  if (!chordMatches(steps[steps.length - 1], e)) return false;
+  const earlier = steps.slice(0, -1);
+  if (earlier.length === 0) return true;
+  const recent = pending.slice(-earlier.length);
+  return (
+    recent.length === earlier.length &&
+    earlier.every((step, i) => chordMatches(step, recent[i]))
+  );
+}
+
+function findShortcut(e) {
+  const typing = isTyping(e.target);
+  const usable = (steps) => !typing || steps.every((step) => isModified(step));
+
+  const global = globalShortcuts.find(
+    ({ steps }) => usable(steps) && sequenceMatches(steps, e)
+  );
+  if (global) return () => global.run(e);
+
+  const element = pageElements().find((candidate) => {
+    const steps = parseKeys(candidate.dataset.shortcut);
+    return usable(steps) && sequenceMatches(steps, e);
+  });
+  return element ? () => activate(element) : null;
+}
+
+function onKeydown(e) {
+  if (e.defaultPrevented || e.isComposing || e.repeat) return;
+  if (["shift", "control", "alt", "meta"].includes(eventKey(e))) return;
+
+  if (Date.now() - pendingAt > SEQUENCE_TIMEOUT) pending = [];
+  const run = findShortcut(e);
+
+  if (run) {
+    pending = [];
+    e.preventDefault();
+    run();
+  } else if (!isTyping(e.target)) {
+    pending.push({
+      key: e.key,
+      ctrlKey: e.ctrlKey,
+      metaKey: e.metaKey,
+      altKey: e.altKey,
+      shiftKey: e.shiftKey,
+    });
+    pendingAt = Date.now();
+  }
+}
+
+function kbd(text) {
+  const element = document.createElement("kbd");
+  element.className =
+    "rounded border border-borderStrong bg-page px-1.5 py-0.5 font-mono text-xs";
+  element.textContent = text;
+  return element;
+}
+
+/** The keys of a shortcut as <kbd> elements, steps separated by "then". */
+export function keysElement(keys) {
+  const wrapper = document.createElement("span");
+  wrapper.className = "flex items-center gap-1 whitespace-nowrap";
+  keyLabels(keys).forEach((step, i) => {
+    if (i > 0) {
+      const then = document.createElement("span");
+      then.className = "text-xs text-muted";
+      then.textContent = "then";
+      wrapper.appendChild(then);
+    }
+    wrapper.appendChild(kbd(step));
+  });
+  return wrapper;
+}
+
+function helpSection(title, rows) {
+  const section = document.createElement("section");
+  const heading = document.createElement("h3");
+  heading.className = "mb-2 font-semibold";
+  heading.textContent = title;
+  const list = document.createElement("dl");
+  list.className = "grid grid-cols-[1fr_auto] gap-x-6 gap-y-2";
+  rows.forEach(({ keys, label }) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    detail.appendChild(keysElement(keys));
+    list.append(term, detail);
+  });
+  section.append(heading, list);
+  return section;
+}
+
+export function openShortcutHelp() {
+  const dialog = document.getElementById("shortcut-help");
+  if (!dialog) return;
+
+  const page = pageElements().map((element) => ({
+    keys: element.dataset.shortcut,
+    label: elementLabel(element),
+  }));
+  const sections = [helpSection("Everywhere", globalShortcuts)];
+  if (page.length > 0) sections.push(helpSection("On this page", page));
+  dialog.querySelector("[data-role=list]").replaceChildren(...sections);
+
+  helpReturnFocus = document.activeElement;
+  dialog.classList.remove("hidden");
+  dialog.querySelector("[data-role=close]").focus();
+}
+
+function closeShortcutHelp() {
+  const dialog = document.getElementById("shortcut-help");
+  if (!dialog || dialog.classList.contains("hidden")) return;
+  dialog.classList.add("hidden");
+  if (helpReturnFocus && helpReturnFocus.isConnected) helpReturnFocus.focus();
+  helpReturnFocus = null;
+}
+
+export function setupShortcuts() {
+  document.addEventListener("keydown", onKeydown);
+  registerShortcut("?", "Show keyboard shortcuts", openShortcutHelp);
+
+  const help = document.getElementById("shortcut-help");
+  if (!help) return;
+  help.addEventListener("click", (e) => {
+    if (e.target.closest("[data-role=close], [data-role=backdrop]")) {
+      closeShortcutHelp();
+    }
+  });
+  help.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeShortcutHelp();
+    } else if (e.key === "Tab") {
+      // The close button is the only stop.
+      e.preventDefault();
+    }
+  });
+}
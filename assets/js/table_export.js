@@ -0,0 +1,223 @@
+// Table export to CSV, Excel and the clipboard.
+//
+//   <button type="button" data-table-export="csv" data-table-export-target="currencies">
+//     CSV
+//   </button>
+//
+// `data-table-export` is "csv", "xlsx" or "clipboard"; the target is the id of
+// a <table> rendered by the core `table` component with `exportable`, which
+// renders these buttons itself. Everything happens in the browser, on what the
+// table shows: the columns that are not hidden, in their current order, and
+// the selected rows when there are any, else all visible rows. The actions
+// column is never exported.
+//
+// Cells are exported as their text. A cell can give a better value with
+// `data-export-value` on any element inside it, and a <time datetime> inside a
+// cell is read as a date. Text in the formats the DatePicker hooks display
+// (d/m/Y, d/m/Y H:i, or the table's `data-export-date-format`) is read as a
+// date too, so Excel gets real dates; CSV and the clipboard keep the text.
+//
+// CSV starts with a UTF-8 byte order mark, without which Excel reads the file
+// as ANSI, and cells that a spreadsheet would run as a formula are prefixed
+// with an apostrophe.
+
+import { buildXlsx } from "./xlsx";
+import { showToast } from "./hooks/toasts";
+
+const DEFAULT_DATE_FORMATS = ["d/m/Y H:i", "d/m/Y h:i K", "d/m/Y"];
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+const FORMULA = /^[=+\-@\t\r]/;
+
+function isShown(element) {
+  return (
+    !element.classList.contains("hidden") &&
+    getComputedStyle(element).display !== "none"
+  );
+}
+
+function dateFormats(table) {
+  const formats = table.dataset.exportDateFormat;
+  return formats
+    ? formats.split(",").map((format) => format.trim())
+    : DEFAULT_DATE_FORMATS;
+}
+
+// A Date when the text is exactly a date in one of the formats; flatpickr
+// accepts trailing garbage, so the date must format back to the same text.
+function parseDate(text, formats) {
+  const flatpickr = window.flatpickr;
+  if (!flatpickr || !/\d/.test(text)) return null;
+
+  for (const format of formats) {
+    const date = flatpickr.parseDate(text, format);
+    if (date && !isNaN(date) && flatpickr.formatDate(date, format) === text) {
+      return { date, time: /[HhiK]/.test(format) };
+    }
+  }
+  return null;
+}
+
+// { text, value }: what CSV and the clipboard show, and the typed value for
+// Excel (a number, a { date, time } cell or the text).
+function readCell(cell, formats) {
+  const explicit = cell.querySelector("[data-export-value]");
+  const time = cell.querySelector("time[datetime]");
+  // A fitted cell (`fit` on the column) holds its text twice, once cut.
+  const full = cell.querySelector("[data-fit-text]") || cell;
+  const text = (explicit ? explicit.dataset.exportValue : full.textContent)
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (time) {
+    const date = new Date(time.getAttribute("datetime"));
+    if (!isNaN(date)) {
+      const hasTime = time.getAttribute("datetime").includes("T");
+      return { text, value: { date, time: hasTime } };
+    }
+  }
+  if (NUMBER.test(text)) return { text, value: Number(text) };
+  return { text, value: parseDate(text, formats) || text };
+}
+
+/**
+ * The exported part of a table: `header` labels and `rows` of
+ * `{ text, value }` cells.
+ */
+export function tableData(table) {
+  const formats = dateFormats(table);
+  const columns = [...table.querySelectorAll("thead th[data-column]")]
+    .filter(isShown)
+    .map((th) => th.dataset.column);
+
+  const header = columns.map((key) => {
+    const th = table.querySelector(
+      `thead th[data-column="${CSS.escape(key)}"]`
+    );
+    return th.textContent.replace(/\s+/g, " ").trim();
+  });
+
+  const bodyRows = [...table.querySelectorAll("tbody tr")].filter(isShown);
+  const selected = bodyRows.filter(
+    (row) => row.getAttribute("aria-selected") === "true"
+  );
+
+  const rows = (selected.length > 0 ? selected : bodyRows).map((row) =>
+    columns.map((key) => {
+      const cell = row.querySelector(`td[data-column="${CSS.escape(key)}"]`);
+      return cell ? readCell(cell, formats) : { text: "", value: "" };
+    })
+  );
+
+  return { header, rows };
+}
+
+function csvField(text) {
+  const safe = FORMULA.test(text) && !NUMBER.test(text) ? `'${text}` : text;
+  return /[",\r\n]|^\s|\s$/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function toCsv({ header, rows }) {
+  const lines = [header, ...rows.map((row) => row.map((cell) => cell.text))];
+  return (
+    "\uFEFF" + lines.map((line) => line.map(csvField).join(",")).join("\r\n")
+  );
+}
+
+// Tabs and newlines would split cells, so they become spaces.
+function toTsv({ header, rows }) {
+  const lines = [header, ...rows.map((row) => row.map((cell) => cell.text))];
+  return lines
+    .map((line) =>
+      line.map((text) => text.replace(/[\t\r\n]+/g, " ")).join("\t")
+    )
+    .join("\n");
+}
+
+function fileName(table) {
+  const today = new Date();
+  const stamp = [
+    today.getFullYear(),
+    String(today.getMonth() + 1).padStart(2, "0"),
+    String(today.getDate()).padStart(2, "0"),
+  ].join("-");
+  return `${table.dataset.exportName || table.id}-${stamp}`;
+}
+
+function download(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// The async clipboard API needs a secure context; fall back to a selection.
+async function writeClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const area = document.createElement("textarea");
+  area.value = text;
+  area.setAttribute("readonly", "");
+  area.style.position = "fixed";
+  area.style.left = "-9999px";
+  document.body.appendChild(area);
+  area.select();
+  const copied = document.execCommand("copy");
+  area.remove();
+  if (!copied) throw new Error("copy command was refused");
+}
+
+export async function exportTable(table, format) {
+  const data = tableData(table);
+
+  if (format === "csv") {
+    download(
+      new Blob([toCsv(data)], { type: "text/csv;charset=utf-8" }),
+      `${fileName(table)}.csv`
+    );
+  } else if (format === "xlsx") {
+    const rows = [
+      data.header,
+      ...data.rows.map((row) => row.map((c) => c.value)),
+    ];
+    download(
+      buildXlsx(rows, { sheetName: table.dataset.exportName || table.id }),
+      `${fileName(table)}.xlsx`
+    );
+  } else if (format === "clipboard") {
+    try {
+      await writeClipboard(toTsv(data));
+      showToast({
+        kind: "info",
+        title: "Copied",
+        msg: `${data.rows.length} row${
+          data.rows.length === 1 ? "" : "s"
+        } copied to the clipboard.`,
+      });
+    } catch (error) {
+      console.warn("Table export: copy failed", error);
+      showToast({
+        kind: "error",
+        title: "Copy failed",
+        msg: "The browser did not allow copying to the clipboard.",
+      });
+    }
+  }
+}
+
+export function setupTableExport() {
+  document.addEventListener("click", (e) => {
+    const button =
+      e.target instanceof Element && e.target.closest("[data-table-export]");
+    if (!button) return;
+
+    const table = document.getElementById(button.dataset.tableExportTarget);
+    if (table) exportTable(table, button.dataset.tableExport);
+  });
+}
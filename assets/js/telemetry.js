@@ -0,0 +1,238 @@
+// Browser errors and timings, sent to `PhoexnipWeb.ClientTelemetryController`,
+// which emits them as `[:phoexnip, :client, ...]` :telemetry events:
+//
+//   error         uncaught errors, unhandled promise rejections and errors
+//                 thrown by LiveView hooks (with the hook's name)
+//   latency       LiveView event round trips, from push to reply
+//   page_loading  phx:page-loading-start to -stop, per kind
+//   web_vital     TTFB, LCP, CLS and INP of the page load
+//
+// Each carries the page's path; the server turns it into the route pattern
+// ("/users/:id/edit") and scrubs the messages. Events are queued and sent
+// together with sendBeacon every few seconds and when the page is hidden, so
+// reporting never holds up the page or its unload.
+//
+// Timings are only collected on a sampled share of page loads, set by the
+// server (`<meta name="telemetry-sample-rate">`); errors are always sent, at
+// most MAX_ERRORS per page load.
+
+const ENDPOINT = "/telemetry";
+const FLUSH_MS = 10000;
+const MAX_QUEUE = 100;
+const MAX_ERRORS = 20;
+// Hook callbacks LiveView calls, and so the ones whose errors are reported.
+const HOOK_CALLBACKS = [
+  "mounted",
+  "beforeUpdate",
+  "updated",
+  "destroyed",
+  "disconnected",
+  "reconnected",
+];
+
+let queue = [];
+let errorCount = 0;
+const seenErrors = new Set();
+// Errors already reported by a hook wrapper, so window.onerror skips them.
+const reportedErrors = new WeakSet();
+
+function csrfToken() {
+  const meta = document.querySelector("meta[name='csrf-token']");
+  return meta ? meta.getAttribute("content") : "";
+}
+
+function record(type, fields) {
+  if (queue.length >= MAX_QUEUE) return;
+  queue.push({
+    type,
+    path: window.location.pathname,
+    at: Date.now(),
+    ...fields,
+  });
+}
+
+function flush() {
+  if (queue.length === 0) return;
+  const body = new URLSearchParams({
+    _csrf_token: csrfToken(),
+    events: JSON.stringify(queue),
+  });
+  queue = [];
+  if (navigator.sendBeacon) {
+    navigator.sendBeacon(ENDPOINT, body);
+  } else {
+    fetch(ENDPOINT, { method: "POST", body, keepalive: true }).catch(() => {});
+  }
+}
+
+function describe(error) {
+  if (error instanceof Error) {
+    return { message: `${error.name}: ${error.message}`, stack: error.stack };
+  }
+  return { message: String(error), stack: null };
+}
+
+/**
+ * Reports an error once per distinct message and source. `fields` adds
+ * `kind` ("error", "rejection" or "hook") and `hook`.
+ */
+export function reportError(error, fields = {}) {
+  if (error && typeof error === "object") {
+    if (reportedErrors.has(error)) return;
+    reportedErrors.add(error);
+  }
+  const { message, stack } = describe(error);
+  const signature = `${fields.hook || ""}|${message}`;
+  if (seenErrors.has(signature) || errorCount >= MAX_ERRORS) return;
+  seenErrors.add(signature);
+  errorCount++;
+  record("error", { kind: "error", ...fields, message, stack });
+}
+
+/**
+ * A copy of LiveView's `hooks` whose callbacks report what they throw, with
+ * the hook's name, before LiveView sees it.
+ */
+export function instrumentHooks(hooks) {
+  const instrumented = {};
+  Object.entries(hooks).forEach(([name, hook]) => {
+    if (!hook || typeof hook !== "object") {
+      instrumented[name] = hook;
+      return;
+    }
+    const copy = { ...hook };
+    HOOK_CALLBACKS.forEach((callback) => {
+      if (typeof hook[callback] !== "function") return;
+      copy[callback] = function (...args) {
+        try {
+          return hook[callback].apply(this, args);
+        } catch (error) {
+          reportError(error, { kind: "hook", hook: name, callback });
+          throw error;
+        }
+      };
+    });
+    instrumented[name] = copy;
+  });
+  return instrumented;
+}
+
+// Round trips of the LiveView events pushed over the socket, by event name.
+function watchLatency(socket) {
+  const pending = new Map();
+  const push = socket.push.bind(socket);
+  socket.push = (message) => {
+    if (message.event === "event" && message.ref) {
+      pending.set(message.ref, {
+        at: performance.now(),
+        event: message.payload && message.payload.event,
+      });
+    }
+    push(message);
+  };
+  socket.onMessage(({ event, ref }) => {
+    if (event !== "phx_reply" || !pending.has(ref)) return;
+    const sent = pending.get(ref);
+    pending.delete(ref);
+    record("latency", {
+      event: sent.event,
+      duration: Math.round(performance.now() - sent.at),
+    });
+  });
+  // Replies never come for pushes lost in a disconnect.
+  socket.onClose(() => pending.clear());
+}
+
+function watchPageLoading() {
+  const started = new Map();
+  window.addEventListener("phx:page-loading-start", (e) => {
+    started.set(e.detail.kind, performance.now());
+  });
+  window.addEventListener("phx:page-loading-stop", (e) => {
+    const at = started.get(e.detail.kind);
+    if (at === undefined) return;
+    started.delete(e.detail.kind);
+    record("page_loading", {
+      kind: e.detail.kind,
+      duration: Math.round(performance.now() - at),
+    });
+  });
+}
+
+function observe(type, callback, options = {}) {
+  try {
+    const observer = new PerformanceObserver((list) =>
+      list.getEntries().forEach(callback)
+    );
+    observer.observe({ type, buffered: true, ...options });
+  } catch (_error) {
+    // Entry type not supported by this browser.
+  }
+}
+
+// Reported once, when the page is first hidden, as LCP, CLS and INP can
+// change until then.
+function watchWebVitals() {
+  const vitals = {};
+  const navigation = performance.getEntriesByType
+    ? performance.getEntriesByType("navigation")[0]
+    : null;
+  if (navigation) vitals.TTFB = navigation.responseStart;
+
+  observe("largest-contentful-paint", (entry) => {
+    vitals.LCP = entry.startTime;
+  });
+  observe("layout-shift", (entry) => {
+    if (!entry.hadRecentInput) vitals.CLS = (vitals.CLS || 0) + entry.value;
+  });
+  observe(
+    "event",
+    (entry) => {
+      if (entry.interactionId) {
+        vitals.INP = Math.max(vitals.INP || 0, entry.duration);
+      }
+    },
+    { durationThreshold: 40 }
+  );
+
+  let reported = false;
+  document.addEventListener("visibilitychange", () => {
+    if (reported || document.visibilityState !== "hidden") return;
+    reported = true;
+    Object.entries(vitals).forEach(([name, value]) => {
+      record("web_vital", {
+        name,
+        value: name === "CLS" ? Number(value.toFixed(4)) : Math.round(value),
+      });
+    });
+  });
+}
+
+export function setupTelemetry(liveSocket) {
+  const meta = document.querySelector("meta[name='telemetry-sample-rate']");
+  const rate = meta ? parseFloat(meta.getAttribute("content")) : 0;
+  const sampled = Math.random() < (isNaN(rate) ? 0 : rate);
+
+  window.addEventListener("error", (e) => {
+    reportError(e.error || e.message, {
+      kind: "error",
+      source: e.filename ? `${e.filename}:${e.lineno}:${e.colno}` : null,
+    });
+  });
+  window.addEventListener("unhandledrejection", (e) => {
+    reportError(e.reason, { kind: "rejection" });
+  });
+
+  if (sampled) {
+    watchLatency(liveSocket.socket);
+    watchPageLoading();
+    watchWebVitals();
+  }
+
+  setInterval(flush, FLUSH_MS);
+  // The web vitals are recorded on the same event, so flush after them.
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flush();
+  });
+  window.addEventListener("pagehide", flush);
+}
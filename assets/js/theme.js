@@ -0,0 +1,113 @@
+// Colour theme switcher.
+//
+//   <button type="button" role="menuitemradio" data-theme-choice="light"
+//           aria-checked="false">Light</button>
+//
+// Themes are palettes of CSS variables in app.css, selected by `data-theme`
+// on <html>. The server renders that attribute from the `phoexnip_theme`
+// cookie (PhoexnipWeb.Theme), so pages load in the chosen theme with no flash
+// of the default one and no inline script, which the CSP would block.
+// "system" is resolved by a prefers-color-scheme media query in the
+// stylesheet, so it needs no script either.
+//
+// Choosing a theme switches it in place, stores it in the cookie and passes
+// it to other open tabs through localStorage. Everything styled with the
+// variables (Tailwind tokens, flatpickr.css) follows at once; code that paints
+// with colours read from script subscribes with onThemeChange() (the topbar).
+
+const COOKIE = "phoexnip_theme";
+const COOKIE_MAX_AGE = 60 * 60 * 24 * 365;
+const STORAGE_KEY = "phoexnip:theme";
+const CHANGE_EVENT = "phoexnip:theme-change";
+
+const systemLight = window.matchMedia
+  ? window.matchMedia("(prefers-color-scheme: light)")
+  : null;
+
+export function currentTheme() {
+  return document.documentElement.dataset.theme || "system";
+}
+
+/**
+ * "light" or "dark": the colour scheme the current theme resolves to, which
+ * for "system" depends on the operating system.
+ */
+export function colorScheme() {
+  const scheme = getComputedStyle(document.documentElement).colorScheme;
+  if (scheme === "light" || scheme === "dark") return scheme;
+  return systemLight && systemLight.matches ? "light" : "dark";
+}
+
+/** Reads a theme variable, e.g. themeColor("--color-primary"). */
+export function themeColor(name) {
+  return getComputedStyle(document.documentElement)
+    .getPropertyValue(name)
+    .trim();
+}
+
+/**
+ * Calls `callback({ theme, scheme })` whenever the rendered colours change.
+ * Returns a function that unsubscribes.
+ */
+export function onThemeChange(callback) {
+  const listener = (e) => callback(e.detail);
+  window.addEventListener(CHANGE_EVENT, listener);
+  return () => window.removeEventListener(CHANGE_EVENT, listener);
+}
+
+function notify() {
+  window.dispatchEvent(
+    new CustomEvent(CHANGE_EVENT, {
+      detail: { theme: currentTheme(), scheme: colorScheme() },
+    })
+  );
+}
+
+function markChoices(theme) {
+  document.querySelectorAll("[data-theme-choice]").forEach((choice) => {
+    choice.setAttribute(
+      "aria-checked",
+      String(choice.dataset.themeChoice === theme)
+    );
+  });
+}
+
+function applyTheme(theme) {
+  if (theme === currentTheme()) return;
+  document.documentElement.dataset.theme = theme;
+  markChoices(theme);
+  notify();
+}
+
+export function setTheme(theme) {
+  applyTheme(theme);
+  document.cookie = `${COOKIE}=${encodeURIComponent(
+    theme
+  )}; path=/; max-age=${COOKIE_MAX_AGE}; SameSite=Lax`;
+  try {
+    localStorage.setItem(STORAGE_KEY, theme);
+  } catch (_error) {
+    // Storage disabled: other tabs pick the theme up on their next load.
+  }
+}
+
+export function setupTheme() {
+  markChoices(currentTheme());
+
+  document.addEventListener("click", (e) => {
+    const choice =
+      e.target instanceof Element && e.target.closest("[data-theme-choice]");
+    if (choice) setTheme(choice.dataset.themeChoice);
+  });
+
+  // Fired in the other tabs when one of them changes the theme.
+  window.addEventListener("storage", (e) => {
+    if (e.key === STORAGE_KEY && e.newValue) applyTheme(e.newValue);
+  });
+
+  if (systemLight) {
+    systemLight.addEventListener("change", () => {
+      if (currentTheme() === "system") notify();
+    });
+  }
+}
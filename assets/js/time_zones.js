@@ -0,0 +1,88 @@
+// Wall-clock times in an IANA time zone other than the browser's, for the
+// date pickers (app.js) and the cron editor (hooks/cron_editor.js). The
+// browser only knows its own zone, so the other zone's offsets are read back
+// through Intl.
+
+const zonedFormatters = {};
+
+function zonedParts(instant, timeZone) {
+  if (!zonedFormatters[timeZone]) {
+    zonedFormatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+  }
+
+  const parts = {};
+  zonedFormatters[timeZone]
+    .formatToParts(instant)
+    .forEach(({ type, value }) => {
+      if (type !== "literal") parts[type] = parseInt(value);
+    });
+  return parts;
+}
+
+/** Minutes `timeZone` is ahead of UTC at `instant`. */
+export function zoneOffsetMinutes(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/** The wall-clock time in `timeZone` at `instant`, as a browser-local Date. */
+export function zonedWallTime(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  return new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+}
+
+/**
+ * The instant at which `timeZone` shows `{ year, month, day, hour, minute,
+ * second }` (month 1-12). Taking the fields rather than a Date keeps wall
+ * times the browser's own zone skips at a DST change.
+ */
+export function wallClockInstant(wall, timeZone) {
+  const asUtc = Date.UTC(
+    wall.year,
+    wall.month - 1,
+    wall.day,
+    wall.hour || 0,
+    wall.minute || 0,
+    wall.second || 0
+  );
+  // Re-check the offset once, in case the first guess crossed a DST change.
+  let offset = zoneOffsetMinutes(new Date(asUtc), timeZone);
+  const corrected = zoneOffsetMinutes(
+    new Date(asUtc - offset * 60000),
+    timeZone
+  );
+  if (corrected !== offset) offset = corrected;
+  return new Date(asUtc - offset * 60000);
+}
+
+/** The instant at which `timeZone` shows the wall-clock time of `wallTime`. */
+export function zonedInstant(wallTime, timeZone) {
+  return wallClockInstant(
+    {
+      year: wallTime.getFullYear(),
+      month: wallTime.getMonth() + 1,
+      day: wallTime.getDate(),
+      hour: wallTime.getHours(),
+      minute: wallTime.getMinutes(),
+      second: wallTime.getSeconds(),
+    },
+    timeZone
+  );
+}
@@ -0,0 +1,440 @@
+// Minimal XLSX writer and reader: one worksheet of strings, numbers and dates.
+//
+//   const blob = buildXlsx([["Name", "Logins"], ["Aisyah", 4]], { sheetName: "Logins" });
+//   const rows = await readXlsx(await file.arrayBuffer());
+//
+// An .xlsx file is a zip of a few XML parts. Cells are written as inline
+// strings, so no shared string table is needed, and the zip entries are
+// stored uncompressed, so no deflate implementation is needed either. Excel,
+// LibreOffice and Google Sheets all open the result.
+//
+// Dates are `{ date: Date, time: boolean }` cells, written as spreadsheet
+// serial numbers in the browser's local time with a dd/mm/yyyy (hh:mm)
+// number format, the formats the DatePicker hooks show by default.
+//
+// readXlsx returns the first worksheet as rows of strings, numbers and
+// booleans. Cells formatted as dates come back as "YYYY-MM-DD" or
+// "YYYY-MM-DD HH:MM:SS" strings rather than serial numbers. Files written by
+// spreadsheet programs are deflated, which needs DecompressionStream (all
+// current browsers).
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MIME =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Style indexes into cellXfs in styles.xml below.
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+const STYLE_DATETIME = 3;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+// "A", "B", ... "Z", "AA", ...
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Days since 1899-12-30, with the local wall-clock time as the fraction.
+function dateSerial(date) {
+  const wallTime = Date.UTC(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds()
+  );
+  return (wallTime - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+function cellXml(value, ref, header) {
+  if (value === null || value === undefined || value === "") return "";
+  if (header) {
+    return `<c r="${ref}" t="inlineStr" s="${STYLE_HEADER}"><is><t>${escapeXml(
+      value
+    )}</t></is></c>`;
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (value && value.date instanceof Date) {
+    const style = value.time ? STYLE_DATETIME : STYLE_DATE;
+    return `<c r="${ref}" s="${style}"><v>${dateSerial(value.date)}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    value
+  )}</t></is></c>`;
+}
+
+function sheetXml(rows) {
+  const body = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`, r === 0))
+        .join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+
+  return (
+    XML_HEADER +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${body}</sheetData></worksheet>`
+  );
+}
+
+const STYLES =
+  XML_HEADER +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="2"><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/>' +
+  '<numFmt numFmtId="165" formatCode="dd/mm/yyyy hh:mm"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+  '<fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+  "</styleSheet>";
+
+function workbookParts(rows, sheetName) {
+  // Sheet names are at most 31 characters and cannot contain []:*?/\
+  const name = escapeXml(
+    String(sheetName || "Sheet1")
+      .replace(/[[\]:*?/\\]/g, " ")
+      .slice(0, 31)
+  );
+
+  return {
+    "[Content_Types].xml":
+      XML_HEADER +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      "</Types>",
+    "_rels/.rels":
+      XML_HEADER +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      "</Relationships>",
+    "xl/workbook.xml":
+      XML_HEADER +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels":
+      XML_HEADER +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      "</Relationships>",
+    "xl/styles.xml": STYLES,
+    "xl/worksheets/sheet1.xml": sheetXml(rows),
+  };
+}
+
+// Zip (stored entries only)
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function zip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime =
+    (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate =
+    ((now.getFullYear() - 1980) << 9) |
+    ((now.getMonth() + 1) << 5) |
+    now.getDate();
+
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([path, content]) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true); // version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+
+    chunks.push(local, name, data);
+    central.push(entry, name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, central.length / 2, true);
+  end.setUint16(10, central.length / 2, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...chunks, ...central, end], { type: MIME });
+}
+
+/**
+ * Builds an .xlsx Blob from rows of cells; the first row is the header.
+ */
+export function buildXlsx(rows, { sheetName } = {}) {
+  return zip(workbookParts(rows, sheetName));
+}
+
+// Reading
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+// Built-in number formats that show dates or times.
+const DATE_FORMAT_IDS = new Set([
+  14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47,
+]);
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Reads the entries of a zip through its central directory.
+async function unzip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  let end = view.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error("not a zip file");
+
+  const files = {};
+  let offset = view.getUint32(end + 16, true);
+  const count = view.getUint16(end + 10, true);
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) break;
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = decoder.decode(
+      bytes.subarray(offset + 46, offset + 46 + nameLength)
+    );
+
+    const dataStart =
+      local +
+      30 +
+      view.getUint16(local + 26, true) +
+      view.getUint16(local + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    files[name] = { method, data };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return async (name) => {
+    const file = files[name];
+    if (!file) return null;
+    if (file.method === 0) return decoder.decode(file.data);
+    if (file.method === 8) return decoder.decode(await inflate(file.data));
+    throw new Error(`unsupported zip compression ${file.method}`);
+  };
+}
+
+function parseXml(text) {
+  return new DOMParser().parseFromString(text, "application/xml");
+}
+
+function children(parent, name) {
+  return Array.from(parent.getElementsByTagNameNS(MAIN_NS, name));
+}
+
+// The text of a string item, joining rich text runs and skipping phonetics.
+function itemText(item) {
+  return children(item, "t")
+    .filter((t) => t.parentNode.localName !== "rPh")
+    .map((t) => t.textContent)
+    .join("");
+}
+
+// Which cell styles (cellXfs indexes) format numbers as dates.
+function dateStyles(stylesXml) {
+  if (!stylesXml) return new Set();
+  const doc = parseXml(stylesXml);
+  const custom = new Map(
+    children(doc, "numFmt").map((format) => [
+      Number(format.getAttribute("numFmtId")),
+      format.getAttribute("formatCode") || "",
+    ])
+  );
+  const isDateFormat = (id) => {
+    if (DATE_FORMAT_IDS.has(id)) return true;
+    const code = custom.get(id);
+    if (!code) return false;
+    // Ignore quoted text, escapes and [colour]/[$-locale] sections.
+    const bare = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, "");
+    return /[dmyhs]/i.test(bare);
+  };
+
+  const cellXfs = children(doc, "cellXfs")[0];
+  const styles = new Set();
+  if (cellXfs) {
+    children(cellXfs, "xf").forEach((xf, index) => {
+      if (isDateFormat(Number(xf.getAttribute("numFmtId")))) styles.add(index);
+    });
+  }
+  return styles;
+}
+
+// Time-only cells (serials below 1) become "HH:MM:SS".
+function serialToText(serial) {
+  const date = new Date(
+    Date.UTC(1899, 11, 30) + Math.round(serial * 86400) * 1000
+  );
+  const pad = (n) => String(n).padStart(2, "0");
+  const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(
+    date.getUTCDate()
+  )}`;
+  const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(
+    date.getUTCSeconds()
+  )}`;
+  if (Number.isInteger(serial)) return day;
+  return serial < 1 ? time : `${day} ${time}`;
+}
+
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref);
+  if (!letters) return null;
+  let index = 0;
+  for (const letter of letters[0])
+    index = index * 26 + letter.charCodeAt(0) - 64;
+  return index - 1;
+}
+
+// The path of the first worksheet, from the workbook and its relationships.
+async function firstSheetPath(read) {
+  const workbook = await read("xl/workbook.xml");
+  const rels = await read("xl/_rels/workbook.xml.rels");
+  if (workbook && rels) {
+    const sheet = children(parseXml(workbook), "sheet")[0];
+    const id = sheet && sheet.getAttributeNS(REL_NS, "id");
+    const rel = Array.from(
+      parseXml(rels).getElementsByTagName("Relationship")
+    ).find((r) => r.getAttribute("Id") === id);
+    if (rel) {
+      const target = rel.getAttribute("Target");
+      return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+    }
+  }
+  return "xl/worksheets/sheet1.xml";
+}
+
+/**
+ * Reads the first worksheet of an .xlsx file into rows of cell values.
+ * Empty cells are "", and rows are as long as the widest row.
+ */
+export async function readXlsx(buffer) {
+  const read = await unzip(buffer);
+  const sheetXml = await read(await firstSheetPath(read));
+  if (!sheetXml) throw new Error("the workbook has no worksheet");
+
+  const sharedXml = await read("xl/sharedStrings.xml");
+  const shared = sharedXml
+    ? children(parseXml(sharedXml), "si").map(itemText)
+    : [];
+  const dates = dateStyles(await read("xl/styles.xml"));
+
+  const rows = [];
+  let width = 0;
+  children(parseXml(sheetXml), "row").forEach((rowEl) => {
+    const rowIndex = Number(rowEl.getAttribute("r")) - 1 || rows.length;
+    const row = (rows[rowIndex] = []);
+    children(rowEl, "c").forEach((cell) => {
+      const column = columnIndex(cell.getAttribute("r") || "") ?? row.length;
+      const type = cell.getAttribute("t") || "n";
+      const v = children(cell, "v")[0];
+      const raw = v ? v.textContent : "";
+
+      let value = "";
+      if (type === "s") value = shared[Number(raw)] ?? "";
+      else if (type === "inlineStr")
+        value = children(cell, "is").map(itemText).join("");
+      else if (type === "b") value = raw === "1";
+      else if (type === "str" || type === "e" || type === "d") value = raw;
+      else if (raw !== "") {
+        const number = Number(raw);
+        value = dates.has(Number(cell.getAttribute("s")))
+          ? serialToText(number)
+          : number;
+      }
+      row[column] = value;
+    });
+    width = Math.max(width, row.length);
+  });
+
+  return Array.from(rows, (row = []) =>
+    Array.from({ length: width }, (_, i) => row[i] ?? "")
+  );
+}
@@ -96,3 +96,9 @@ config :phoexnip, :phoenix_swagger,
 config :phoenix_swagger, json_library: Jason
 
 config :phoexnip, Phoexnip.JobSchedulers, jobs: []
+
+# Browser errors and timings (PhoexnipWeb.ClientTelemetry). Timings come from
+# this share of page loads; error messages are scrubbed of these patterns.
+config :phoexnip, PhoexnipWeb.ClientTelemetry,
+  sample_rate: 1.0,
+  scrub: [~S"[\w.+-]+@[\w-]+(\.[\w-]+)+", ~S"\d{6,}"]
@@ -16,6 +16,9 @@ config :swoosh, api_client: Swoosh.ApiClient.Finch, finch_name: Phoexnip.Finch
 # Disable Swoosh Local Memory Storage
 config :swoosh, local: false
 
+# Report timings from one page load in ten
+config :phoexnip, PhoexnipWeb.ClientTelemetry, sample_rate: 0.1
+
 # Do not print debug messages in production
 config :logger, level: :info
 
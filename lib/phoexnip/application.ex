@@ -14,6 +14,7 @@ defmodule Phoexnip.Application do
         PhoexnipWeb.Presence,
         # Start the Finch HTTP client for sending emails
         {Finch, name: Phoexnip.Finch},
+        PhoexnipWeb.ClientTelemetry.RateLimit,
         # Start to serve requests, typically the last entry
         PhoexnipWeb.Endpoint,
         Phoexnip.JobSchedulers
@@ -15,8 +15,13 @@ defmodule Phoexnip.JobExecutor do
       mark it active and schedule it.
     * `stop_job_if_running/1` — check if a job is running; if so, mark it inactive
       and remove it from the scheduler.
+    * `reschedule_job_if_running/1` — check if a job is running; if so, schedule it
+      again with the cron expression now stored in the database.
+    * `job_timezone/0` — the time zone cron expressions are evaluated in.
   """
 
+  require Logger
+
   alias Phoexnip.Settings.Schedulers
   alias Phoexnip.CoreUtils.CommonService
 
@@ -79,7 +84,7 @@ defmodule Phoexnip.JobExecutor do
   @spec start_job_from_db(Schedulers.t()) :: :ok | :error
   def start_job_from_db(%Schedulers{} = scheduler) do
     cron_expression = scheduler.cron_expression
-    current_timezone = Timex.Timezone.local().full_name
+    current_timezone = job_timezone()
 
     case Map.get(@allowed_jobs, scheduler.name) do
       nil ->
@@ -104,6 +109,15 @@ defmodule Phoexnip.JobExecutor do
     end
   end
 
+  @doc """
+  Returns the time zone jobs are scheduled in: the server's local time zone,
+  so "0 2 * * *" runs at 02:00 on the server's clock.
+  """
+  @spec job_timezone() :: String.t()
+  def job_timezone do
+    Timex.Timezone.local().full_name
+  end
+
   @doc """
   Dynamically executes the function mapped to `task_name` in `@allowed_jobs`
   by calling zero‑arity functions in `Phoexnip.Jobs`.
@@ -213,4 +227,44 @@ defmodule Phoexnip.JobExecutor do
         end
     end
   end
+
+  @doc """
+  Applies the stored cron expression of the job identified by `job_name` if
+  it’s currently scheduled, so an edited schedule takes effect without a
+  stop and start:
+
+  1. Validates `job_name` against the whitelist.
+  2. Checks Phoexnip.JobSchedulers.find_job/1.
+  3. If running, fetches the scheduler, deletes the job from the scheduler and
+     adds it again with `start_job_from_db/1`.
+
+  Returns `:ok` if the job was rescheduled or is not running, or `:error` otherwise.
+  """
+  @spec reschedule_job_if_running(String.t()) :: :ok | :error
+  def reschedule_job_if_running(job_name) do
+    case Map.get(@allowed_jobs, job_name) do
+      nil ->
+        Logger.error("Invalid job name: #{job_name}")
+        :error
+
+      job_name_atom ->
+        case Phoexnip.JobSchedulers.find_job(job_name_atom) do
+          nil ->
+            :ok
+
+          _job ->
+            case CommonService.get_by(Schedulers, %{name: job_name}) do
+              nil ->
+                Logger.error("No scheduler found with the name #{job_name}.")
+                :error
+
+              scheduler ->
+                Phoexnip.JobSchedulers.delete_job(job_name_atom)
+                result = start_job_from_db(scheduler)
+                Logger.info("Job #{job_name} rescheduled with #{scheduler.cron_expression}.")
+                result
+            end
+        end
+    end
+  end
 end
@@ -7,7 +7,10 @@ defmodule Phoexnip.AuditLogService do
   or complex filters specific to audit logging.
   """
 
+  import Ecto.Query, warn: false
+
   alias Phoexnip.AuditLogs
+  alias Phoexnip.Repo
   alias Phoexnip.SearchUtils
   alias Phoexnip.CoreUtils.CommonService
 
@@ -63,6 +66,34 @@ defmodule Phoexnip.AuditLogService do
     result.entries
   end
 
+  @doc """
+  Counts the audit logs matching `args` (a `SearchUtils.search/1` filter map)
+  per UTC day of `inserted_at`, oldest first.
+
+  Days between the first and the last entry that have no entries are included
+  with a count of 0, so the result can be charted as it is.
+  """
+  @spec count_per_day(args :: %{optional(atom()) => any()}) :: [
+          {Date.t(), non_neg_integer()}
+        ]
+  def count_per_day(args) when is_map(args) do
+    counts =
+      SearchUtils.query(module: AuditLogs, args: args)
+      |> group_by([p], fragment("date(?)", p.inserted_at))
+      |> select([p], {fragment("date(?)", p.inserted_at), count()})
+      |> Repo.all()
+      |> Map.new()
+
+    case Map.keys(counts) do
+      [] ->
+        []
+
+      days ->
+        Date.range(Enum.min(days, Date), Enum.max(days, Date))
+        |> Enum.map(&{&1, Map.get(counts, &1, 0)})
+    end
+  end
+
   @doc """
   Creates an audit log entry, encoding maps as JSON strings and stamping `inserted_at`.
   Delegates persistence to `CommonService.create/2`.
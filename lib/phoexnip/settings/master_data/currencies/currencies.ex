@@ -6,6 +6,8 @@ defmodule Phoexnip.Masterdata.Currencies do
     * `:sort`          – integer sort order (must be unique)
     * `:code`          – string code (must be unique)
     * `:name`          – string name (must be unique)
+    * `:symbol`        – string symbol shown in amount fields (optional)
+    * `:decimal_places` – integer decimal places of amounts in the currency (0 to 6)
     * `:exchange_rate` – decimal exchange rate value (optional)
   """
 
@@ -19,6 +21,8 @@ defmodule Phoexnip.Masterdata.Currencies do
           sort: integer() | nil,
           code: String.t() | nil,
           name: String.t() | nil,
+          symbol: String.t() | nil,
+          decimal_places: integer() | nil,
           inserted_at: DateTime.t() | nil,
           updated_at: DateTime.t() | nil
         }
@@ -30,6 +34,8 @@ defmodule Phoexnip.Masterdata.Currencies do
     field :sort, :integer
     field :code, :string
     field :name, :string
+    field :symbol, :string
+    field :decimal_places, :integer, default: 2
 
     timestamps(type: :utc_datetime)
   end
@@ -49,7 +55,8 @@ defmodule Phoexnip.Masterdata.Currencies do
   def changeset(currencies, attrs) when is_map(attrs) do
     currencies
     |> cast(attrs, schema_casts())
-    |> validate_required([:sort, :code, :name])
+    |> validate_required([:sort, :code, :name, :decimal_places])
+    |> validate_number(:decimal_places, greater_than_or_equal_to: 0, less_than_or_equal_to: 6)
     |> unsafe_validate_unique(:sort, Phoexnip.Repo, message: "Sort must be unique")
     |> unsafe_validate_unique(:code, Phoexnip.Repo, message: "Code must be unique")
     |> unsafe_validate_unique(:name, Phoexnip.Repo, message: "Name must be unique")
@@ -74,7 +81,8 @@ defmodule Phoexnip.Masterdata.Currencies do
   def changeset_update(currencies, attrs) when is_map(attrs) do
     currencies
     |> cast(attrs, schema_casts())
-    |> validate_required([:sort, :code, :name])
+    |> validate_required([:sort, :code, :name, :decimal_places])
+    |> validate_number(:decimal_places, greater_than_or_equal_to: 0, less_than_or_equal_to: 6)
     |> unique_constraint(:sort, name: :master_data_currencies_sort_index)
     |> unique_constraint(:code, name: :master_data_currencies_code_index)
     |> unique_constraint(:name, name: :master_data_currencies_name_index)
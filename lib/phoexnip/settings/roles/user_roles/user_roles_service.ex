@@ -61,7 +61,8 @@ defmodule Phoexnip.UserRolesService do
 
   @doc """
   Builds a menu-like structure of user permissions grouped by level 0 and their children,
-  based on the highest permission per sitemap code.
+  based on the highest permission per sitemap code. Level 1 children carry their own
+  level 2 entries under `:children`, which the topbar renders as submenus.
 
   - For super users, includes all sitemap entries.
   - For regular users, derives permissions from assigned roles.
@@ -100,6 +101,7 @@ defmodule Phoexnip.UserRolesService do
           |> Enum.filter(fn %RolesPermission{sitemap_parent: parent, sitemap_level: lvl} ->
             lvl == 1 and parent == code
           end)
+          |> Enum.map(&with_level_two_children(&1, highest_permission_per_code))
 
         %{
           permission: level0.permission,
@@ -133,6 +135,7 @@ defmodule Phoexnip.UserRolesService do
           |> Enum.filter(fn %RolesPermission{sitemap_parent: parent, sitemap_level: lvl} ->
             lvl == 1 and parent == code
           end)
+          |> Enum.map(&with_level_two_children(&1, highest_permission_per_code))
 
         %{
           permission: level0.permission,
@@ -191,5 +194,18 @@ defmodule Phoexnip.UserRolesService do
     end
   end
 
+  # Internal: attach the level 2 entries below a level 1 permission
+  @spec with_level_two_children(RolesPermission.t(), [RolesPermission.t()]) :: map()
+  defp with_level_two_children(%RolesPermission{sitemap_code: code} = level1, permissions) do
+    children =
+      permissions
+      |> Enum.filter(fn %RolesPermission{sitemap_parent: parent, sitemap_level: lvl} ->
+        lvl == 2 and parent == code
+      end)
+      |> Enum.sort_by(& &1.sequence)
+
+    Map.put(level1, :children, children)
+  end
+
   # All generic CRUD for UserRoles should be done via CommonService.
 end
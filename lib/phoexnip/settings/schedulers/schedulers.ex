@@ -4,7 +4,8 @@ defmodule Phoexnip.Settings.Schedulers do
 
   Each record has three fields (name, cron_expression, status) and supports:
 
-    * `changeset/2` – for creating or updating records (validates presence of all fields)
+    * `changeset/2` – for creating or updating records (validates presence of all fields
+      and that the cron expression parses)
   """
 
   use Ecto.Schema
@@ -37,12 +38,25 @@ defmodule Phoexnip.Settings.Schedulers do
   @doc """
   Builds a changeset for creating or updating a `%Schedulers{}`.
 
-  Casts all schema fields and ensures required fields are present.
+  Casts all schema fields, ensures required fields are present and that
+  `cron_expression` is a repeating schedule `Crontab` can parse.
   """
   @spec changeset(t(), map()) :: Ecto.Changeset.t()
   def changeset(scheduler, attrs) when is_map(attrs) do
     scheduler
     |> cast(attrs, schema_fields())
     |> validate_required([:name, :cron_expression, :status])
+    |> validate_change(:cron_expression, fn :cron_expression, expression ->
+      case Crontab.CronExpression.Parser.parse(expression) do
+        {:ok, %Crontab.CronExpression{reboot: true}} ->
+          [cron_expression: "must repeat, @reboot is not supported"]
+
+        {:ok, _cron} ->
+          []
+
+        {:error, reason} ->
+          [cron_expression: "is not a valid cron expression: #{reason}"]
+      end
+    end)
   end
 end
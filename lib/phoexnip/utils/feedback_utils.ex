@@ -0,0 +1,43 @@
+defmodule Phoexnip.FeedbackUtils do
+  @moduledoc """
+  Utility functions for raising haptic and audible feedback on the client from a LiveView.
+
+  Feedback is played by `assets/js/feedback.js`, as far as the user has vibration and
+  sounds switched on in the account menu. Toasts (`Phoexnip.ToastUtils.push_toast/4`),
+  flashes and forms that come back with field errors already raise it; this is for
+  outcomes that show neither, such as a scan accepted or refused.
+
+  This module provides:
+
+    * `push_feedback/2` – play a feedback event on the client.
+  """
+
+  import Phoenix.LiveView, only: [push_event: 3]
+
+  @type event :: :success | :warning | :error | :selection | :date
+
+  @doc """
+  Pushes a feedback event to the client.
+
+  ## Parameters
+
+    * `socket` — the LiveView (or LiveComponent) socket.
+    * `event` — `:success`, `:warning`, `:error`, `:selection` or `:date`; picks the
+      vibration pattern and tones.
+
+  ## Returns
+
+    * The socket with the `"feedback"` event queued.
+
+  ## Examples
+
+      socket
+      |> push_feedback(:error)
+  """
+  @spec push_feedback(socket :: Phoenix.LiveView.Socket.t(), event :: event()) ::
+          Phoenix.LiveView.Socket.t()
+  def push_feedback(socket, event)
+      when event in [:success, :warning, :error, :selection, :date] do
+    push_event(socket, "feedback", %{event: event})
+  end
+end
@@ -8,6 +8,10 @@ defmodule Phoexnip.ImportUtils do
       into a UTC `DateTime`; returns `{:ok, datetime}` or `nil`.
     * `parse_date!/1` — Convert supported inputs into a `Date`, returning `nil` on failure.
     * `parse_to_string/1` — Render floats, integers, binaries, lists, booleans, `DateTime`/`Date` into string form.
+    * `parse_import_value/2` — Parse one imported cell as a field type, rejecting values the
+      lenient parsers above would silently turn into `0`, `nil` or a truncated number.
+    * `cast_import_row/2` — Parse a mapped import row against a list of field definitions.
+    * `import_rows/3` — Insert mapped import rows in one transaction, all or nothing.
     * `preload_all/3` — Recursively generate Ecto preload specifications (excluding `belongs_to`),
       with optional ordering per association.
     * `reset_upload/2` — Clear all entries from a LiveView upload config.
@@ -21,6 +25,8 @@ defmodule Phoexnip.ImportUtils do
 
   import Phoenix.LiveView.Upload
 
+  alias Phoexnip.Repo
+
   @doc """
   Parses a numeric or numeric-like string input to a `DateTime` in UTC, using an Excel serial date format.
 
@@ -544,6 +550,150 @@ defmodule Phoexnip.ImportUtils do
     value |> String.trim()
   end
 
+  @doc """
+  Parses one imported cell as `type`, returning `{:error, message}` when the value
+  cannot be read as that type.
+
+  The parsers above never fail: `parse_to_decimal("1,5")` is `1` and
+  `parse_to_boolean("y")` is `nil`. Imports must reject such cells instead, so
+  this accepts only values the parsers read completely. The browser-side import
+  preview (`assets/js/hooks/import_preview.js`) applies the same rules to flag
+  cells before anything is sent; keep the two in step.
+
+  ## Types
+
+    * `:string` — anything; trimmed via `parse_to_string/1`.
+    * `:integer` — whole numbers, or decimals, which `parse_to_integer/1` rounds.
+    * `:float`, `:decimal` — plain numbers; no thousands separators or units.
+    * `:boolean` — `true`/`false`, `yes`/`no`, `1`/`0` (see `parse_to_boolean/1`).
+    * `:date`, `:datetime` — Excel serial dates and the formats of `parse_datetime/1`.
+    * `:time` — ISO 8601 times such as `"08:30:00"` (see `parse_to_time/1`).
+
+  Blank cells (`nil` or whitespace) are `{:ok, nil}`.
+
+  ## Examples
+
+      iex> parse_import_value(:decimal, "10.5")
+      {:ok, Decimal.new("10.5")}
+
+      iex> parse_import_value(:decimal, "1,234.5")
+      {:error, "is not a number"}
+
+      iex> parse_import_value(:date, "31/01/2022")
+      {:ok, ~D[2022-01-31]}
+
+      iex> parse_import_value(:boolean, "")
+      {:ok, nil}
+  """
+  @spec parse_import_value(type :: atom(), value :: any()) :: {:ok, any()} | {:error, String.t()}
+  def parse_import_value(type, value) do
+    if blank_import_value?(value) do
+      {:ok, nil}
+    else
+      do_parse_import_value(type, if(is_binary(value), do: String.trim(value), else: value))
+    end
+  end
+
+  @doc """
+  Parses a mapped import row (field name => cell) against field definitions.
+
+  Each field is a map with a `:name` (string), a `:type` accepted by
+  `parse_import_value/2` and optionally `required: true`. Cells of fields that
+  are not defined are dropped.
+
+  ## Returns
+
+    * `{:ok, attrs}` — a map of field name => parsed value, for a changeset.
+    * `{:error, errors}` — a list of `{field_name, message}` for every bad cell.
+
+  ## Examples
+
+      iex> fields = [%{name: "sort", type: :integer, required: true}, %{name: "code", type: :string}]
+      iex> cast_import_row(%{"sort" => "10", "code" => "MYR"}, fields)
+      {:ok, %{"sort" => 10, "code" => "MYR"}}
+
+      iex> cast_import_row(%{"sort" => "ten"}, fields)
+      {:error, [{"sort", "is not a whole number"}]}
+  """
+  @spec cast_import_row(row :: map(), fields :: [map()]) ::
+          {:ok, map()} | {:error, [{String.t(), String.t()}]}
+  def cast_import_row(row, fields) when is_map(row) do
+    {attrs, errors} =
+      Enum.reduce(fields, {%{}, []}, fn field, {attrs, errors} ->
+        name = to_string(field.name)
+
+        case parse_import_value(field.type, Map.get(row, name)) do
+          {:ok, nil} ->
+            if Map.get(field, :required, false),
+              do: {attrs, [{name, "is required"} | errors]},
+              else: {Map.put(attrs, name, nil), errors}
+
+          {:ok, value} ->
+            {Map.put(attrs, name, value), errors}
+
+          {:error, message} ->
+            {attrs, [{name, message} | errors]}
+        end
+      end)
+
+    if errors == [], do: {:ok, attrs}, else: {:error, Enum.reverse(errors)}
+  end
+
+  @doc """
+  Imports mapped rows in a single transaction: every row is inserted, or none.
+
+  Each row is parsed with `cast_import_row/2` and the resulting attributes are
+  passed to `insert`, which returns `{:ok, record}` or `{:error, changeset}`.
+  Every row is tried so that all problems are reported at once, which needs
+  the insert to run in a savepoint: on Postgres a failed statement otherwise
+  aborts the whole transaction.
+
+  ## Returns
+
+    * `{:ok, records}` — the inserted records, in row order.
+    * `{:error, errors}` — nothing was inserted; a list of
+      `%{index: row_index, field: name | nil, message: text}`, `row_index`
+      being the position in `rows`.
+
+  ## Examples
+
+      iex> import_rows(rows, fields, fn attrs ->
+      ...>   %Currencies{} |> Currencies.changeset(attrs) |> Repo.insert(mode: :savepoint)
+      ...> end)
+      {:ok, [%Currencies{}, ...]}
+  """
+  @spec import_rows(
+          rows :: [map()],
+          fields :: [map()],
+          insert :: (map() -> {:ok, struct()} | {:error, Ecto.Changeset.t()})
+        ) :: {:ok, [struct()]} | {:error, [map()]}
+  def import_rows(rows, fields, insert) when is_list(rows) and is_function(insert, 1) do
+    Repo.transaction(fn ->
+      {records, errors} =
+        rows
+        |> Enum.with_index()
+        |> Enum.reduce({[], []}, fn {row, index}, {records, errors} ->
+          with {:ok, attrs} <- cast_import_row(row, fields),
+               {:ok, record} <- insert.(attrs) do
+            {[record | records], errors}
+          else
+            {:error, %Ecto.Changeset{} = changeset} ->
+              {records, Enum.reverse(changeset_import_errors(changeset, index)) ++ errors}
+
+            {:error, cell_errors} ->
+              row_errors =
+                Enum.map(cell_errors, fn {field, message} ->
+                  %{index: index, field: field, message: message}
+                end)
+
+              {records, Enum.reverse(row_errors) ++ errors}
+          end
+        end)
+
+      if errors == [], do: Enum.reverse(records), else: Repo.rollback(Enum.reverse(errors))
+    end)
+  end
+
   @doc """
   Recursively generates a list of associations for preloading from the given Ecto schema,
   excluding `belongs_to` associations, and optionally applying `order_by` on any child.
@@ -634,4 +784,89 @@ defmodule Phoexnip.ImportUtils do
       socket
     end
   end
+
+  defp changeset_import_errors(changeset, index) do
+    changeset
+    |> Phoexnip.ControllerUtils.convert_changeset_errors_to_json()
+    |> Enum.flat_map(fn {field, messages} ->
+      Enum.map(List.wrap(messages), fn message ->
+        %{index: index, field: to_string(field), message: message}
+      end)
+    end)
+  end
+
+  defp blank_import_value?(nil), do: true
+  defp blank_import_value?(value) when is_binary(value), do: String.trim(value) == ""
+  defp blank_import_value?(_value), do: false
+
+  defp do_parse_import_value(:string, value), do: {:ok, parse_to_string(value)}
+
+  defp do_parse_import_value(:integer, value) when is_number(value),
+    do: {:ok, parse_to_integer(value)}
+
+  defp do_parse_import_value(:integer, value) when is_binary(value) do
+    if String.match?(value, ~r/^[+-]?\d+(\.\d+)?$/),
+      do: {:ok, parse_to_integer(value)},
+      else: {:error, "is not a whole number"}
+  end
+
+  defp do_parse_import_value(:float, value) when is_number(value),
+    do: {:ok, parse_to_float(value)}
+
+  defp do_parse_import_value(:float, value) when is_binary(value) do
+    case Float.parse(value) do
+      {float, ""} -> {:ok, float}
+      _ -> {:error, "is not a number"}
+    end
+  end
+
+  defp do_parse_import_value(:decimal, value) when is_number(value),
+    do: {:ok, parse_to_decimal(value)}
+
+  defp do_parse_import_value(:decimal, value) when is_binary(value) do
+    case Decimal.parse(value) do
+      {decimal, ""} ->
+        if Decimal.inf?(decimal) or Decimal.nan?(decimal),
+          do: {:error, "is not a number"},
+          else: {:ok, decimal}
+
+      _ ->
+        {:error, "is not a number"}
+    end
+  end
+
+  defp do_parse_import_value(:boolean, value) do
+    case parse_to_boolean(value) do
+      nil -> {:error, "is not yes/no, true/false or 1/0"}
+      boolean -> {:ok, boolean}
+    end
+  end
+
+  # Excel serials arrive as JSON integers for whole days.
+  defp do_parse_import_value(type, value)
+       when type in [:date, :datetime] and is_integer(value),
+       do: do_parse_import_value(type, value / 1)
+
+  defp do_parse_import_value(:datetime, value) do
+    case parse_datetime(value) do
+      {:ok, %DateTime{} = datetime} -> {:ok, datetime}
+      _ -> {:error, "is not a date and time"}
+    end
+  end
+
+  defp do_parse_import_value(:date, value) do
+    case parse_datetime(value) do
+      {:ok, %DateTime{} = datetime} -> {:ok, DateTime.to_date(datetime)}
+      _ -> {:error, "is not a date"}
+    end
+  end
+
+  defp do_parse_import_value(:time, value) do
+    case parse_to_time(value) do
+      nil -> {:error, "is not a time"}
+      time -> {:ok, time}
+    end
+  end
+
+  defp do_parse_import_value(_type, _value), do: {:error, "is not valid"}
 end
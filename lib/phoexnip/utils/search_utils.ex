@@ -40,19 +40,49 @@ defmodule Phoexnip.SearchUtils do
   def search(opts) do
     # Extract options
     module = Keyword.fetch!(opts, :module)
-    args = Keyword.get(opts, :args, %{})
     pagination = Keyword.get(opts, :pagination, %{})
-    use_or = Keyword.get(opts, :use_or, false)
-    drop_args = Keyword.get(opts, :drop_args, [])
     order_by = Keyword.get(opts, :order_by, :id)
-    user_timezone = Keyword.get(opts, :user_timezone, "Etc/UTC")
     preload = Keyword.get(opts, :preload, [])
     order_method = Keyword.get(opts, :order_method, :asc)
     distinct = Keyword.get(opts, :distinct, false)
 
-    ctx = %{module: module, user_timezone: user_timezone, use_or: use_or}
     normalized_order_by = normalize_order_by(order_by, order_method)
 
+    {query, joined} = filter_query(opts)
+    {final_query, count_query} = prepare_final_query(query, joined, normalized_order_by, distinct)
+
+    execute_query(final_query, count_query, pagination, preload, module, distinct)
+  end
+
+  @doc """
+  Builds the filtered query that `search/1` runs, without ordering or pagination,
+  for callers that group or aggregate the matches in the database instead of
+  loading them. Takes the `:module`, `:args`, `:use_or`, `:drop_args` and
+  `:user_timezone` options of `search/1`; the schema is bound as `:p`.
+  """
+  @spec query(
+          opts :: [
+            module: module(),
+            args: %{optional(atom()) => any()},
+            use_or: boolean(),
+            drop_args: [atom()],
+            user_timezone: String.t()
+          ]
+        ) :: Ecto.Query.t()
+  def query(opts) do
+    {query, _joined} = filter_query(opts)
+    query
+  end
+
+  defp filter_query(opts) do
+    module = Keyword.fetch!(opts, :module)
+    args = Keyword.get(opts, :args, %{})
+    use_or = Keyword.get(opts, :use_or, false)
+    drop_args = Keyword.get(opts, :drop_args, [])
+    user_timezone = Keyword.get(opts, :user_timezone, "Etc/UTC")
+
+    ctx = %{module: module, user_timezone: user_timezone, use_or: use_or}
+
     # Clean and parse arguments, then extract special filter keys
     cleaned_args = clean_and_parse_args(args, drop_args)
     {or_filters, remaining} = Map.pop(cleaned_args, :_or)
@@ -63,10 +93,7 @@ defmodule Phoexnip.SearchUtils do
 
     {query, joined} = apply_filters(remaining, base_query, ctx)
     {query, joined} = apply_or_filters(or_filters, query, joined, ctx)
-    {query, joined} = apply_multi_or_filters(multi_or_filters, query, joined, ctx)
-    {final_query, count_query} = prepare_final_query(query, joined, normalized_order_by, distinct)
-
-    execute_query(final_query, count_query, pagination, preload, module, distinct)
+    apply_multi_or_filters(multi_or_filters, query, joined, ctx)
   end
 
   defp clean_and_parse_args(args, drop_args) do
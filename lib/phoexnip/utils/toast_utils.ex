@@ -0,0 +1,70 @@
+defmodule Phoexnip.ToastUtils do
+  @moduledoc """
+  Utility functions for pushing client-side toast notifications from a LiveView.
+
+  Toasts are rendered by the `Toasts` hook (`assets/js/hooks/toasts.js`) mounted in
+  the app layout. Unlike `put_flash/3`, toasts pushed in a row stack instead of
+  replacing each other, and each can carry an action button (such as "Undo") that
+  pushes an event back to the LiveView.
+
+  This module provides:
+
+    * `push_toast/4` – queue a toast on the client.
+  """
+
+  import Phoenix.LiveView, only: [push_event: 3]
+
+  @type kind :: :info | :error | :warning
+
+  @default_titles %{info: "Success!", error: "Error!", warning: "Warning"}
+  @default_durations %{info: 5000, error: 8000, warning: 8000}
+
+  @doc """
+  Pushes a toast notification to the client.
+
+  ## Parameters
+
+    * `socket` — the LiveView (or LiveComponent) socket.
+    * `kind` — `:info`, `:error` or `:warning`; picks the colours, icon and defaults.
+    * `msg` — the message text.
+    * `opts` — keyword list of options:
+      - `:title` — heading text, defaults to the same titles as `flash_group/1`.
+      - `:icon` — heroicon name, defaults per kind; `nil` hides it.
+      - `:duration` — milliseconds before it dismisses itself, `0` keeps it until closed.
+        Defaults to 5000 for `:info` and 8000 otherwise.
+      - `:action` — `%{label: "Undo", event: "undo_delete", value: %{id: id}}`; clicking
+        the button pushes `event` with `value` to the LiveView and closes the toast.
+
+  ## Returns
+
+    * The socket with the `"toast"` event queued.
+
+  ## Examples
+
+      socket
+      |> push_toast(:info, "Currency deleted.",
+        action: %{label: "Undo", event: "undo_delete", value: %{id: currency.id}}
+      )
+  """
+  @spec push_toast(
+          socket :: Phoenix.LiveView.Socket.t(),
+          kind :: kind(),
+          msg :: String.t(),
+          opts :: keyword()
+        ) :: Phoenix.LiveView.Socket.t()
+  def push_toast(socket, kind, msg, opts \\ []) do
+    payload =
+      %{
+        kind: kind,
+        msg: msg,
+        title: Keyword.get(opts, :title, @default_titles[kind]),
+        duration: Keyword.get(opts, :duration, @default_durations[kind]),
+        action: Keyword.get(opts, :action)
+      }
+      |> then(fn payload ->
+        if Keyword.has_key?(opts, :icon), do: Map.put(payload, :icon, opts[:icon]), else: payload
+      end)
+
+    push_event(socket, "toast", payload)
+  end
+end
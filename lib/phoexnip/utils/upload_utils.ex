@@ -11,7 +11,7 @@ defmodule Phoexnip.UploadUtils do
   ## Configuration
 
     * `@max_file_size` – 8 MB default upload limit.
-    * `@allowed_extensions` – `[".jpg", ".jpeg", ".png", ".gif"]` by default.
+    * `@allowed_extensions` – `[".jpg", ".jpeg", ".png", ".gif", ".webp"]` by default.
     * `@static_root` – application’s `priv/static` directory.
 
   ## Key Functions
@@ -45,7 +45,7 @@ defmodule Phoexnip.UploadUtils do
   # List of allowed extensions
   @max_file_size 8 * 1024 * 1024
   @max_probe_bytes 2048
-  @allowed_extensions [".jpg", ".jpeg", ".png", ".gif"]
+  @allowed_extensions [".jpg", ".jpeg", ".png", ".gif", ".webp"]
   @safe_path_segment ~r/\A[a-zA-Z0-9_-]+\z/
   @static_root Application.app_dir(:phoexnip, "priv/static") |> Path.expand()
   @upload_root Path.join(@static_root, "uploads") |> Path.expand()
@@ -0,0 +1,183 @@
+defmodule PhoexnipWeb.ClientTelemetry do
+  @moduledoc """
+  Browser errors and timings as `:telemetry` events.
+
+  `assets/js/telemetry.js` batches what it sees in the browser and sends it with
+  `sendBeacon` to `PhoexnipWeb.ClientTelemetryController`, which hands it to
+  `emit/2`. Each entry becomes one event:
+
+    * `[:phoexnip, :client, :error]` – `%{count: 1}`, with `:kind` (`"error"`,
+      `"rejection"` or `"hook"`), `:hook`, `:callback`, `:message`, `:stack` and `:source`.
+    * `[:phoexnip, :client, :latency]` – `%{duration: ms}` of a LiveView event round
+      trip, with `:event`.
+    * `[:phoexnip, :client, :page_loading]` – `%{duration: ms}` from
+      `phx:page-loading-start` to `-stop`, with `:kind`.
+    * `[:phoexnip, :client, :web_vital]` – `%{value: value}`, with `:name` (`"TTFB"`,
+      `"LCP"`, `"CLS"` or `"INP"`).
+
+  All of them carry `:route`, the router path the page was on (`"/users/:id/edit"`),
+  so record ids in the URL are never passed on. The metrics are listed in
+  `PhoexnipWeb.Telemetry` and errors are logged by `log_error/4`.
+
+  At most 20 distinct errors of a request are emitted, as telemetry.js reports
+  no more than that per page load, and `PhoexnipWeb.ClientTelemetry.RateLimit`
+  limits how often one address may send.
+
+  ## Configuration
+
+      config :phoexnip, PhoexnipWeb.ClientTelemetry,
+        sample_rate: 0.1,
+        scrub: [~S"[\\w.+-]+@[\\w-]+(\\.[\\w-]+)+", ~S"\\d{6,}"]
+
+    * `:sample_rate` – the share of page loads that report timings, from 0 to 1.
+      Errors are always reported.
+    * `:scrub` – regular expressions (as strings) for personal data in error
+      messages and stacks, replaced by `"[scrubbed]"`. They are compiled on first
+      use and kept in `:persistent_term`.
+  """
+  require Logger
+
+  @types %{
+    "error" => :error,
+    "latency" => :latency,
+    "page_loading" => :page_loading,
+    "web_vital" => :web_vital
+  }
+
+  # Matches the queue limit of telemetry.js; more is not from our script.
+  @max_events 100
+  # Matches MAX_ERRORS of telemetry.js.
+  @max_errors 20
+  @max_text_length 4000
+
+  @doc """
+  The share of page loads that report timings, rendered into the root layout.
+  """
+  @spec sample_rate() :: number()
+  def sample_rate, do: Keyword.get(config(), :sample_rate, 1.0)
+
+  @doc """
+  Emits a `:telemetry` event for each entry sent by the browser. Entries of an
+  unknown type or with missing measurements are dropped.
+
+  ## Parameters
+
+    * `entries` — the decoded list sent by `telemetry.js`.
+    * `host` — the request host, to match paths against the router.
+  """
+  @spec emit(entries :: list(), host :: String.t()) :: :ok
+  def emit(entries, host) when is_list(entries) do
+    entries
+    |> Enum.take(@max_events)
+    |> distinct_errors()
+    |> Enum.each(fn entry ->
+      with %{"type" => type} when is_map_key(@types, type) <- entry,
+           event = @types[type],
+           {:ok, measurements, metadata} <- parse(event, entry) do
+        metadata = Map.put(metadata, :route, route(entry["path"], host))
+        :telemetry.execute([:phoexnip, :client, event], measurements, metadata)
+      end
+    end)
+  end
+
+  @doc """
+  Logs browser errors, attached to `[:phoexnip, :client, :error]` by
+  `PhoexnipWeb.Telemetry`.
+  """
+  def log_error(_event, _measurements, metadata, _config) do
+    where = if metadata.hook, do: " in hook #{metadata.hook}.#{metadata.callback}", else: ""
+    stack = if metadata.stack, do: "\n" <> metadata.stack, else: ""
+
+    Logger.warning(
+      "Browser #{metadata.kind} on #{metadata.route}#{where}: #{metadata.message}#{stack}"
+    )
+  end
+
+  # Drops repeated errors and those past @max_errors, keeping other entries.
+  defp distinct_errors(entries) do
+    {kept, _seen} =
+      Enum.flat_map_reduce(entries, MapSet.new(), fn
+        %{"type" => "error"} = entry, seen ->
+          key = {entry["kind"], entry["hook"], entry["callback"], entry["message"]}
+
+          if MapSet.member?(seen, key) or MapSet.size(seen) >= @max_errors,
+            do: {[], seen},
+            else: {[entry], MapSet.put(seen, key)}
+
+        entry, seen ->
+          {[entry], seen}
+      end)
+
+    kept
+  end
+
+  defp parse(:error, entry) do
+    {:ok, %{count: 1},
+     %{
+       kind: text(entry["kind"]) || "error",
+       hook: text(entry["hook"]),
+       callback: text(entry["callback"]),
+       message: scrub(entry["message"]),
+       stack: scrub(entry["stack"]),
+       source: scrub(entry["source"])
+     }}
+  end
+
+  defp parse(:latency, %{"duration" => duration} = entry) when is_number(duration) do
+    {:ok, %{duration: duration}, %{event: text(entry["event"])}}
+  end
+
+  defp parse(:page_loading, %{"duration" => duration} = entry) when is_number(duration) do
+    {:ok, %{duration: duration}, %{kind: text(entry["kind"])}}
+  end
+
+  defp parse(:web_vital, %{"name" => name, "value" => value}) when is_number(value) do
+    {:ok, %{value: value}, %{name: text(name)}}
+  end
+
+  defp parse(_type, _entry), do: :error
+
+  defp route(path, host) when is_binary(path) do
+    case Phoenix.Router.route_info(PhoexnipWeb.Router, "GET", path, host) do
+      %{route: route} -> route
+      :error -> "unknown"
+    end
+  end
+
+  defp route(_path, _host), do: "unknown"
+
+  defp scrub(value) do
+    case text(value) do
+      nil ->
+        nil
+
+      text ->
+        Enum.reduce(scrub_patterns(), text, fn regex, acc ->
+          Regex.replace(regex, acc, "[scrubbed]")
+        end)
+    end
+  end
+
+  # Compiled once: a Regex cannot be a module attribute, and the patterns may
+  # come from runtime config.
+  defp scrub_patterns do
+    key = {__MODULE__, :scrub}
+
+    case :persistent_term.get(key, nil) do
+      nil ->
+        patterns = config() |> Keyword.get(:scrub, []) |> Enum.map(&Regex.compile!/1)
+        :persistent_term.put(key, patterns)
+        patterns
+
+      patterns ->
+        patterns
+    end
+  end
+
+  defp text(value) when is_binary(value) and value != "",
+    do: String.slice(value, 0, @max_text_length)
+
+  defp text(_value), do: nil
+
+  defp config, do: Application.get_env(:phoexnip, __MODULE__, [])
+end
@@ -0,0 +1,47 @@
+defmodule PhoexnipWeb.ClientTelemetry.RateLimit do
+  @moduledoc """
+  Limits how often one address may post to `/telemetry`, which needs no login.
+
+  `PhoexnipWeb.ClientTelemetryController` counts each request in an ETS table
+  keyed by the remote IP. The counts are cleared every minute, and requests over
+  the limit within that minute are dropped.
+  """
+
+  use GenServer
+
+  @table __MODULE__
+  @window :timer.minutes(1)
+  # telemetry.js sends a batch every 10 seconds and when the page is hidden, so
+  # a few tabs behind one address stay well within this.
+  @max_requests 60
+
+  @doc """
+  Starts the `PhoexnipWeb.ClientTelemetry.RateLimit` GenServer, which owns the table.
+  """
+  @spec start_link(term()) :: GenServer.on_start()
+  def start_link(_args) do
+    GenServer.start_link(__MODULE__, :ok, name: __MODULE__)
+  end
+
+  @doc """
+  Counts a request from `key` and returns whether it is within the limit.
+  """
+  @spec allow?(term()) :: boolean()
+  def allow?(key) do
+    :ets.update_counter(@table, key, {2, 1}, {key, 0}) <= @max_requests
+  end
+
+  @impl true
+  def init(_) do
+    :ets.new(@table, [:named_table, :public, :set, write_concurrency: true])
+    Process.send_after(self(), :reset, @window)
+    {:ok, []}
+  end
+
+  @impl true
+  def handle_info(:reset, state) do
+    :ets.delete_all_objects(@table)
+    Process.send_after(self(), :reset, @window)
+    {:noreply, state}
+  end
+end
@@ -76,6 +76,7 @@ defmodule PhoexnipWeb.CoreComponents do
           <div class="w-full h-full flex items-center justify-center p-4">
             <.focus_wrap
               id={"#{@id}-container"}
+              data-floating-boundary
               phx-window-keydown={JS.exec("data-cancel", to: "##{@id}")}
               phx-key="escape"
               phx-click-away={JS.exec("data-cancel", to: "##{@id}")}
@@ -145,6 +146,7 @@ defmodule PhoexnipWeb.CoreComponents do
           <div class={"max-w-[83%] p-4 " <> @class}>
             <.focus_wrap
               id={"#{@id}-container"}
+              data-floating-boundary
               phx-window-keydown={JS.exec("data-cancel", to: "##{@id}")}
               phx-key="escape"
               phx-click-away={JS.exec("data-cancel", to: "##{@id}")}
@@ -215,6 +217,7 @@ defmodule PhoexnipWeb.CoreComponents do
           <div class={"max-w-8xl p-4 " <> @class}>
             <.focus_wrap
               id={"#{@id}-container"}
+              data-floating-boundary
               class="relative rounded-2xl p-14 shadow-lg ring-1 ring-themePrimary transition bg-page"
             >
               <!-- Modal close button (X) -->
@@ -254,6 +257,11 @@ defmodule PhoexnipWeb.CoreComponents do
   @doc """
   Renders dynamic flash notifications with optional icons, titles, and auto-dismiss.
 
+  Flashes with a `duration` are handed to the client-side toast stack by the
+  `FlashAutoDismiss` hook, so several of them can be shown at once. A map flash
+  may carry an `:action` (`%{label: "Undo", event: "undo_delete", value: %{id: id}}`)
+  rendered as a button that pushes `event` back to the LiveView.
+
   ## Examples
 
       <.flash kind={:info} flash={@flash} />
@@ -292,7 +300,8 @@ defmodule PhoexnipWeb.CoreComponents do
             msg: Map.get(flash_content, :msg),
             icon: Map.get(flash_content, :icon, a.icon || default_icon),
             duration: Map.get(flash_content, :duration, a.duration),
-            show_spinner: Map.get(flash_content, :show_spinner, a.show_spinner)
+            show_spinner: Map.get(flash_content, :show_spinner, a.show_spinner),
+            action: Map.get(flash_content, :action)
           })
         else
           kind = a.kind
@@ -311,7 +320,7 @@ defmodule PhoexnipWeb.CoreComponents do
                 value
             end
 
-          assign(a, icon: icon)
+          assign(a, icon: icon, action: nil)
         end
       end)
       |> assign_new(:id, fn -> "flash-#{assigns.kind}" end)
@@ -328,6 +337,10 @@ defmodule PhoexnipWeb.CoreComponents do
       phx-click={JS.push("lv:clear-flash", value: %{key: @kind}) |> hide("##{@id}")}
       phx-hook={if @duration, do: "FlashAutoDismiss"}
       data-duration={@duration}
+      data-kind={@kind}
+      data-action-label={@action && @action[:label]}
+      data-action-event={@action && @action[:event]}
+      data-action-value={@action && Jason.encode!(@action[:value] || %{})}
       role="alert"
       class={[
         "flash fixed top-2 right-2 mr-2 w-80 z-50 rounded-lg p-3 ring-1 shadow-lg",
@@ -370,15 +383,7 @@ defmodule PhoexnipWeb.CoreComponents do
       <.flash kind={:error} flash={@flash} title="Error!" duration={8000} />
       <.flash kind={:warning} flash={@flash} title="Warning" duration={8000} />
       <%!-- System Flash Presets --%>
-      <.flash
-        id="client-error"
-        kind={:error}
-        title="We can't find the internet"
-        show_spinner
-        phx-disconnected={show("#client-error")}
-        phx-connected={hide("#client-error")}
-        hidden
-      >Attempting to reconnect</.flash>
+      <%!-- Lost connections are shown by the connection indicator in the root layout --%>
       <.flash
         id="server-error"
         kind={:error}
@@ -525,9 +530,15 @@ defmodule PhoexnipWeb.CoreComponents do
 
   Supports various types: text, select, checkbox, textarea, number, radio, etc.
 
+  `type="amount"` is a decimal field formatted in the user's locale as it is
+  typed (the `NumberInput` hook), with the currency's symbol and decimal
+  places. The form still submits a plain value such as "-1234.50", which
+  `Phoexnip.ImportUtils.parse_to_decimal/1` reads.
+
   ## Examples
 
       <.input field={@form[:email]} type="email" />
+      <.input field={@form[:amount]} type="amount" currency={@currency} min="0" />
   """
   attr :id, :any, default: nil
   attr :name, :any
@@ -540,7 +551,8 @@ defmodule PhoexnipWeb.CoreComponents do
     default: "text",
     values:
       ~w(checkbox color date datetime-local email file month number password
-                range search select tel text textarea time url week radio-wrap radio-inline live-select)
+                range search select tel text textarea time url week radio-wrap radio-inline live-select
+                amount)
 
   attr :field, Phoenix.HTML.FormField,
     doc: "a form field struct retrieved from the form, for example: @form[:email]"
@@ -553,6 +565,19 @@ defmodule PhoexnipWeb.CoreComponents do
   attr :parent, :string, default: ""
   attr :disabled, :string, default: nil
 
+  attr :decimals, :integer,
+    default: nil,
+    doc: "amount only: the decimal places shown and submitted, by default the currency's"
+
+  attr :currency, :any,
+    default: nil,
+    doc: "amount only: a `%Currencies{}` whose symbol (or code) prefixes the field"
+
+  attr :counter, :boolean,
+    default: false,
+    doc:
+      "textarea only: show a live character count (and line count with data-max-rows) under the field"
+
   # Make sure to align this with valid_assigns in LiveSelect.Component module
   # deps/live_select/lib/live_select/component.ex
   @live_select_rest_global (if Code.ensure_loaded?(LiveSelect.Component) do
@@ -813,6 +838,92 @@ defmodule PhoexnipWeb.CoreComponents do
     """
   end
 
+  def input(%{type: "amount"} = assigns) do
+    render_as = assigns.render_as
+    errors = assigns.errors
+    has_error = render_as in ["enabled", "hidden", "hidden-enabled"]
+    store_input = render_as in ["enabled", "like-disabled", "hidden", "hidden-enabled"]
+    is_span = render_as in ["disabled", "like-disabled", "like-enabled"]
+    is_live = not is_span and not String.starts_with?(render_as, "hidden")
+    currency = assigns.currency
+
+    decimals = assigns.decimals || (currency && Map.get(currency, :decimal_places))
+    symbol = currency && (Map.get(currency, :symbol) || Map.get(currency, :code))
+
+    class = [
+      render_as in ["enabled", "like-enabled"] && "bg-surface cursor-pointer",
+      render_as in ["disabled", "like-disabled"] && "bg-disabledSurface cursor-not-allowed",
+      "text-right max-h-[2.75rem] block w-full rounded-lg text-foreground focus:ring-0 border-2",
+      "phx-no-feedback:border-muted phx-no-feedback:focus:border-themePrimary",
+      symbol && "ps-12",
+      errors == [] && has_error && "border-muted focus:border-themePrimary",
+      errors != [] && has_error && "border-danger focus:border-danger"
+    ]
+
+    assigns =
+      assigns
+      |> assign(
+        _has_error: has_error,
+        _render_as: render_as,
+        _store_input: store_input,
+        _is_span: is_span,
+        _is_live: is_live,
+        _decimals: decimals,
+        _symbol: symbol,
+        _class: class
+      )
+
+    ~H"""
+    <div
+      id={@_is_live && @id <> "_number"}
+      phx-hook={@_is_live && "NumberInput"}
+      phx-feedback-for={@name}
+      data-decimals={@_decimals}
+      class={@class}
+    >
+      <input
+        :if={@_store_input}
+        type="hidden"
+        name={@name}
+        id={@id <> "_store"}
+        value={Phoenix.HTML.Form.normalize_value("text", @value)}
+        phx-debounce="300"
+        data-number-value
+      />
+      <%= if not String.starts_with?(@_render_as, "hidden") do %>
+        <.label for={@id}>{@label}</.label>
+        <div class="relative mt-2">
+          <span
+            :if={@_symbol}
+            class="pointer-events-none absolute inset-y-0 start-0 flex items-center ps-3 text-muted"
+          >
+            {@_symbol}
+          </span>
+          <input
+            :if={!@_is_span}
+            type="text"
+            inputmode="decimal"
+            id={@id}
+            disabled={@disabled}
+            autocomplete="off"
+            value={Phoenix.HTML.Form.normalize_value("text", @value)}
+            data-number-display
+            class={@_class}
+            {@rest}
+          />
+          <span :if={@_is_span} id={@id} class={["flex items-center justify-end", @_class]}>
+            {Phoenix.HTML.Form.normalize_value("text", @value)}
+          </span>
+        </div>
+
+        <%= if @_has_error do %>
+          <.error :for={msg <- @errors}>{msg}</.error>
+        <% end %>
+      <% end %>
+    </div>
+    """
+  end
+
   def input(%{type: "textarea"} = assigns) do
     render_as = assigns.render_as
     errors = assigns.errors
@@ -859,9 +970,19 @@ defmodule PhoexnipWeb.CoreComponents do
           disabled={@disabled}
           phx-hook="AutoResize"
           phx-debounce="blur"
+          data-counter={@counter && @id <> "-counter"}
+          aria-describedby={@counter && @id <> "-counter"}
           class={@_class}
           {@rest}
         ><%= Phoenix.HTML.Form.normalize_value("textarea", @value) %></textarea>
+        <p
+          :if={@counter && !@_is_span}
+          id={@id <> "-counter"}
+          phx-update="ignore"
+          aria-live="polite"
+          class="mt-1 text-xs text-muted"
+        >
+        </p>
         <span
           :if={@_is_span}
           id={@id}
@@ -1392,6 +1513,7 @@ defmodule PhoexnipWeb.CoreComponents do
           phx-debounce="blur"
           autocomplete="off"
           value={Phoenix.HTML.Form.normalize_value(@type, @value)}
+          data-value={datetime_iso_value(@value)}
           class={@_class}
           {@rest}
           data-phx-hook="DateTimePicker"
@@ -1522,6 +1644,9 @@ defmodule PhoexnipWeb.CoreComponents do
   @doc """
   Displays a standard error message below an input.
 
+  It is marked `data-field-error`: the OfflineQueue hook looks for it to tell
+  whether a replayed submit was refused.
+
   ## Examples
 
       <.error>Email is required</.error>
@@ -1530,7 +1655,7 @@ defmodule PhoexnipWeb.CoreComponents do
 
   def error(assigns) do
     ~H"""
-    <p class="mt-3 flex gap-3 leading-6 text-danger phx-no-feedback:hidden">
+    <p data-field-error class="mt-3 flex gap-3 leading-6 text-danger phx-no-feedback:hidden">
       <.icon name="hero-exclamation-circle-mini" class="mt-0.5 h-5 w-5 flex-none" />
       {render_slot(@inner_block)}
     </p>
@@ -1574,12 +1699,65 @@ defmodule PhoexnipWeb.CoreComponents do
       <.table id="users" rows={@users}>
         <:col :let={user} label="Username">{user.username}</:col>
       </.table>
+
+  With `interactive`, the `InteractiveTable` hook adds a sticky header and
+  columns that can be resized, dragged into a new order and hidden, with the
+  layout kept in the browser per table id. Rows can be walked with the arrow
+  keys and opened with Enter (`row_click`). With `on_select` as well, rows are
+  selected with Space, shift-click (ranges) and ctrl/cmd-click, and the
+  selection is pushed to the LiveView:
+
+      <.table id="currencies" rows={@streams.currencies} interactive
+        on_select="rows_selected" row_value={fn {_id, c} -> c.id end}>
+
+      def handle_event("rows_selected", %{"ids" => ids}, socket)
+
+  Clear the selection after a bulk action with
+  `push_event(socket, "table:clear-selection", %{id: "currencies"})`.
+
+  With `exportable`, buttons above the table download it as CSV or Excel or
+  copy it to the clipboard, in the browser (see `assets/js/table_export.js`).
+  Only the visible columns are exported, and only the selected rows when there
+  are any. Give a cell an exact value with `data-export-value`, or a date with
+  `<time datetime=...>`:
+
+      <:col :let={{_id, log}} label="Date">
+        <time datetime={DateTime.to_iso8601(log.inserted_at)}>
+          {Phoexnip.DateUtils.formatDate(log.inserted_at)}
+        </time>
+      </:col>
+
+  Give a text column `fit` to cut long values to that many lines with an
+  ellipsis, or `fit="middle"` to cut codes and file names in the middle. The
+  full text shows on hover when it was cut (the `TextFit` hook):
+
+      <:col :let={{_id, user}} label="Address" fit={2}>{user.address}</:col>
   """
   attr :id, :string, required: true
   attr :rows, :list, required: true
   attr :row_id, :any, default: nil, doc: "the function for generating the row id"
   attr :row_click, :any, default: nil, doc: "the function for handling phx-click on each row"
 
+  attr :interactive, :boolean,
+    default: false,
+    doc: "sticky header, resizable/reorderable/hideable columns and keyboard row navigation"
+
+  attr :on_select, :string,
+    default: nil,
+    doc: "the event pushed with the selected rows' values; enables selection (needs interactive)"
+
+  attr :row_value, :any,
+    default: nil,
+    doc: "the function for the value reported for a selected row, defaults to the row id"
+
+  attr :exportable, :boolean,
+    default: false,
+    doc: "adds CSV, Excel and copy to clipboard buttons for the visible rows and columns"
+
+  attr :export_name, :string,
+    default: nil,
+    doc: "the file and sheet name for exports, defaults to the table id"
+
   attr :table_length, :string,
     default: "w-full",
     doc: "the max length of your table in tailwind class for example min-w-[10rem]"
@@ -1591,6 +1769,10 @@ defmodule PhoexnipWeb.CoreComponents do
   slot :col do
     attr :label, :string
     attr :class, :string
+    attr :key, :string, doc: "identifies the column in saved layouts, defaults to the label"
+
+    attr :fit, :any,
+      doc: "lines to cut the text to with an ellipsis, or \"middle\"; text-only content"
   end
 
   slot :action, doc: "the slot for showing user actions in the last table column"
@@ -1602,14 +1784,91 @@ defmodule PhoexnipWeb.CoreComponents do
       end
 
     ~H"""
-    <div class="overflow-x-auto overflow-y-hidden px-4">
-      <table id={@id} class={"w-full table-auto mt-11 " <> @table_length}>
+    <div
+      id={@id <> "-wrapper"}
+      phx-hook={@interactive && "InteractiveTable"}
+      data-table={@interactive && @id}
+      data-select-event={@interactive && @on_select}
+      class={[
+        "px-4",
+        (@interactive || @exportable) && "mt-11",
+        if(@interactive,
+          do: "relative overflow-auto max-h-[75vh]",
+          else: "overflow-x-auto overflow-y-hidden"
+        )
+      ]}
+    >
+      <div
+        :if={@interactive || @exportable}
+        class="sticky left-0 z-20 flex justify-end gap-4 text-sm"
+      >
+        <div :if={@exportable} class="flex gap-3">
+          <span class="text-muted">{gettext("Export")}</span>
+          <button
+            :for={
+              {format, label} <- [
+                {"csv", gettext("CSV")},
+                {"xlsx", gettext("Excel")},
+                {"clipboard", gettext("Copy")}
+              ]
+            }
+            type="button"
+            data-table-export={format}
+            data-table-export-target={@id}
+            class="hover:text-themePrimary hover:underline"
+          >
+            {label}
+          </button>
+        </div>
+        <details :if={@interactive} id={@id <> "-columns"} phx-update="ignore" class="relative">
+          <summary class="inline-block cursor-pointer hover:text-themePrimary hover:underline">
+            {gettext("Columns")}
+          </summary>
+          <div class="absolute right-0 mt-1 p-2 text-left bg-surface border-2 border-borderStrong rounded-md shadow-lg">
+            <label
+              :for={{col, i} <- Enum.with_index(@col)}
+              class="flex items-center gap-2 py-1 whitespace-nowrap cursor-pointer"
+            >
+              <input type="checkbox" checked data-column-toggle={column_key(col, i)} />
+              {Map.get(col, :label)}
+            </label>
+          </div>
+        </details>
+      </div>
+      <table
+        id={@id}
+        phx-hook={Enum.any?(@col, & &1[:fit]) && "TextFit"}
+        class={["w-full table-auto " <> @table_length, !(@interactive || @exportable) && "mt-11"]}
+        aria-multiselectable={@interactive && @on_select && "true"}
+        data-export-name={@exportable && @export_name}
+      >
         <thead class="text-left leading-6">
           <tr>
-            <th :for={col <- @col} class={["p-0 pb-1 font-normal", Map.get(col, :class, "")]}>
+            <th
+              :for={{col, i} <- Enum.with_index(@col)}
+              data-column={column_key(col, i)}
+              draggable={@interactive && "true"}
+              class={[
+                "p-0 pb-1 font-normal",
+                @interactive && "sticky top-0 z-10 bg-page pr-3",
+                Map.get(col, :class, "")
+              ]}
+            >
               {Map.get(col, :label, "TELL THE DEVELOPER THEY FORGOT TO GIVE THIS A LABEL!")}
+              <span
+                :if={@interactive}
+                data-column-resize
+                role="separator"
+                aria-orientation="vertical"
+                aria-label={gettext("Resize column")}
+                tabindex="0"
+                class="absolute top-0 right-0 h-full w-1.5 cursor-col-resize hover:bg-themePrimary focus:bg-themePrimary"
+              />
             </th>
-            <th :if={@action != []} class="relative p-0 pb-1">
+            <th
+              :if={@action != []}
+              class={["relative p-0 pb-1", @interactive && "sticky top-0 z-10 bg-page"]}
+            >
               <span class="sr-only">{gettext("Actions")}</span>
             </th>
           </tr>
@@ -1620,17 +1879,29 @@ defmodule PhoexnipWeb.CoreComponents do
           class="relative divide-y divide-border border-t border-border leading-6"
         >
           <%= for row <- @rows do %>
-            <tr id={@row_id && @row_id.(row)} class="group">
+            <tr
+              id={@row_id && @row_id.(row)}
+              data-row-value={@interactive && @row_value && @row_value.(row)}
+              class={[
+                "group",
+                @interactive && "focus:outline focus:outline-2 focus:outline-themePrimary",
+                @on_select && "aria-selected:bg-highlight"
+              ]}
+            >
               <td
                 :for={{col, i} <- Enum.with_index(@col)}
+                data-column={column_key(col, i)}
                 phx-click={@row_click && @row_click.(row)}
                 class={["relative p-0", @row_click && "hover:cursor-pointer"]}
               >
                 <div class="block py-1">
                   <span class="absolute -inset-y-px right-0 -left-4" />
-                  <span class={["relative", i == 0]}>
+                  <span :if={!col[:fit]} class={["relative", i == 0]}>
                     {render_slot(col, @row_item.(row))}
                   </span>
+                  <.fit_text :if={col[:fit]} fit={col[:fit]} class="relative">
+                    {render_slot(col, @row_item.(row))}
+                  </.fit_text>
                 </div>
               </td>
               <td :if={@action != []} class="relative w-14 p-0">
@@ -1658,24 +1929,435 @@ defmodule PhoexnipWeb.CoreComponents do
         <:item title="Title"><%= @post.title %></:item>
         <:item title="Views"><%= @post.views %></:item>
       </.list>
+
+  Items take `fit` as table columns do, which needs an `id` on the list:
+
+      <.list id="user-details">
+        <:item title="Address" fit={3}>{@user.address}</:item>
+      </.list>
   """
+  attr :id, :string, default: nil, doc: "required when an item has `fit`"
+
   slot :item, required: true do
     attr :title, :string, required: true
+
+    attr :fit, :any,
+      doc: "lines to cut the text to with an ellipsis, or \"middle\"; text-only content"
   end
 
   def list(assigns) do
     ~H"""
-    <div class="mt-14">
+    <div id={@id} phx-hook={@id && Enum.any?(@item, & &1[:fit]) && "TextFit"} class="mt-14">
       <dl class="-my-4 divide-y divide-border">
         <div :for={item <- @item} class="flex gap-4 py-4 leading-6">
           <dt class="w-1/4 flex-none">{item.title}</dt>
-          <dd class="">{render_slot(item)}</dd>
+          <dd :if={!item[:fit]} class="">{render_slot(item)}</dd>
+          <dd :if={item[:fit]} class="min-w-0 flex-1">
+            <.fit_text fit={item.fit}>{render_slot(item)}</.fit_text>
+          </dd>
         </div>
       </dl>
     </div>
     """
   end
 
+  # Text cut by the TextFit hook (assets/js/hooks/text_fit.js). The first copy
+  # is the full text, kept for screen readers and for the column width; the
+  # second is what is shown, clamped by CSS until the hook has cut it.
+  attr :fit, :any, required: true
+  attr :class, :any, default: nil
+  slot :inner_block, required: true
+
+  defp fit_text(assigns) do
+    ~H"""
+    <span data-fit={@fit} class={["block", @class]}>
+      <span data-fit-text class="block h-0 overflow-hidden break-all">
+        {render_slot(@inner_block)}
+      </span>
+      <span data-fit-shown aria-hidden="true" class={["w-0 min-w-full", fit_clamp(@fit)]}>
+        {render_slot(@inner_block)}
+      </span>
+    </span>
+    """
+  end
+
+  defp fit_clamp("middle"), do: "block truncate"
+  defp fit_clamp(lines) when is_binary(lines), do: fit_clamp(String.to_integer(lines))
+  defp fit_clamp(1), do: "line-clamp-1"
+  defp fit_clamp(2), do: "line-clamp-2"
+  defp fit_clamp(3), do: "line-clamp-3"
+  defp fit_clamp(4), do: "line-clamp-4"
+  defp fit_clamp(5), do: "line-clamp-5"
+  defp fit_clamp(_lines), do: "line-clamp-6"
+
+  @doc """
+  Renders a spreadsheet import: pick a CSV or XLSX file, map its columns to
+  `fields` and preview it, all in the browser (the `ImportPreview` hook).
+
+  Each field is a map with `:name`, `:label`, a `:type` understood by
+  `Phoexnip.ImportUtils.parse_import_value/2` and optionally `required: true`.
+  Cells that would not parse are flagged before anything is sent, and the
+  column mapping is remembered per `id`. Import sends the mapped rows to the
+  `on_import` event; check them again with `Phoexnip.ImportUtils.cast_import_row/2`
+  and reply with any errors:
+
+      <.import_preview id="currencies-import" fields={@import_fields} on_import="import_rows" />
+
+      def handle_event("import_rows", %{"rows" => rows}, socket) do
+        ...
+        {:reply, %{errors: [%{index: 3, field: "code", message: "must be unique"}]}, socket}
+      end
+  """
+  attr :id, :string, required: true
+  attr :fields, :list, required: true
+  attr :on_import, :string, required: true, doc: "the event the mapped rows are pushed with"
+  attr :preview_rows, :integer, default: 20, doc: "how many rows the preview shows"
+
+  def import_preview(assigns) do
+    fields_json =
+      assigns.fields
+      |> Enum.map(&Map.take(&1, [:name, :label, :type, :required]))
+      |> Jason.encode!()
+
+    assigns = assign(assigns, :fields_json, fields_json)
+
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="ImportPreview"
+      data-fields={@fields_json}
+      data-event={@on_import}
+      data-preview-rows={@preview_rows}
+      class="flex flex-col gap-4"
+    >
+      <label class="self-start flex items-center rounded-lg py-2 px-3 font-semibold leading-6 border border-borderStrong hover:bg-themePrimary focus-within:bg-themePrimary cursor-pointer">
+        <.icon name="hero-document-arrow-up" class="h-5 w-5 me-1" /> {gettext("Choose file")}
+        <input
+          type="file"
+          accept=".csv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          data-import-file
+          class="sr-only"
+        />
+      </label>
+      <div id={@id <> "-panel"} phx-update="ignore">
+        <div data-import-panel hidden class="flex flex-col gap-4">
+          <fieldset class="grid grid-cols-[auto_1fr] items-center gap-x-4 gap-y-2">
+            <legend class="mb-2 font-semibold">{gettext("Columns")}</legend>
+            <%= for field <- @fields do %>
+              <label for={"#{@id}-field-#{field.name}"}>
+                {field.label}<span :if={Map.get(field, :required)} class="text-danger"> *</span>
+              </label>
+              <select
+                id={"#{@id}-field-#{field.name}"}
+                data-import-field={field.name}
+                class="rounded-lg border border-borderStrong bg-page py-1 px-2"
+              >
+                <option value="">{gettext("Not imported")}</option>
+              </select>
+            <% end %>
+          </fieldset>
+          <div aria-live="polite">
+            <p data-import-summary class="font-semibold"></p>
+            <ul data-import-problems class="list-disc ps-5 text-sm text-danger"></ul>
+          </div>
+          <div data-import-preview class="max-h-[40vh] overflow-auto"></div>
+          <.button
+            type="button"
+            data-import-submit
+            disabled
+            class="self-end flex align-center disabled:opacity-50"
+          >
+            <.icon name="hero-arrow-down-tray" class="me-1" /> {gettext("Import")}
+          </.button>
+        </div>
+      </div>
+    </div>
+    """
+  end
+
+  @doc """
+  Renders a cron expression field with a visual editor (the `CronEditor` hook):
+  presets, minute/hour/day/month/weekday pickers kept in sync with the raw
+  expression, validation as it is typed and the next 10 times the schedule
+  fires, shown in the user's time zone.
+
+  `time_zone` is the zone the expression is evaluated in, usually
+  `Phoexnip.JobExecutor.job_timezone/0`. The expression is still checked on
+  the server: `Phoexnip.Settings.Schedulers.changeset/2` parses it with `Crontab`.
+
+  ## Examples
+
+      <.cron_editor
+        id="scheduler-cron"
+        field={@form[:cron_expression]}
+        time_zone={Phoexnip.JobExecutor.job_timezone()}
+      />
+  """
+  attr :id, :string, required: true
+  attr :field, Phoenix.HTML.FormField, required: true
+  attr :label, :string, default: "Schedule"
+  attr :time_zone, :string, required: true, doc: "the IANA time zone the schedule runs in"
+
+  def cron_editor(assigns) do
+    assigns =
+      assigns
+      |> assign(:errors, Enum.map(assigns.field.errors, &translate_error(&1)))
+      |> assign(:presets, cron_presets())
+      |> assign(:pickers, cron_pickers())
+
+    ~H"""
+    <div id={@id} phx-hook="CronEditor" data-time-zone={@time_zone} class="flex flex-col gap-4">
+      <div phx-feedback-for={@field.name}>
+        <.label for={@field.id}>{@label}</.label>
+        <input
+          type="text"
+          name={@field.name}
+          id={@field.id}
+          value={@field.value}
+          data-cron-input
+          autocomplete="off"
+          spellcheck="false"
+          phx-debounce="300"
+          aria-describedby={@id <> "-problem"}
+          class={[
+            "mt-2 block w-full rounded-lg border-2 bg-surface font-mono text-foreground",
+            "border-muted focus:ring-0 focus:border-themePrimary",
+            "aria-[invalid=true]:border-danger"
+          ]}
+        />
+        <p id={@id <> "-problem"} data-cron-problem aria-live="polite" class="mt-2 text-danger">
+        </p>
+        <.error :for={msg <- @errors}>{msg}</.error>
+      </div>
+
+      <div id={@id <> "-pickers"} phx-update="ignore" class="flex flex-col gap-4">
+        <label class="flex flex-col gap-1">
+          <span class="font-semibold">{gettext("Preset")}</span>
+          <select
+            data-cron-preset
+            class="rounded-lg border border-borderStrong bg-page py-1 px-2"
+          >
+            <option value="">{gettext("Custom")}</option>
+            <option :for={{label, expression} <- @presets} value={expression}>{label}</option>
+          </select>
+        </label>
+
+        <fieldset
+          :for={picker <- @pickers}
+          data-cron-field={picker.name}
+          class="flex flex-col gap-2 rounded-lg border border-border p-3"
+        >
+          <legend class="px-1 font-semibold">{picker.label}</legend>
+          <div class="flex flex-wrap items-center gap-2">
+            <select
+              data-cron-mode
+              aria-label={picker.label}
+              class="rounded-lg border border-borderStrong bg-page py-1 px-2"
+            >
+              <option value="every">{picker.every}</option>
+              <option :if={picker.step} value="step">{picker.step}</option>
+              <option value="list">{picker.list}</option>
+            </select>
+            <input
+              :if={picker.step}
+              type="number"
+              data-cron-step
+              min="1"
+              max={picker.max}
+              value="5"
+              aria-label={picker.step}
+              hidden
+              class="w-20 rounded-lg border border-borderStrong bg-page py-1 px-2"
+            />
+          </div>
+          <div
+            data-cron-values
+            role="group"
+            aria-label={picker.list}
+            hidden
+            class="flex flex-wrap gap-1"
+          >
+            <button
+              :for={{value, text} <- picker.values}
+              type="button"
+              data-value={value}
+              aria-pressed="false"
+              class="min-w-[2.5rem] rounded border border-borderStrong px-1.5 py-0.5 text-sm aria-pressed:bg-themePrimary aria-pressed:font-semibold"
+            >
+              {text}
+            </button>
+          </div>
+        </fieldset>
+
+        <section aria-live="polite">
+          <h3 class="font-semibold">{gettext("Next runs")}</h3>
+          <p data-cron-zone class="text-sm text-muted"></p>
+          <ol data-cron-runs class="mt-2 list-decimal ps-6 font-mono text-sm"></ol>
+        </section>
+      </div>
+    </div>
+    """
+  end
+
+  defp cron_presets do
+    [
+      {gettext("Every 5 minutes"), "*/5 * * * *"},
+      {gettext("Every 15 minutes"), "*/15 * * * *"},
+      {gettext("Every hour"), "0 * * * *"},
+      {gettext("Every day at 02:00"), "0 2 * * *"},
+      {gettext("Every weekday at 02:00"), "0 2 * * 1-5"},
+      {gettext("Every Monday at 06:00"), "0 6 * * 1"},
+      {gettext("First day of the month at 00:00"), "0 0 1 * *"}
+    ]
+  end
+
+  # Weekdays are listed from Monday; cron numbers Sunday 0.
+  defp cron_pickers do
+    two_digits = &String.pad_leading(Integer.to_string(&1), 2, "0")
+    months = ~w(Jan Feb Mar Apr May Jun Jul Aug Sep Oct Nov Dec)
+    weekdays = ~w(Mon Tue Wed Thu Fri Sat Sun)
+
+    [
+      %{
+        name: "minute",
+        label: gettext("Minute"),
+        every: gettext("Every minute"),
+        step: gettext("Every N minutes"),
+        list: gettext("At minutes"),
+        max: 59,
+        values: Enum.map(0..59, &{&1, two_digits.(&1)})
+      },
+      %{
+        name: "hour",
+        label: gettext("Hour"),
+        every: gettext("Every hour"),
+        step: gettext("Every N hours"),
+        list: gettext("At hours"),
+        max: 23,
+        values: Enum.map(0..23, &{&1, two_digits.(&1)})
+      },
+      %{
+        name: "day",
+        label: gettext("Day of the month"),
+        every: gettext("Every day"),
+        step: gettext("Every N days"),
+        list: gettext("On days"),
+        max: 31,
+        values: Enum.map(1..31, &{&1, Integer.to_string(&1)})
+      },
+      %{
+        name: "month",
+        label: gettext("Month"),
+        every: gettext("Every month"),
+        step: gettext("Every N months"),
+        list: gettext("In months"),
+        max: 12,
+        values: Enum.zip(1..12, months)
+      },
+      %{
+        name: "weekday",
+        label: gettext("Weekday"),
+        every: gettext("Every day of the week"),
+        step: nil,
+        list: gettext("On weekdays"),
+        max: 7,
+        values: Enum.zip([1, 2, 3, 4, 5, 6, 0], weekdays)
+      }
+    ]
+  end
+
+  @doc """
+  Renders the online dot of a user's avatar: green while `user_id` is active in
+  `presences` (the `@presences` every authenticated LiveView keeps), grey
+  otherwise. It is positioned absolutely, so place it in a `relative` box.
+
+  ## Examples
+
+      <.presence_dot presences={@presences} user_id={user.id} class="left-8 bottom-0" />
+  """
+  attr :presences, :map, required: true
+  attr :user_id, :any, required: true
+  attr :class, :any, default: nil
+
+  def presence_dot(assigns) do
+    online = PhoexnipWeb.Presence.user_active?(assigns.presences, assigns.user_id)
+    assigns = assign(assigns, :online, online)
+
+    ~H"""
+    <span
+      class={[
+        "absolute h-5 w-5 rounded-full border-2 border-page",
+        if(@online, do: "bg-success", else: "bg-muted"),
+        @class
+      ]}
+      title={if @online, do: gettext("Online"), else: gettext("Offline")}
+    >
+      <span class="sr-only">{if @online, do: gettext("Online"), else: gettext("Offline")}</span>
+    </span>
+    """
+  end
+
+  @doc """
+  Warns that other people have the same record open, naming each of them and
+  whether they have unsaved changes.
+
+  Track the record in the LiveView with `PhoexnipWeb.Presence.track_record/3`,
+  which keeps `@record_editors` current, and point `form` at the edit form: the
+  `RecordPresence` hook tells the other editors when it has unsaved changes.
+
+  ## Examples
+
+      socket |> PhoexnipWeb.Presence.track_record("roles", role.id)
+
+      <.record_presence
+        id="role-presence"
+        form="role-form"
+        editors={@record_editors}
+        current_user={@current_user}
+      />
+  """
+  attr :id, :string, required: true
+  attr :form, :string, required: true, doc: "the id of the edit form"
+  attr :editors, :list, required: true
+  attr :current_user, :map, default: nil
+
+  def record_presence(assigns) do
+    ~H"""
+    <div id={@id} phx-hook="RecordPresence" data-form={@form}>
+      <div
+        :if={@editors != []}
+        role="status"
+        class="mb-6 flex items-start gap-3 rounded-lg border border-warningBorder bg-warningBg p-4 text-warningFg"
+      >
+        <.icon name="hero-exclamation-triangle" class="h-6 w-6 flex-none" />
+        <div class="flex flex-col gap-2">
+          <p class="font-semibold">{gettext("This record is also open for editing by:")}</p>
+          <ul class="flex flex-col gap-2">
+            <li :for={editor <- @editors} class="flex items-center gap-2">
+              <img src={editor.image} alt="" class="h-8 w-8 rounded-full border-2 object-cover" />
+              <span>
+                <strong>
+                  {if @current_user && editor.user_id == @current_user.id,
+                    do: gettext("You, in another tab"),
+                    else: editor.name}
+                </strong>
+                &mdash; {if editor.dirty,
+                  do: gettext("has unsaved changes"),
+                  else: gettext("no unsaved changes yet")}
+              </span>
+            </li>
+          </ul>
+          <p class="text-sm">
+            {gettext(
+              "Whoever saves last overwrites the other's changes. Agree who goes first, or reload this page after they have saved."
+            )}
+          </p>
+        </div>
+      </div>
+    </div>
+    """
+  end
+
   @doc """
   Renders a back navigation link.
 
@@ -1797,4 +2479,15 @@ defmodule PhoexnipWeb.CoreComponents do
   def translate_errors(errors, field) when is_list(errors) do
     for {^field, {msg, opts}} <- errors, do: translate_error({msg, opts})
   end
+
+  # `normalize_value/2` drops the offset and the browser rejects zoned values in
+  # datetime-local inputs, so the DateTimePicker hook reads the full ISO-8601
+  # value from `data-value`. Naive datetimes are stored as UTC.
+  defp datetime_iso_value(%DateTime{} = value), do: DateTime.to_iso8601(value)
+  defp datetime_iso_value(%NaiveDateTime{} = value), do: NaiveDateTime.to_iso8601(value) <> "Z"
+  defp datetime_iso_value(value) when is_binary(value), do: value
+  defp datetime_iso_value(_value), do: nil
+
+  # Identifies a table column in the layout the InteractiveTable hook saves.
+  defp column_key(col, index), do: Map.get(col, :key) || Map.get(col, :label) || to_string(index)
 end
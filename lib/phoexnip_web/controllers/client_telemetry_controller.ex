@@ -0,0 +1,20 @@
+defmodule PhoexnipWeb.ClientTelemetryController do
+  use PhoexnipWeb, :controller
+
+  alias PhoexnipWeb.ClientTelemetry
+  alias PhoexnipWeb.ClientTelemetry.RateLimit
+
+  # Sent by `navigator.sendBeacon` in assets/js/telemetry.js, which never reads
+  # the reply, so anything that does not decode, or comes too often from one
+  # address, is dropped without an error.
+  def create(conn, %{"events" => events}) when is_binary(events) do
+    with true <- RateLimit.allow?(conn.remote_ip),
+         {:ok, entries} when is_list(entries) <- Jason.decode(events) do
+      ClientTelemetry.emit(entries, conn.host)
+    end
+
+    send_resp(conn, :no_content, "")
+  end
+
+  def create(conn, _params), do: send_resp(conn, :no_content, "")
+end
@@ -73,6 +73,18 @@ defmodule PhoexnipWeb.UserSessionController do
     end
   end
 
+  def extend(conn, _params) do
+    case UserAuth.extend_session(conn) do
+      {:ok, conn, grant} ->
+        json(conn, grant)
+
+      {:error, conn} ->
+        conn
+        |> put_status(:unauthorized)
+        |> json(%{error: "session expired"})
+    end
+  end
+
   def delete(conn, _params) do
     conn
     |> put_flash(:info, "Logged out successfully.")
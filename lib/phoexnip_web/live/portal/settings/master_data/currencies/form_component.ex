@@ -30,6 +30,23 @@ defmodule PhoexnipWeb.MasterDataCurrenciesLive.FormComponent do
         <.input field={@form[:sort]} type="number" label="Sort" />
         <.input field={@form[:code]} type="text" label="Code" />
         <.input field={@form[:name]} type="text" label="Name" />
+        <.input field={@form[:symbol]} type="text" label="Symbol" />
+        <.input
+          field={@form[:decimal_places]}
+          type="number"
+          label="Decimal places"
+          min="0"
+          max="6"
+        />
+        <%!-- Not saved: shows amounts in the currency as it is being edited --%>
+        <.input
+          id="currencies-preview"
+          name="preview_amount"
+          value={@preview_amount}
+          type="amount"
+          label="Preview"
+          currency={Ecto.Changeset.apply_changes(@form.source)}
+        />
         <:actions>
           <.button phx-disable-with="Saving..." class="flex align-center">
             <svg
@@ -57,13 +74,18 @@ defmodule PhoexnipWeb.MasterDataCurrenciesLive.FormComponent do
      |> assign(assigns)
      |> assign_new(:form, fn ->
        to_form(CommonService.change(currencies))
-     end)}
+     end)
+     |> assign_new(:preview_amount, fn -> "-1234567.891" end)}
   end
 
   @impl true
-  def handle_event("validate", %{"currencies" => currencies_params}, socket) do
+  def handle_event("validate", %{"currencies" => currencies_params} = params, socket) do
     changeset = CommonService.change(socket.assigns.currencies, currencies_params)
-    {:noreply, assign(socket, form: to_form(changeset, action: :validate))}
+
+    {:noreply,
+     socket
+     |> assign(form: to_form(changeset, action: :validate))
+     |> assign(preview_amount: params["preview_amount"] || socket.assigns.preview_amount)}
   end
 
   def handle_event("save", %{"currencies" => currencies_params}, socket) do
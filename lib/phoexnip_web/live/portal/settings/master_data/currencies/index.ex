@@ -4,6 +4,17 @@ defmodule PhoexnipWeb.MasterDataCurrenciesLive.Index do
   alias Phoexnip.Masterdata.Currencies
   alias Phoexnip.CoreUtils.CommonService
   alias Phoexnip.UserRolesService
+  alias Phoexnip.ImportUtils
+  alias Phoexnip.Repo
+
+  # Columns of the spreadsheet import, see `ImportUtils.parse_import_value/2`.
+  @import_fields [
+    %{name: "sort", label: "Sort", type: :integer, required: true},
+    %{name: "code", label: "Code", type: :string, required: true},
+    %{name: "name", label: "Name", type: :string, required: true},
+    %{name: "symbol", label: "Symbol", type: :string},
+    %{name: "decimal_places", label: "Decimal places", type: :integer}
+  ]
 
   @impl true
   def mount(_params, _session, socket) do
@@ -33,7 +44,9 @@ defmodule PhoexnipWeb.MasterDataCurrenciesLive.Index do
      )
      |> assign(:breadcrumb_third_link, "master_data/currencies")
      |> assign(:breadcrumb_fourth_segment, nil)
-     |> assign(:show_audit_log_modal, false)}
+     |> assign(:show_audit_log_modal, false)
+     |> assign(:selected_ids, [])
+     |> assign(:import_fields, @import_fields)}
   end
 
   @impl true
@@ -80,6 +93,21 @@ defmodule PhoexnipWeb.MasterDataCurrenciesLive.Index do
     |> stream(:currencies_collection, all_currencies)
   end
 
+  defp apply_action(socket, :import, _params) do
+    socket =
+      Phoexnip.AuthenticationUtils.check_level_two_permissions(
+        socket,
+        socket.assigns.master_data_permissions,
+        "SET3A",
+        2
+      )
+
+    socket
+    |> assign(:page_title, "Import Currencies")
+    |> assign(:currencies, nil)
+    |> stream(:currencies_collection, CommonService.list_ordered(Currencies, asc: :sort))
+  end
+
   defp apply_action(socket, :index, _params) do
     socket =
       Phoexnip.AuthenticationUtils.check_level_two_permissions(
@@ -130,6 +158,78 @@ defmodule PhoexnipWeb.MasterDataCurrenciesLive.Index do
      stream(socket, :currencies_collection, CommonService.list_ordered(Currencies, asc: :sort))}
   end
 
+  def handle_event("import_rows", %{"rows" => rows}, socket) when is_list(rows) do
+    if socket.assigns.permission_level >= 2 do
+      insert = fn attrs ->
+        # Blank optional columns keep the schema defaults (2 decimal places).
+        attrs = Map.reject(attrs, fn {_field, value} -> is_nil(value) end)
+
+        %Currencies{}
+        |> Currencies.changeset(attrs)
+        |> Repo.insert(mode: :savepoint)
+      end
+
+      case ImportUtils.import_rows(rows, @import_fields, insert) do
+        {:ok, imported} ->
+          Enum.each(imported, fn currencies ->
+            Phoexnip.AuditLogService.create_audit_log(
+              "Currencies",
+              currencies.id,
+              "create",
+              socket.assigns.current_user,
+              currencies.code,
+              currencies,
+              %{}
+            )
+          end)
+
+          {:reply, %{errors: []},
+           socket
+           |> put_flash(:info, "#{length(imported)} currencies imported successfully")
+           |> push_patch(to: ~p"/master_data/currencies")}
+
+        {:error, errors} ->
+          {:reply, %{errors: errors}, socket}
+      end
+    else
+      error = %{index: nil, field: nil, message: "You are not allowed to import currencies"}
+      {:reply, %{errors: [error]}, socket}
+    end
+  end
+
+  def handle_event("rows_selected", %{"ids" => ids}, socket) do
+    {:noreply, assign(socket, :selected_ids, ids)}
+  end
+
+  def handle_event("delete_selected", _params, socket) do
+    socket =
+      if socket.assigns.permission_level >= 8 do
+        Enum.reduce(socket.assigns.selected_ids, socket, fn id, socket ->
+          currencies = CommonService.get!(Currencies, id)
+          {:ok, _} = CommonService.delete(currencies)
+
+          Phoexnip.AuditLogService.create_audit_log(
+            "Currencies",
+            currencies.id,
+            "delete",
+            socket.assigns.current_user,
+            currencies.code,
+            %{},
+            currencies
+          )
+
+          stream_delete(socket, :currencies_collection, currencies)
+        end)
+      else
+        socket
+      end
+
+    {:noreply,
+     socket
+     |> assign(:selected_ids, [])
+     |> push_event("table:clear-selection", %{id: "currencies"})}
+  end
+
   def handle_event(
         "open_audit_log_modal",
         %{"id" => id, "code" => code, "inserted_at" => inserted_at},
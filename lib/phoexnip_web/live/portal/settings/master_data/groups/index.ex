@@ -4,6 +4,15 @@ defmodule PhoexnipWeb.MasterDataGroupsLive.Index do
   alias Phoexnip.Masterdata.Groups
   alias Phoexnip.CoreUtils.CommonService
   alias Phoexnip.UserRolesService
+  alias Phoexnip.ImportUtils
+  alias Phoexnip.Repo
+
+  # Columns of the spreadsheet import, see `ImportUtils.parse_import_value/2`.
+  @import_fields [
+    %{name: "sort", label: "Sort", type: :integer, required: true},
+    %{name: "code", label: "Code", type: :string, required: true},
+    %{name: "name", label: "Name", type: :string, required: true}
+  ]
 
   @impl true
   def mount(_params, _session, socket) do
@@ -33,7 +42,9 @@ defmodule PhoexnipWeb.MasterDataGroupsLive.Index do
      )
      |> assign(:breadcrumb_third_link, "masterdata/groups")
      |> assign(:breadcrumb_fourth_segment, nil)
-     |> assign(:show_audit_log_modal, false)}
+     |> assign(:show_audit_log_modal, false)
+     |> assign(:selected_ids, [])
+     |> assign(:import_fields, @import_fields)}
   end
 
   @impl true
@@ -80,6 +91,21 @@ defmodule PhoexnipWeb.MasterDataGroupsLive.Index do
     |> stream(:groups_collection, all_groups)
   end
 
+  defp apply_action(socket, :import, _params) do
+    socket =
+      Phoexnip.AuthenticationUtils.check_level_two_permissions(
+        socket,
+        socket.assigns.master_data_permissions,
+        "SET3N",
+        2
+      )
+
+    socket
+    |> assign(:page_title, "Import Groups")
+    |> assign(:groups, nil)
+    |> stream(:groups_collection, CommonService.list_ordered(Groups, asc: :sort))
+  end
+
   defp apply_action(socket, :index, _params) do
     socket =
       Phoexnip.AuthenticationUtils.check_level_two_permissions(
@@ -128,6 +154,75 @@ defmodule PhoexnipWeb.MasterDataGroupsLive.Index do
     {:noreply, stream(socket, :groups_collection, CommonService.list_ordered(Groups, asc: :sort))}
   end
 
+  def handle_event("import_rows", %{"rows" => rows}, socket) when is_list(rows) do
+    if socket.assigns.permission_level >= 2 do
+      insert = fn attrs ->
+        %Groups{}
+        |> Groups.changeset(attrs)
+        |> Repo.insert(mode: :savepoint)
+      end
+
+      case ImportUtils.import_rows(rows, @import_fields, insert) do
+        {:ok, imported} ->
+          Enum.each(imported, fn groups ->
+            Phoexnip.AuditLogService.create_audit_log(
+              "Groups",
+              groups.id,
+              "create",
+              socket.assigns.current_user,
+              groups.code,
+              groups,
+              %{}
+            )
+          end)
+
+          {:reply, %{errors: []},
+           socket
+           |> put_flash(:info, "#{length(imported)} groups imported successfully")
+           |> push_patch(to: ~p"/master_data/groups")}
+
+        {:error, errors} ->
+          {:reply, %{errors: errors}, socket}
+      end
+    else
+      error = %{index: nil, field: nil, message: "You are not allowed to import groups"}
+      {:reply, %{errors: [error]}, socket}
+    end
+  end
+
+  def handle_event("rows_selected", %{"ids" => ids}, socket) do
+    {:noreply, assign(socket, :selected_ids, ids)}
+  end
+
+  def handle_event("delete_selected", _params, socket) do
+    socket =
+      if socket.assigns.permission_level >= 8 do
+        Enum.reduce(socket.assigns.selected_ids, socket, fn id, socket ->
+          groups = CommonService.get!(Groups, id)
+          {:ok, _} = CommonService.delete(groups)
+
+          Phoexnip.AuditLogService.create_audit_log(
+            "Groups",
+            groups.id,
+            "delete",
+            socket.assigns.current_user,
+            groups.code,
+            %{},
+            groups
+          )
+
+          stream_delete(socket, :groups_collection, groups)
+        end)
+      else
+        socket
+      end
+
+    {:noreply,
+     socket
+     |> assign(:selected_ids, [])
+     |> push_event("table:clear-selection", %{id: "groups"})}
+  end
+
   def handle_event(
         "open_audit_log_modal",
         %{"id" => id, "code" => code, "inserted_at" => inserted_at},
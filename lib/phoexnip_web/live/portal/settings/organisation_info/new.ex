@@ -36,7 +36,11 @@ defmodule PhoexnipWeb.OrganisationInfoLive.New do
        :breadcrumb_third_segment,
        nil
      )
-     |> assign(:breadcrumb_fourth_segment, nil)}
+     |> assign(:breadcrumb_fourth_segment, nil)
+     |> PhoexnipWeb.Presence.track_record(
+       "organisation_info",
+       organisation_information.id || :new
+     )}
   end
 
   @impl true
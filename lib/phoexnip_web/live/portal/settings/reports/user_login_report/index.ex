@@ -50,6 +50,7 @@ defmodule PhoexnipWeb.UsersLoginReport.Index do
      |> assign(:error_message, false)
      |> assign(:total_pages, Float.ceil(total_entries / per_page) |> round())
      |> assign(:form, to_form(%{}))
+     |> assign(:login_trend, login_trend(nil))
      |> stream(:request_collection, %{})
      |> stream(:currently_online, %{})}
   end
@@ -81,25 +82,27 @@ defmodule PhoexnipWeb.UsersLoginReport.Index do
         %{user_id: String.to_integer(user)}
       end
 
+    args =
+      %{
+        # Default login success
+        entity_id: -2
+      }
+      |> Map.merge(user_id_filter)
+      |> Map.merge(
+        Phoexnip.SearchUtils.construct_date_map(
+          from_date,
+          if to_date in ["", nil] do
+            to_date
+          else
+            to_date <> " 23:59"
+          end,
+          :inserted_at
+        )
+      )
+
     %{entries: entries, total_pages: total_pages, total_entries: total_entries} =
       Phoexnip.SearchUtils.search(
-        args:
-          %{
-            # Default login success
-            entity_id: -2
-          }
-          |> Map.merge(user_id_filter)
-          |> Map.merge(
-            Phoexnip.SearchUtils.construct_date_map(
-              from_date,
-              if to_date in ["", nil] do
-                to_date
-              else
-                to_date <> " 23:59"
-              end,
-              :inserted_at
-            )
-          ),
+        args: args,
         pagination: %{page: 1, per_page: 10},
         module: Phoexnip.AuditLogs,
         order_by: :inserted_at,
@@ -150,6 +153,7 @@ defmodule PhoexnipWeb.UsersLoginReport.Index do
      |> assign(:total_pages, total_pages)
      |> assign(:total_entries, total_entries)
      |> assign(:total_online, length(online_users))
+     |> push_event("chart:set", Map.put(login_trend(args), :id, "login-trend"))
      |> stream(:request_collection, entries)
      |> stream(:currently_online, online_users)}
   end
@@ -381,4 +385,14 @@ defmodule PhoexnipWeb.UsersLoginReport.Index do
 
     {:noreply, new_socket}
   end
+
+  # Logins per day for the "Logins per day" chart; `nil` gives an empty chart.
+  defp login_trend(args) do
+    days = if args, do: Phoexnip.AuditLogService.count_per_day(args), else: []
+
+    %{
+      labels: Enum.map(days, fn {day, _} -> Calendar.strftime(day, "%d/%m/%Y") end),
+      datasets: [%{label: "Logins", data: Enum.map(days, fn {_, count} -> count end)}]
+    }
+  end
 end
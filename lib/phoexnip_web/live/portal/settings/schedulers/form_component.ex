@@ -0,0 +1,104 @@
+defmodule PhoexnipWeb.SchedulersLive.FormComponent do
+  use PhoexnipWeb, :live_component
+
+  @moduledoc """
+  LiveComponent for editing the schedule of a Schedulers record.
+
+  Only the cron expression can be changed, through the `cron_editor` component.
+  A running job is rescheduled with the new expression on save. Emits
+  `{:saved, scheduler}` to the parent on success.
+  """
+
+  alias Phoexnip.CoreUtils.CommonService
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <div>
+      <.header>
+        {@title}
+        <:subtitle>
+          Times are worked out in {@time_zone}, the time zone of the server the jobs run on.
+        </:subtitle>
+      </.header>
+
+      <.simple_form
+        for={@form}
+        id="scheduler-form"
+        phx-target={@myself}
+        phx-change="validate"
+        phx-submit="save"
+      >
+        <.cron_editor
+          id="scheduler-cron"
+          field={@form[:cron_expression]}
+          label="Cron expression"
+          time_zone={@time_zone}
+        />
+        <:actions>
+          <.button phx-disable-with="Saving..." class="flex align-center">
+            <.icon name="hero-check" class="w-6 h-6 me-1" /> Save
+          </.button>
+        </:actions>
+      </.simple_form>
+    </div>
+    """
+  end
+
+  @impl true
+  def update(%{scheduler: scheduler} = assigns, socket) do
+    {:ok,
+     socket
+     |> assign(assigns)
+     |> assign(:time_zone, Phoexnip.JobExecutor.job_timezone())
+     |> assign_new(:form, fn ->
+       to_form(CommonService.change(scheduler))
+     end)}
+  end
+
+  @impl true
+  def handle_event("validate", %{"schedulers" => scheduler_params}, socket) do
+    changeset = CommonService.change(socket.assigns.scheduler, editable(scheduler_params))
+    {:noreply, assign(socket, form: to_form(changeset, action: :validate))}
+  end
+
+  def handle_event("save", %{"schedulers" => scheduler_params}, socket) do
+    case CommonService.update(socket.assigns.scheduler, editable(scheduler_params)) do
+      {:ok, scheduler} ->
+        Phoexnip.AuditLogService.create_audit_log(
+          # Entity type
+          "Schedulers",
+          # Entity ID
+          scheduler.id,
+          # Action type
+          "update",
+          # User who performed the action
+          socket.assigns.current_user,
+          scheduler.name,
+          # New data (changes)
+          scheduler,
+          # Previous data
+          socket.assigns.scheduler
+        )
+
+        # A running job keeps its old schedule until it is added again.
+        Phoexnip.JobExecutor.reschedule_job_if_running(scheduler.name)
+
+        notify_parent({:saved, scheduler})
+
+        {:noreply,
+         socket
+         |> put_flash(:info, "Schedule of #{scheduler.name} updated successfully")
+         |> push_patch(to: socket.assigns.patch)}
+
+      {:error, %Ecto.Changeset{} = changeset} ->
+        {:noreply, assign(socket, form: to_form(changeset))}
+    end
+  end
+
+  # The name is what ties the record to its job, and the status is changed by
+  # starting and stopping it.
+  defp editable(scheduler_params), do: Map.take(scheduler_params, ["cron_expression"])
+
+  defp notify_parent(msg), do: send(self(), {__MODULE__, msg})
+end
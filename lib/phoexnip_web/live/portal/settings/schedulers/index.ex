@@ -27,12 +27,30 @@ defmodule PhoexnipWeb.SchedulersLive.Index do
   end
 
   @impl true
-  def handle_params(_, _url, socket) do
+  def handle_params(params, _url, socket) do
     # Assign page title and users collection to the socket
     {:noreply,
      socket
      |> assign(:page_title, "Scheduled Jobs")
-     |> assign(:users_collection, nil)}
+     |> assign(:users_collection, nil)
+     |> apply_action(socket.assigns.live_action, params)}
+  end
+
+  defp apply_action(socket, :edit, %{"id" => id}) do
+    socket = Phoexnip.AuthenticationUtils.check_page_permissions(socket, "SET5", 4)
+
+    socket
+    |> assign(:page_title, "Edit Schedule")
+    |> assign(:scheduler, CommonService.get!(Schedulers, id))
+  end
+
+  defp apply_action(socket, :index, _params) do
+    assign(socket, :scheduler, nil)
+  end
+
+  @impl true
+  def handle_info({PhoexnipWeb.SchedulersLive.FormComponent, {:saved, _scheduler}}, socket) do
+    {:noreply, stream(socket, :jobs, CommonService.list(Schedulers), reset: true)}
   end
 
   @impl true
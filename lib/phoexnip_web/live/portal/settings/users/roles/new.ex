@@ -45,6 +45,7 @@ defmodule PhoexnipWeb.RolesLive.New do
        |> assign(:form, changeset)
        |> assign(:role, %Roles{})
        |> assign(:highest_permission, highest_permissions)
+       |> assign(:permission_parents, permission_parents(sitemap_entries))
        |> assign(:breadcrumb_first_segment, "Settings")
        |> assign(:breadcrumb_second_segment, "Roles")
        |> assign(:breadcrumb_second_link, "roles")
@@ -119,6 +120,7 @@ defmodule PhoexnipWeb.RolesLive.New do
        |> assign(:role, role)
        |> assign(:highest_permission, highest_permissions)
        |> assign(:form, changeset)
+       |> assign(:permission_parents, permission_parents(sitemap_entries))
        |> assign(:breadcrumb_first_segment, "Settings")
        |> assign(:breadcrumb_second_segment, "Roles")
        |> assign(:breadcrumb_second_link, "roles")
@@ -126,7 +128,8 @@ defmodule PhoexnipWeb.RolesLive.New do
          :breadcrumb_third_segment,
          "Edit"
        )
-       |> assign(:breadcrumb_fourth_segment, "" <> role.name)}
+       |> assign(:breadcrumb_fourth_segment, "" <> role.name)
+       |> PhoexnipWeb.Presence.track_record("roles", role.id)}
     end
   end
 
@@ -201,4 +204,30 @@ defmodule PhoexnipWeb.RolesLive.New do
 
     {:noreply, assign(socket, form: changeset)}
   end
+
+  @permission_options [
+    {"None", 0},
+    {"View", 1},
+    {"View & Create", 2},
+    {"View, Create & Edit", 4},
+    {"View, Create, Edit & Delete", 8},
+    {"Full", 16}
+  ]
+
+  defp permission_options, do: @permission_options
+
+  # Sitemap codes that have child pages, which get an expand/collapse toggle.
+  defp permission_parents(sitemap_entries) do
+    sitemap_entries
+    |> Enum.map(& &1.parent)
+    |> Enum.reject(&(&1 in [nil, ""]))
+    |> MapSet.new()
+  end
+
+  # Pages the current user cannot grant are rendered hidden and left out of
+  # the PermissionTree cascade.
+  defp permission_locked?(highest_permission, item_f) do
+    code = item_f[:sitemap_code].value
+    not Enum.any?(highest_permission, &(&1.sitemap_code == code))
+  end
 end
@@ -49,7 +49,7 @@ defmodule PhoexnipWeb.UsersLive.New do
          "New"
        )
        |> assign(:breadcrumb_fourth_segment, nil)
-       |> allow_upload(:avatar, accept: ~w(.jpg .jpeg .png .gif), max_entries: 1)}
+       |> allow_upload(:avatar, accept: ~w(.jpg .jpeg .png .gif .webp), max_entries: 1)}
     else
       socket = Phoexnip.AuthenticationUtils.check_page_permissions(socket, "SET1", 4)
 
@@ -104,8 +104,9 @@ defmodule PhoexnipWeb.UsersLive.New do
          "Edit"
        )
        |> assign(:breadcrumb_fourth_segment, "" <> user.name <> " - " <> user.email)
+       |> PhoexnipWeb.Presence.track_record("users", user.id)
        |> allow_upload(:avatar,
-         accept: ~w(.jpg .jpeg .png .gif),
+         accept: ~w(.jpg .jpeg .png .gif .webp),
          max_entries: 1,
          auto_upload: true
        )}
@@ -72,7 +72,7 @@ defmodule PhoexnipWeb.UsersLive.Show do
      )
      |> assign(:breadcrumb_fourth_segment, "" <> user.name <> " - " <> user.email)
      |> allow_upload(:avatar,
-       accept: ~w(.jpg .jpeg .png .gif),
+       accept: ~w(.jpg .jpeg .png .gif .webp),
        max_entries: 1,
        auto_upload: true
      )
@@ -13,7 +13,26 @@ defmodule PhoexnipWeb.Live.SessionExpiryHook do
       {:cont,
        socket
        |> assign(:session_expiry, session_expiry)
-       |> assign(:expiry_timer, timer_ref)}
+       |> assign(:expiry_timer, timer_ref)
+       |> attach_hook(:extend_session, :handle_event, &handle_extend_session/3)}
     end
   end
+
+  # Pushed by the SessionExpiry JS hook after the cookie session was extended
+  # (in this tab or another one). The LiveView keeps the session it was mounted
+  # with, so the new expiry arrives as a signed grant from
+  # `PhoexnipWeb.UserAuth.extend_session/1`.
+  defp handle_extend_session("extend_session", %{"token" => token}, socket) do
+    user = socket.assigns[:current_user]
+
+    with true <- user != nil,
+         {:ok, expires_at} <- PhoexnipWeb.UserAuth.verify_session_grant(socket, user, token) do
+      session_expiry = max(expires_at, socket.assigns[:session_expiry] || 0)
+      {:halt, %{expires_at: session_expiry}, assign(socket, :session_expiry, session_expiry)}
+    else
+      _ -> {:halt, %{error: "invalid grant"}, socket}
+    end
+  end
+
+  defp handle_extend_session(_event, _params, socket), do: {:cont, socket}
 end
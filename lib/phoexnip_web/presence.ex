@@ -3,6 +3,9 @@ defmodule PhoexnipWeb.Presence do
     otp_app: :phoexnip,
     pubsub_server: Phoexnip.PubSub
 
+  import Phoenix.Component, only: [assign: 3]
+  import Phoenix.LiveView, only: [attach_hook: 4, connected?: 1]
+
   def user_active?(presences, user_id) do
     user_key = to_string(user_id)
 
@@ -18,4 +21,73 @@ defmodule PhoexnipWeb.Presence do
         end)
     end
   end
+
+  @doc """
+  Tracks the LiveView as an editor of the record `type`/`id`, so other people
+  opening it are warned (see `PhoexnipWeb.CoreComponents.record_presence/1`).
+
+  Assigns `:record_editors`, the other open editors of the record as maps with
+  `:user_id`, `:name`, `:image`, `:dirty` and `:since`, and keeps it current.
+  The `RecordPresence` JS hook reports whether this editor has unsaved changes
+  with the `"record_presence"` event, which is handled here as well.
+
+  Each LiveView is tracked under its own socket id, so the same user in two
+  tabs counts as two editors. Tracking ends with the LiveView process.
+  """
+  @spec track_record(Phoenix.LiveView.Socket.t(), String.t(), term()) ::
+          Phoenix.LiveView.Socket.t()
+  def track_record(socket, type, id) do
+    topic = "record:#{type}:#{id}"
+    user = socket.assigns[:current_user]
+
+    socket =
+      socket
+      |> assign(:record_topic, topic)
+      |> assign(:record_editors, [])
+
+    if connected?(socket) && user do
+      Phoenix.PubSub.subscribe(Phoexnip.PubSub, topic)
+
+      {:ok, _ref} =
+        track(self(), topic, socket.id, %{
+          user_id: user.id,
+          name: user.name,
+          image: Phoexnip.UploadUtils.image_for(user),
+          dirty: false,
+          since: System.system_time(:second)
+        })
+
+      socket
+      |> assign(:record_editors, record_editors(topic, socket.id))
+      |> attach_hook(:record_presence_diff, :handle_info, &handle_record_diff/2)
+      |> attach_hook(:record_presence_dirty, :handle_event, &handle_record_dirty/3)
+    else
+      socket
+    end
+  end
+
+  defp handle_record_diff(
+         %Phoenix.Socket.Broadcast{topic: topic, event: "presence_diff"},
+         %{assigns: %{record_topic: topic}} = socket
+       ) do
+    {:halt, assign(socket, :record_editors, record_editors(topic, socket.id))}
+  end
+
+  defp handle_record_diff(_message, socket), do: {:cont, socket}
+
+  defp handle_record_dirty("record_presence", %{"dirty" => dirty}, socket) do
+    update(self(), socket.assigns.record_topic, socket.id, &Map.put(&1, :dirty, dirty == true))
+    {:halt, socket}
+  end
+
+  defp handle_record_dirty(_event, _params, socket), do: {:cont, socket}
+
+  # Everyone but this LiveView, longest open first.
+  defp record_editors(topic, own_key) do
+    topic
+    |> list()
+    |> Enum.reject(fn {key, _presence} -> key == own_key end)
+    |> Enum.flat_map(fn {_key, %{metas: metas}} -> metas end)
+    |> Enum.sort_by(& &1.since)
+  end
 end
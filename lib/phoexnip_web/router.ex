@@ -2,6 +2,7 @@ defmodule PhoexnipWeb.Router do
   use PhoexnipWeb, :router
 
   import PhoexnipWeb.UserAuth
+  import PhoexnipWeb.Theme, only: [fetch_theme: 2]
 
   @browser_content_security_policy [
                                      "default-src 'self'",
@@ -33,6 +34,7 @@ defmodule PhoexnipWeb.Router do
     }
 
     plug :fetch_current_user
+    plug :fetch_theme
   end
 
   pipeline :api do
@@ -130,6 +132,8 @@ defmodule PhoexnipWeb.Router do
   scope "/", PhoexnipWeb do
     pipe_through [:browser, :require_authenticated_user, :browser_root_layout]
 
+    post "/session/extend", UserSessionController, :extend
+
     live_session :require_authenticated_user,
       on_mount: [{PhoexnipWeb.UserAuth, :ensure_authenticated}, PhoexnipWeb.PresenceTracker] do
       live "/account/settings", UserSettingsLive, :edit
@@ -161,6 +165,7 @@ defmodule PhoexnipWeb.Router do
       end
 
       live "/schedulers", SchedulersLive.Index, :index
+      live "/schedulers/:id/edit", SchedulersLive.Index, :edit
 
       scope "/master_data" do
         live "/", MasterDataIndexLive.Index, :index
@@ -168,18 +173,26 @@ defmodule PhoexnipWeb.Router do
         scope "/currencies" do
           live "/", MasterDataCurrenciesLive.Index, :index
           live "/new", MasterDataCurrenciesLive.Index, :new
+          live "/import", MasterDataCurrenciesLive.Index, :import
           live "/:id/edit", MasterDataCurrenciesLive.Index, :edit
         end
 
         scope "/groups" do
           live "/", MasterDataGroupsLive.Index, :index
           live "/new", MasterDataGroupsLive.Index, :new
+          live "/import", MasterDataGroupsLive.Index, :import
           live "/:id/edit", MasterDataGroupsLive.Index, :edit
         end
       end
     end
   end
 
+  # Browser errors and timings, from assets/js/telemetry.js
+  scope "/", PhoexnipWeb do
+    pipe_through :browser
+    post "/telemetry", ClientTelemetryController, :create
+  end
+
   # Session/logout
   scope "/", PhoexnipWeb do
     pipe_through [:browser, :browser_root_layout]
@@ -16,6 +16,14 @@ defmodule PhoexnipWeb.Telemetry do
       # {Telemetry.Metrics.ConsoleReporter, metrics: metrics()}
     ]
 
+    # Browser errors are otherwise only counted; log them so they are seen.
+    :telemetry.attach(
+      "phoexnip-client-error-logger",
+      [:phoexnip, :client, :error],
+      &PhoexnipWeb.ClientTelemetry.log_error/4,
+      nil
+    )
+
     Supervisor.init(children, strategy: :one_for_one)
   end
 
@@ -74,6 +82,18 @@ defmodule PhoexnipWeb.Telemetry do
           "The time the connection spent waiting before being checked out for the query"
       ),
 
+      # Browser Metrics (PhoexnipWeb.ClientTelemetry)
+      counter("phoexnip.client.error.count", tags: [:route, :kind]),
+      summary("phoexnip.client.latency.duration",
+        tags: [:route, :event],
+        unit: :millisecond
+      ),
+      summary("phoexnip.client.page_loading.duration",
+        tags: [:route, :kind],
+        unit: :millisecond
+      ),
+      summary("phoexnip.client.web_vital.value", tags: [:route, :name]),
+
       # VM Metrics
       summary("vm.memory.total", unit: {:byte, :kilobyte}),
       summary("vm.total_run_queue_lengths.total"),
@@ -0,0 +1,44 @@
+defmodule PhoexnipWeb.Theme do
+  @moduledoc """
+  Colour themes for the UI.
+
+  Each theme is a set of CSS variables in `assets/css/app.css`, selected by
+  the `data-theme` attribute on `<html>`. The browser stores the choice in the
+  `phoexnip_theme` cookie (see `assets/js/theme.js`) and `fetch_theme/2`
+  reads it back, so the root layout is rendered in the right theme and there
+  is no flash of the default one while the page loads.
+
+  To add an organisation palette, add a `[data-theme="..."]` block to
+  `app.css` and an entry to `themes/0`.
+  """
+  import Plug.Conn
+
+  @cookie "phoexnip_theme"
+  @default "system"
+  @themes [
+    {"system", "System"},
+    {"light", "Light"},
+    {"dark", "Dark"},
+    {"organisation", "Organisation"}
+  ]
+
+  @doc """
+  Lists the available themes as `{value, label}` tuples.
+  """
+  @spec themes() :: [{String.t(), String.t()}]
+  def themes, do: @themes
+
+  @doc """
+  Assigns `:theme` from the theme cookie, falling back to `"system"` for a
+  missing or unknown value.
+  """
+  @spec fetch_theme(Plug.Conn.t(), any()) :: Plug.Conn.t()
+  def fetch_theme(conn, _opts) do
+    conn = fetch_cookies(conn)
+    assign(conn, :theme, normalize(conn.cookies[@cookie]))
+  end
+
+  defp normalize(theme) do
+    if List.keymember?(@themes, theme, 0), do: theme, else: @default
+  end
+end
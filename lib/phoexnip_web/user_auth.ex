@@ -13,6 +13,9 @@ defmodule PhoexnipWeb.UserAuth do
   # the token expiry itself in UserToken.
   @max_age 60 * 60 * 24 * 60
   @remember_me_cookie "_phoexnip_web_user_remember_me"
+  # 12 hours
+  @session_validity 43200
+  @session_grant_salt "session expiry"
 
   @doc """
   Logs the user in.
@@ -29,8 +32,8 @@ defmodule PhoexnipWeb.UserAuth do
   def log_in_user(conn, user, params \\ %{}) do
     token = UserService.generate_user_session_token(user)
     user_return_to = get_session(conn, :user_return_to)
-    # 12 hours
-    expiry_time = DateTime.utc_now() |> DateTime.add(43200, :second) |> DateTime.to_unix()
+    expiry_time =
+      DateTime.utc_now() |> DateTime.add(@session_validity, :second) |> DateTime.to_unix()
 
     redirect_path = role_redirect_path(user)
 
@@ -105,6 +108,54 @@ defmodule PhoexnipWeb.UserAuth do
     |> redirect(to: ~p"/")
   end
 
+  @doc """
+  Pushes the session expiry of a signed in user another session length
+  into the future.
+
+  Returns `{:ok, conn, grant}` where `grant` holds the new `expires_at` (unix
+  seconds) and a signed `token` that LiveViews accept through
+  `verify_session_grant/3`, since they cannot read the updated cookie.
+  Returns `{:error, conn}` when there is no user or the session has already
+  expired.
+  """
+  def extend_session(conn) do
+    now = DateTime.utc_now() |> DateTime.to_unix()
+    user = conn.assigns[:current_user]
+    session_expiry = get_session(conn, :session_expiry) || 0
+
+    if user && now <= session_expiry do
+      expires_at = now + @session_validity
+
+      token =
+        Phoenix.Token.sign(PhoexnipWeb.Endpoint, @session_grant_salt, %{
+          user_id: user.id,
+          expires_at: expires_at
+        })
+
+      {:ok, put_session(conn, :session_expiry, expires_at),
+       %{expires_at: expires_at, token: token}}
+    else
+      {:error, conn}
+    end
+  end
+
+  @doc """
+  Verifies a grant token issued by `extend_session/1` for the given user.
+
+  Returns `{:ok, expires_at}` or `:error`.
+  """
+  def verify_session_grant(socket_or_conn, %{id: user_id}, token) do
+    case Phoenix.Token.verify(socket_or_conn, @session_grant_salt, token,
+           max_age: @session_validity
+         ) do
+      {:ok, %{user_id: ^user_id, expires_at: expires_at}} ->
+        {:ok, expires_at}
+
+      _ ->
+        :error
+    end
+  end
+
   @doc """
   Authenticates the user by looking into the session
   and remember me token.
@@ -0,0 +1,10 @@
+defmodule Phoexnip.Repo.Migrations.AddNumberFormatToCurrencies do
+  use Ecto.Migration
+
+  def change do
+    alter table(:master_data_currencies) do
+      add :symbol, :string
+      add :decimal_places, :integer, null: false, default: 2
+    end
+  end
+end